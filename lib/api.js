@@ -0,0 +1,225 @@
+const { ConfigManager } = require("./config");
+const { SSHManager } = require("./ssh");
+const { GitManager } = require("./git");
+const { AuditLog } = require("./audit");
+
+class GitQQError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = "GitQQError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Public strategy names mapped to GitManager.push modes
+const PUSH_STRATEGIES = {
+  safe: "normal",
+  normal: "normal",
+  "force-with-lease": "force-lease",
+  force: "force-override",
+};
+
+// Programmatic API. Every method returns a promise and reports problems by
+// rejecting with a GitQQError; nothing prompts, prints or exits the process.
+class GitQQ {
+  constructor({ configFile } = {}) {
+    this.config = new ConfigManager(configFile);
+  }
+
+  async listAccounts() {
+    return Object.keys(this.config.getAccounts()).map((username) =>
+      this.config.getAccount(username),
+    );
+  }
+
+  async getActiveAccount({ cwd } = {}) {
+    return this.config.getActiveAccount(cwd);
+  }
+
+  resolveAccount(username, cwd) {
+    if (username) {
+      const account = this.config.getAccount(username);
+      if (!account) {
+        throw new GitQQError(
+          `Account not found: ${username}`,
+          "ACCOUNT_NOT_FOUND",
+        );
+      }
+      return account;
+    }
+
+    const account = this.config.getActiveAccount(cwd);
+    if (!account) {
+      throw new GitQQError("No active account", "NO_ACCOUNT");
+    }
+    return account;
+  }
+
+  // mode "global" sets the global git identity; "repo" binds the repository
+  // at `cwd` (default: process.cwd()) to the account
+  async switchAccount(username, { mode = "global", cwd } = {}) {
+    const account = this.resolveAccount(username, cwd);
+    if (!["global", "repo"].includes(mode)) {
+      throw new GitQQError(`Unknown mode: ${mode}`, "INVALID_OPTION");
+    }
+
+    SSHManager.syncHostAliases(this.config.getAccounts());
+
+    if (mode === "repo") {
+      if (!(await GitManager.isGitRepo(null, { cwd }))) {
+        throw new GitQQError("Not inside a git repository", "NOT_A_REPO");
+      }
+      await GitManager.applyRepoIdentity(account, { cwd });
+      this.config.bindRepo(account.username, cwd);
+    } else {
+      await GitManager.applyGlobalIdentity(account);
+      this.config.setCurrentAccount(account.username);
+    }
+
+    return account;
+  }
+
+  async getRemoteStatus({ account, branch, cwd } = {}) {
+    return GitManager.getRemoteStatus(this.resolveAccount(account, cwd), {
+      branch,
+      cwd,
+    });
+  }
+
+  // strategy "safe" (default) checks the remote first and refuses to push
+  // when it has commits the local branch doesn't, or can't be checked. A protected branch only
+  // takes "force-with-lease", with `confirmBranch` set to its name. Commits
+  // not made with the account's email are refused unless `ignoreIdentity`.
+  async push({
+    strategy = "safe",
+    account,
+    branch,
+    cwd,
+    setUpstream = false,
+    confirmBranch,
+    ignoreIdentity = false,
+  } = {}) {
+    if (!(strategy in PUSH_STRATEGIES)) {
+      throw new GitQQError(
+        `Unknown push strategy: ${strategy}`,
+        "INVALID_OPTION",
+      );
+    }
+
+    const resolved = this.resolveAccount(account, cwd);
+    const target =
+      branch || (await GitManager.getCurrentBranch(resolved, { cwd }));
+    if (!target) {
+      throw new GitQQError("Not on a branch", "NO_BRANCH");
+    }
+
+    const protectedBy = this.config.getProtectedPattern(target, cwd);
+    if (
+      protectedBy &&
+      (strategy === "force" || strategy === "force-with-lease")
+    ) {
+      let reason = null;
+      if (strategy === "force") {
+        reason = `${target} is protected (${protectedBy}); use the "force-with-lease" strategy with confirmBranch: "${target}"`;
+      } else if (confirmBranch !== target) {
+        reason = `${target} is protected (${protectedBy}); pass confirmBranch: "${target}" to force push`;
+      }
+      if (reason) {
+        AuditLog.recordBlocked(
+          resolved,
+          [
+            "push",
+            strategy === "force" ? "--force" : "--force-with-lease",
+            "origin",
+            target,
+          ],
+          reason,
+          { cwd },
+        );
+        throw new GitQQError(reason, "PROTECTED_BRANCH", {
+          pattern: protectedBy,
+        });
+      }
+    }
+
+    if (!ignoreIdentity && resolved.email) {
+      const commits = GitManager.findIdentityMismatches(
+        await GitManager.getUnpushedCommits(resolved, target, { cwd }),
+        resolved.email,
+      );
+      if (commits.length > 0) {
+        throw new GitQQError(
+          `${commits.length} commit(s) weren't made as ${resolved.email}`,
+          "IDENTITY_MISMATCH",
+          { commits },
+        );
+      }
+    }
+
+    let status = null;
+    if (strategy === "safe") {
+      status = await GitManager.getRemoteStatus(resolved, {
+        branch: target,
+        cwd,
+      });
+      if (["fetch-failed", "compare-failed"].includes(status.reason)) {
+        throw new GitQQError(
+          `Could not check origin/${target} against the local branch`,
+          "REMOTE_UNKNOWN",
+          { status },
+        );
+      }
+      if (status.remoteAhead) {
+        throw new GitQQError(
+          `origin/${target} has commits that are not in the local branch`,
+          "REMOTE_AHEAD",
+          { status },
+        );
+      }
+    }
+
+    let mode = PUSH_STRATEGIES[strategy];
+    if (setUpstream && mode === "normal") {
+      mode = "upstream";
+    }
+
+    try {
+      const result = await GitManager.push(resolved, target, { mode, cwd });
+      return {
+        account: resolved.username,
+        branch: target,
+        strategy,
+        status,
+        stdout: result.stdout,
+        stderr: result.stderr,
+      };
+    } catch (error) {
+      throw new GitQQError(error.message, "PUSH_FAILED", {
+        stdout: error.stdout,
+        stderr: error.stderr,
+        exitCode: error.code,
+      });
+    }
+  }
+}
+
+// Module-level shortcuts share one client that reads ~/.gitqq-config.json
+// on first use
+let defaultClient = null;
+function getDefaultClient() {
+  if (!defaultClient) {
+    defaultClient = new GitQQ();
+  }
+  return defaultClient;
+}
+
+module.exports = {
+  GitQQ,
+  GitQQError,
+  listAccounts: (...args) => getDefaultClient().listAccounts(...args),
+  getActiveAccount: (...args) => getDefaultClient().getActiveAccount(...args),
+  switchAccount: (...args) => getDefaultClient().switchAccount(...args),
+  getRemoteStatus: (...args) => getDefaultClient().getRemoteStatus(...args),
+  push: (...args) => getDefaultClient().push(...args),
+};
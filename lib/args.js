@@ -0,0 +1,131 @@
+// Argument Parsing
+// Options listed here consume the next argument as their value, everything
+// else starting with "-" is a boolean flag.
+const VALUE_OPTIONS = [
+  "message",
+  "email",
+  "name",
+  "key",
+  "account",
+  "from",
+  "provider",
+  "hostname",
+  "port",
+  "ssh-user",
+  "rename",
+  "on-conflict",
+  "sign",
+  "gpg-key",
+  "search",
+  "limit",
+  "pre-push",
+  "confirm-branch",
+  "operation",
+];
+const OPTION_ALIASES = {
+  m: "message",
+  a: "all",
+  u: "include-untracked",
+  h: "help",
+  v: "version",
+};
+
+// Split a command line into arguments, honouring quotes and backslashes the
+// way a shell would but without expanding variables or substitutions
+function splitCommandLine(line) {
+  const args = [];
+  let current = "";
+  let quote = null;
+  let inArg = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (ch === "\\" && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      inArg = true;
+    } else if (/\s/.test(ch)) {
+      if (inArg) {
+        args.push(current);
+        current = "";
+        inArg = false;
+      }
+    } else if (ch === "\\" && i + 1 < line.length) {
+      current += line[++i];
+      inArg = true;
+    } else {
+      current += ch;
+      inArg = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error("Unterminated quote in command");
+  }
+  if (inArg) {
+    args.push(current);
+  }
+  return args;
+}
+
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    // Bundled short flags: -am "msg" is -a -m "msg"
+    if (/^-[a-zA-Z]{2,}$/.test(arg)) {
+      const flags = arg.slice(1).split("");
+      argv = [
+        ...argv.slice(0, i),
+        ...flags.map((flag) => `-${flag}`),
+        ...argv.slice(i + 1),
+      ];
+      i--;
+      continue;
+    }
+
+    let key = arg.replace(/^--?/, "");
+    let value;
+    const eqIndex = key.indexOf("=");
+    if (eqIndex !== -1) {
+      value = key.slice(eqIndex + 1);
+      key = key.slice(0, eqIndex);
+    }
+    key = OPTION_ALIASES[key] || key;
+
+    if (VALUE_OPTIONS.includes(key) && value === undefined) {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`Option --${key} requires a value`);
+      }
+    }
+
+    const camelKey = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    options[camelKey] = value === undefined ? true : value;
+  }
+
+  return { positionals, options };
+}
+
+module.exports = { parseArgs, splitCommandLine };
@@ -0,0 +1,259 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFile, execFileSync } = require("child_process");
+
+// Subcommands that never change the repository or config. fetch only moves
+// remote-tracking refs and runs on every status check, so it isn't logged.
+const READ_ONLY_COMMANDS = [
+  "status",
+  "log",
+  "show",
+  "diff",
+  "diff-tree",
+  "diff-index",
+  "diff-files",
+  "rev-parse",
+  "rev-list",
+  "ls-files",
+  "ls-tree",
+  "ls-remote",
+  "for-each-ref",
+  "show-ref",
+  "cat-file",
+  "merge-base",
+  "name-rev",
+  "describe",
+  "shortlog",
+  "blame",
+  "grep",
+  "cherry",
+  "range-diff",
+  "check-ref-format",
+  "check-ignore",
+  "count-objects",
+  "var",
+  "version",
+  "help",
+  "fetch",
+];
+
+const positionals = (args) => args.filter((arg) => !arg.startsWith("-"));
+const hasFlag = (args, flags) =>
+  args.some((arg) => flags.includes(arg.split("=")[0]));
+
+// Subcommands that read or write depending on their arguments: each returns
+// true when the call only reads
+const READS = {
+  branch: (args) =>
+    !hasFlag(args, [
+      "-d",
+      "-D",
+      "--delete",
+      "-m",
+      "-M",
+      "--move",
+      "-c",
+      "-C",
+      "--copy",
+      "-u",
+      "--set-upstream-to",
+      "--unset-upstream",
+      "--edit-description",
+    ]) &&
+    (positionals(args).length === 0 ||
+      hasFlag(args, [
+        "-l",
+        "--list",
+        "-a",
+        "--all",
+        "-r",
+        "--remotes",
+        "--show-current",
+        "--contains",
+        "--no-contains",
+        "--merged",
+        "--no-merged",
+        "--points-at",
+      ])),
+  tag: (args) =>
+    !hasFlag(args, ["-d", "--delete"]) &&
+    (positionals(args).length === 0 ||
+      hasFlag(args, ["-l", "--list", "-v", "--verify"])),
+  stash: (args) => ["list", "show"].includes(args[0]),
+  config: (args) => {
+    if (
+      hasFlag(args, [
+        "--unset",
+        "--unset-all",
+        "--add",
+        "--replace-all",
+        "--rename-section",
+        "--remove-section",
+        "-e",
+        "--edit",
+      ])
+    ) {
+      return false;
+    }
+    const [first, ...rest] = positionals(args);
+    return (
+      hasFlag(args, [
+        "--get",
+        "--get-all",
+        "--get-regexp",
+        "--get-urlmatch",
+        "-l",
+        "--list",
+      ]) ||
+      ["get", "list"].includes(first) ||
+      rest.length === 0
+    );
+  },
+  remote: (args) =>
+    [undefined, "get-url", "show"].includes(positionals(args)[0]),
+  "symbolic-ref": (args) =>
+    !hasFlag(args, ["-d", "--delete"]) && positionals(args).length <= 1,
+  reflog: (args) => !["expire", "delete"].includes(args[0]),
+  worktree: (args) => args[0] === "list",
+  notes: (args) => [undefined, "list", "show"].includes(args[0]),
+};
+
+// Audit Log: one JSON object per line in ~/.gitqq/audit.jsonl, only ever
+// appended to
+class AuditLog {
+  static getPath() {
+    return path.join(os.homedir(), ".gitqq", "audit.jsonl");
+  }
+
+  static getRepo(cwd = process.cwd()) {
+    try {
+      return execFileSync("git", ["rev-parse", "--show-toplevel"], {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  // Index of the subcommand, past options such as `-c key=value`
+  static findSubcommand(args) {
+    let i = 0;
+    while (i < args.length && args[i].startsWith("-")) {
+      i += ["-c", "-C"].includes(args[i]) ? 2 : 1;
+    }
+    return i;
+  }
+
+  static getOperation(args) {
+    return args[this.findSubcommand(args)] || null;
+  }
+
+  static isMutating(args) {
+    const index = this.findSubcommand(args);
+    const command = args[index];
+    if (!command || READ_ONLY_COMMANDS.includes(command)) return false;
+    return !(READS[command] && READS[command](args.slice(index + 1)));
+  }
+
+  // Passwords in remote URLs stay out of the log
+  static redact(args) {
+    return args.map((arg) =>
+      arg.replace(/(\w+:\/\/)[^/@\s:]+:[^/@\s]+@/, "$1***@"),
+    );
+  }
+
+  // { ref: sha } for HEAD and every ref; empty outside a repository
+  static snapshotRefs(cwd) {
+    return new Promise((resolve) => {
+      execFile("git", ["show-ref", "--head"], { cwd }, (error, stdout) => {
+        const refs = {};
+        if (!error) {
+          stdout
+            .split("\n")
+            .filter(Boolean)
+            .forEach((line) => {
+              const [sha, ref] = line.split(" ");
+              refs[ref] = sha;
+            });
+        }
+        resolve(refs);
+      });
+    });
+  }
+
+  // { ref: { before, after } } for refs that moved; null means absent
+  static diffRefs(before, after) {
+    const changed = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((ref) => {
+      if (before[ref] !== after[ref]) {
+        changed[ref] = {
+          before: before[ref] || null,
+          after: after[ref] || null,
+        };
+      }
+    });
+    return changed;
+  }
+
+  // A failed write is reported but never stops the operation being logged
+  static record({ account, command, cwd, ...details }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      repo: this.getRepo(cwd),
+      account: (account && account.username) || null,
+      operation: command ? this.getOperation(command) : null,
+      command: command ? this.redact(command) : null,
+      ...details,
+    };
+
+    try {
+      const logPath = this.getPath();
+      fs.mkdirSync(path.dirname(logPath), { recursive: true, mode: 0o700 });
+      fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`, {
+        mode: 0o600,
+      });
+    } catch (error) {
+      console.log(
+        chalk.yellow(`⚠️ Could not write the audit log: ${error.message}`),
+      );
+    }
+    return entry;
+  }
+
+  // A refused attempt, e.g. a force push to a protected branch
+  static recordBlocked(account, command, reason, { cwd } = {}) {
+    return this.record({ account, command, cwd, status: "blocked", reason });
+  }
+
+  // Entries oldest first. `repo`, `account` and `operation` keep only the
+  // matching ones; a line that can't be parsed is skipped.
+  static read({ repo, account, operation } = {}) {
+    const logPath = this.getPath();
+    if (!fs.existsSync(logPath)) return [];
+
+    return fs
+      .readFileSync(logPath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(
+        (entry) =>
+          entry &&
+          (!repo || entry.repo === repo) &&
+          (!account || entry.account === account) &&
+          (!operation || entry.operation === operation),
+      );
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { SSHManager } = require("./ssh");
+
+const BUNDLE_FORMAT = "gitqq-bundle";
+const BUNDLE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Account Export/Import
+// A bundle is a JSON file holding the accounts, their repository bindings
+// and optionally their gitqq-created keys, encrypted with AES-256-GCM under
+// a key derived from a passphrase with scrypt.
+class BundleManager {
+  static deriveKey(passphrase, salt, params = SCRYPT_PARAMS) {
+    return crypto.scryptSync(passphrase, salt, 32, {
+      ...params,
+      maxmem: SCRYPT_MAXMEM,
+    });
+  }
+
+  static encrypt(payload, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = this.deriveKey(passphrase, salt);
+
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(payload), "utf8"),
+      cipher.final(),
+    ]);
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      kdf: { name: "scrypt", salt: salt.toString("base64"), ...SCRYPT_PARAMS },
+      cipher: "aes-256-gcm",
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    };
+  }
+
+  static decrypt(bundle, passphrase) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw new Error("Not a gitqq export file");
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(
+        "Export file was written by a newer gitqq; please upgrade",
+      );
+    }
+    if (!bundle.kdf || !bundle.kdf.salt || !bundle.iv || !bundle.tag) {
+      throw new Error("Not a gitqq export file");
+    }
+
+    const { N, r, p } = bundle.kdf;
+    const key = this.deriveKey(
+      passphrase,
+      Buffer.from(bundle.kdf.salt, "base64"),
+      { N, r, p },
+    );
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(bundle.iv, "base64"),
+    );
+    decipher.setAuthTag(Buffer.from(bundle.tag, "base64"));
+
+    try {
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(bundle.data, "base64")),
+        decipher.final(),
+      ]);
+      return JSON.parse(data.toString("utf8"));
+    } catch {
+      throw new Error("Wrong passphrase or damaged export file");
+    }
+  }
+
+  // Everything needed to recreate the accounts elsewhere. Keys are only
+  // included for accounts whose key gitqq generated or imported.
+  static collect(config, { includeKeys = false } = {}) {
+    const accounts = config.getAccounts();
+    const keys = {};
+
+    if (includeKeys) {
+      Object.values(accounts)
+        .filter((account) => account.customKey && account.sshKey)
+        .filter((account) => SSHManager.validateSSHKey(account.sshKey))
+        .forEach(({ sshKey }) => {
+          const publicPath = SSHManager.getSSHKeyPath(`${sshKey}.pub`);
+          keys[sshKey] = {
+            private: fs.readFileSync(SSHManager.getSSHKeyPath(sshKey), "utf8"),
+            public: fs.existsSync(publicPath)
+              ? fs.readFileSync(publicPath, "utf8")
+              : null,
+          };
+        });
+    }
+
+    const bindings = config
+      .listRepos()
+      .filter((repo) => repo.boundAccount && accounts[repo.boundAccount])
+      .map((repo) => ({
+        path: repo.path,
+        remote: repo.remote,
+        account: repo.boundAccount,
+      }));
+
+    return {
+      exportedAt: new Date().toISOString(),
+      accounts,
+      bindings,
+      keys,
+    };
+  }
+
+  static write(file, payload, passphrase) {
+    const bundle = this.encrypt(payload, passphrase);
+    fs.writeFileSync(file, `${JSON.stringify(bundle, null, 2)}\n`, {
+      mode: 0o600,
+    });
+  }
+
+  static read(file, passphrase) {
+    let bundle;
+    try {
+      bundle = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+    const payload = this.decrypt(bundle, passphrase);
+    Object.values(payload.accounts || {})
+      .filter((account) => account.sshKey)
+      .forEach((account) => this.assertKeyName(account.sshKey));
+    Object.keys(payload.keys || {}).forEach((name) => this.assertKeyName(name));
+    return payload;
+  }
+
+  // Key names become paths under ~/.ssh, so a bundle may only name plain
+  // files there
+  static assertKeyName(name) {
+    if (
+      typeof name !== "string" ||
+      !name ||
+      path.basename(name) !== name ||
+      name.startsWith(".")
+    ) {
+      throw new Error(`Invalid SSH key name in export file: ${name}`);
+    }
+  }
+
+  // Write an exported key pair into ~/.ssh with the usual permissions and
+  // return the key name used. An existing file with the same content is
+  // reused; a different one is never overwritten.
+  static restoreKey(keyName, { private: privateKey, public: publicKey }) {
+    this.assertKeyName(keyName);
+    const existingPath = SSHManager.getSSHKeyPath(keyName);
+    if (
+      fs.existsSync(existingPath) &&
+      fs.readFileSync(existingPath, "utf8") === privateKey
+    ) {
+      fs.chmodSync(existingPath, 0o600);
+      return keyName;
+    }
+
+    const name = SSHManager.getAvailableKeyName(keyName);
+    const keyPath = SSHManager.getSSHKeyPath(name);
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+    fs.chmodSync(keyPath, 0o600);
+    if (publicKey) {
+      fs.writeFileSync(`${keyPath}.pub`, publicKey, { mode: 0o644 });
+      fs.chmodSync(`${keyPath}.pub`, 0o644);
+    }
+    return name;
+  }
+}
+
+module.exports = { BundleManager };
@@ -0,0 +1,3707 @@
+const inquirer = require("inquirer");
+const chalk = require("chalk");
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const { ConfigManager } = require("./config");
+const { HostManager } = require("./hosts");
+const { SSHManager } = require("./ssh");
+const { GitManager } = require("./git");
+const { BundleManager } = require("./bundle");
+const { ConventionalCommits } = require("./commits");
+const { AuditLog } = require("./audit");
+const { splitCommandLine } = require("./args");
+
+// Clipboard programs to try, in order
+const CLIPBOARD_COMMANDS = {
+  darwin: [["pbcopy", []]],
+  win32: [["clip", []]],
+  other: [
+    ["wl-copy", []],
+    ["xclip", ["-selection", "clipboard"]],
+    ["xsel", ["--clipboard", "--input"]],
+  ],
+};
+
+function copyToClipboard(text) {
+  const commands =
+    CLIPBOARD_COMMANDS[process.platform] || CLIPBOARD_COMMANDS.other;
+  return commands.some(
+    ([command, args]) =>
+      spawnSync(command, args, {
+        input: text,
+        stdio: ["pipe", "ignore", "ignore"],
+      }).status === 0,
+  );
+}
+
+const HISTORY_PAGE_SIZE = 20;
+
+// Main CLI
+class CLI {
+  // `prompt` takes inquirer-style questions and resolves their answers, so
+  // tests can script the menus; `pause` spaces out messages between screens
+  constructor(
+    config = new ConfigManager(),
+    { prompt = inquirer.prompt, pause } = {},
+  ) {
+    this.config = config;
+    this.prompt = prompt;
+    if (pause) {
+      this.pause = pause;
+    }
+  }
+
+  pause(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  async start() {
+    console.clear();
+    console.log(chalk.blue.bold("\n🚀 GitQQ - GitHub Account Manager\n"));
+
+    const boundAccount = this.config.getBoundAccount();
+    if (boundAccount) {
+      console.log(
+        chalk.cyan(
+          `🔗 This repository is bound to: ${boundAccount.username}\n`,
+        ),
+      );
+      await this.showGitCommandMenu(boundAccount);
+    }
+
+    while (true) {
+      await this.showMainMenu();
+    }
+  }
+
+  async showMainMenu() {
+    const accounts = this.config.getAccounts();
+    const accountNames = Object.keys(accounts);
+    const boundAccount = this.config.getBoundAccount();
+    const inRepo = await GitManager.isGitRepo();
+    let choices = [];
+    if (accountNames.length > 0) {
+      accountNames.forEach((username) => {
+        const isBound = boundAccount && boundAccount.username === username;
+        choices.push({
+          name: `   ${username}${isBound ? " 🔗 (this repo)" : ""}`,
+          value: `select-${username}`,
+        });
+      });
+      choices.push(new inquirer.Separator());
+    }
+
+    // Account management only
+    choices.push(
+      { name: "➕ Add Account", value: "add-account" },
+      { name: "✏️  Edit Account", value: "edit-account" },
+      { name: "🗑️  Remove Account", value: "remove-account" },
+    );
+
+    if (inRepo && accountNames.length > 0) {
+      choices.push({
+        name: "🔗 Bind Account to This Repository",
+        value: "bind-repo",
+      });
+    }
+    if (boundAccount) {
+      choices.push({
+        name: "⛓️  Unbind This Repository",
+        value: "unbind-repo",
+      });
+    }
+
+    const bindingMode = this.config.getBindingMode();
+    choices.push(
+      {
+        name: `⚙️  Switching Mode: ${bindingMode === "repo" ? "Per repository" : "Global"}`,
+        value: "toggle-mode",
+      },
+      new inquirer.Separator(),
+      { name: "❌ Exit", value: "exit" },
+    );
+
+    const { action } = await this.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "Choose account or manage accounts:",
+        choices,
+        pageSize: 10,
+      },
+    ]);
+
+    // A failed action (e.g. a config that can't be saved) is reported and
+    // the menu comes back
+    try {
+      await this.handleAction(action);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  }
+
+  async handleAction(action) {
+    if (action === "exit") {
+      console.log(chalk.blue("👋 Goodbye!"));
+      process.exit(0);
+    }
+
+    // Handle account selection
+    if (action.startsWith("select-")) {
+      const username = action.replace("select-", "");
+      await this.activateAccount(username);
+
+      // After selecting account, show git command input
+      console.log("");
+      await this.pause(1000);
+      await this.showGitCommandMenu(this.config.getAccount(username));
+      return;
+    }
+
+    switch (action) {
+      case "add-account":
+        await this.addAccount();
+        break;
+
+      case "edit-account":
+        await this.editAccount();
+        break;
+
+      case "remove-account":
+        await this.removeAccount();
+        break;
+
+      case "bind-repo":
+        await this.bindRepository();
+        break;
+
+      case "unbind-repo":
+        await this.unbindRepository();
+        break;
+
+      case "toggle-mode":
+        this.toggleBindingMode();
+        break;
+    }
+
+    console.log("");
+    await this.pause(1000);
+  }
+
+  // A repository that is already bound (or per-repository mode) gets the
+  // account written into its local config; otherwise switch globally
+  async activateAccount(username, { mode } = {}) {
+    const account = this.config.getAccount(username);
+    if (!account) {
+      throw new Error(`Account not found: ${username}`);
+    }
+
+    const bindingMode =
+      mode ||
+      (this.config.getBoundAccount() ? "repo" : this.config.getBindingMode());
+
+    this.syncSSHConfig();
+
+    if (bindingMode === "repo") {
+      if (!(await GitManager.isGitRepo())) {
+        throw new Error(
+          "Per-repository mode needs a git repository in the current folder",
+        );
+      }
+      const bound = await GitManager.bindRepository(account);
+      if (bound) {
+        this.config.bindRepo(username);
+      }
+      return bound;
+    }
+
+    this.config.setCurrentAccount(username);
+    return GitManager.switchAccount(account);
+  }
+
+  syncSSHConfig() {
+    try {
+      SSHManager.syncHostAliases(this.config.getAccounts());
+      SSHManager.writeAllowedSigners(this.config.getAccounts());
+    } catch (error) {
+      console.log(
+        chalk.yellow(`⚠️ Could not update ~/.ssh/config: ${error.message}`),
+      );
+    }
+  }
+
+  // Undo everything gitqq wrote for SSH: the managed host block in
+  // ~/.ssh/config and alias remotes in the repositories it knows about
+  async removeSSHConfig() {
+    if (SSHManager.removeHostAliases()) {
+      console.log(chalk.green("✅ Removed gitqq hosts from ~/.ssh/config"));
+    } else {
+      console.log(chalk.blue("ℹ️ No gitqq hosts found in ~/.ssh/config"));
+    }
+
+    await this.rewriteKnownRemotes((url) =>
+      HostManager.fromAliasRemote(url, this.config.getAccounts()),
+    );
+  }
+
+  // Run `mapUrl` over the origin of every repository gitqq knows about and
+  // set the URL it returns; a falsy result leaves the remote untouched
+  async rewriteKnownRemotes(mapUrl) {
+    const repoPaths = new Set([
+      process.cwd(),
+      ...Object.keys(this.config.config.repoSettings || {}),
+    ]);
+
+    for (const repoPath of repoPaths) {
+      if (!fs.existsSync(repoPath)) continue;
+
+      try {
+        const result = await GitManager.executeGitCommand(
+          ["remote", "get-url", "origin"],
+          null,
+          { cwd: repoPath },
+        );
+        const newUrl = mapUrl(result.stdout.trim());
+        if (newUrl) {
+          await GitManager.executeGitCommand(
+            ["remote", "set-url", "origin", newUrl],
+            null,
+            { cwd: repoPath },
+          );
+          console.log(chalk.green(`✅ Updated origin in ${repoPath}`));
+        }
+      } catch {
+        // Not a repository or no origin remote
+      }
+    }
+  }
+
+  async bindRepository() {
+    const accountNames = Object.keys(this.config.getAccounts());
+    const { username } = await this.prompt([
+      {
+        type: "list",
+        name: "username",
+        message: "Bind which account to this repository?",
+        choices: accountNames,
+      },
+    ]);
+
+    await this.activateAccount(username, { mode: "repo" });
+  }
+
+  async unbindRepository() {
+    const boundAccount = this.config.getBoundAccount();
+    await GitManager.unbindRepository();
+    this.config.unbindRepo();
+    console.log(
+      chalk.green(
+        `✅ Unbound ${boundAccount ? boundAccount.username : "account"} from this repository`,
+      ),
+    );
+  }
+
+  toggleBindingMode() {
+    const mode = this.config.getBindingMode() === "repo" ? "global" : "repo";
+    this.config.setBindingMode(mode);
+    console.log(
+      chalk.green(
+        mode === "repo"
+          ? "✅ Selecting an account now binds it to the current repository"
+          : "✅ Selecting an account now switches the global git identity",
+      ),
+    );
+  }
+
+  async showGitCommandMenu(currentAccount = this.config.getActiveAccount()) {
+    while (true) {
+      // Check repository status first
+      const repoStatus = await this.checkRepositoryStatus(currentAccount);
+
+      if (!repoStatus.isGitRepo) {
+        const { shouldInit } = await this.prompt([
+          {
+            type: "list",
+            name: "shouldInit",
+            message: "No git repository found. Initialize git in this folder?",
+            choices: [
+              { name: "✅ Yes, initialize git", value: true },
+              { name: "❌ No, go back", value: false },
+            ],
+          },
+        ]);
+
+        if (shouldInit) {
+          await this.initializeRepository(currentAccount);
+          await this.setupRemoteOrigin(currentAccount);
+        } else {
+          return;
+        }
+      }
+
+      if (repoStatus.isGitRepo && !repoStatus.hasRemote) {
+        console.log(chalk.yellow("⚠️ No remote origin found."));
+        await this.setupRemoteOrigin(currentAccount);
+      }
+
+      if (repoStatus.hasHttpsRemote) {
+        console.log(
+          chalk.yellow(
+            "⚠️ Remote is using HTTPS. Converting to SSH for account switching...",
+          ),
+        );
+        await this.convertToSSHRemote(currentAccount);
+      } else if (repoStatus.needsAccountAlias) {
+        await this.useAccountRemote(currentAccount, repoStatus.remoteUrl);
+      }
+
+      if (!repoStatus.isGitRepo) {
+        continue;
+      }
+
+      // Check if this is the first time using the tool in this repo
+      if (this.config.isFirstTimeInRepo()) {
+        console.log(
+          chalk.cyan("🎯 First time using this tool in this repository!"),
+        );
+        console.log(
+          chalk.cyan("📋 Please select which branch you'd like to work with:"),
+        );
+
+        const selectedBranch = await this.selectInitialBranch(currentAccount);
+        if (selectedBranch) {
+          this.config.setRepoInitialized(selectedBranch);
+        } else {
+          return; // User chose to go back
+        }
+      }
+
+      await this.checkoutPreferredBranch(currentAccount);
+
+      const currentBranch = await this.getCurrentBranch(currentAccount);
+      console.log(
+        chalk.blue(`🌿 Current branch: ${currentBranch || "(detached HEAD)"}`),
+      );
+
+      const operation = await GitManager.getOperationInProgress(currentAccount);
+      const conflicted = await GitManager.getConflictedFiles(currentAccount);
+      if (operation || conflicted.length > 0) {
+        console.log(
+          chalk.yellow(
+            operation
+              ? `⚠️ A ${operation} is in progress with ${conflicted.length} conflicted file(s)`
+              : `⚠️ ${conflicted.length} file(s) have unresolved conflicts`,
+          ),
+        );
+      }
+
+      const { action } = await this.prompt([
+        {
+          type: "list",
+          name: "action",
+          message: `Using: ${currentAccount.username} - What would you like to do?`,
+          choices: [
+            ...(operation || conflicted.length > 0
+              ? [{ name: "⚔️  Resolve Conflicts", value: "resolve-conflicts" }]
+              : []),
+            { name: "🚀 Push", value: "push" },
+            { name: "🔄 Sync with Remote", value: "sync" },
+            { name: "📝 Commit", value: "commit" },
+            { name: "🌿 Change Branch", value: "change-branch" },
+            { name: "📦 Stash", value: "stash" },
+            { name: "📜 History", value: "history" },
+            { name: "🏷️  Tags", value: "tags" },
+            { name: "💻 Custom Command", value: "custom-command" },
+            { name: "🔙 Back to Accounts", value: "back" },
+            { name: "❌ Exit", value: "exit" },
+          ],
+        },
+      ]);
+
+      if (action === "exit") {
+        console.log(chalk.blue("👋 Goodbye!"));
+        process.exit(0);
+      }
+
+      if (action === "back") {
+        return;
+      }
+
+      switch (action) {
+        case "push":
+          await this.handlePush(currentAccount);
+          break;
+        case "sync":
+          await this.handleSync(currentAccount);
+          break;
+        case "resolve-conflicts":
+          if (operation) {
+            await this.handleOperationInProgress(currentAccount, operation);
+          } else {
+            await this.resolveConflicts(currentAccount, null);
+          }
+          break;
+        case "commit":
+          await this.handleCommit(currentAccount);
+          break;
+        case "change-branch":
+          await this.handleChangeBranch(currentAccount);
+          break;
+        case "stash":
+          await this.handleStash(currentAccount);
+          break;
+        case "history":
+          await this.handleHistory(currentAccount);
+          break;
+        case "tags":
+          await this.handleTags(currentAccount);
+          break;
+        case "custom-command":
+          await this.executeCustomCommand(currentAccount);
+          break;
+      }
+
+      console.log("");
+      await this.pause(1000);
+    }
+  }
+
+  async addAccount() {
+    const host = await this.promptForHost();
+    const providerLabel = HostManager.getHost({ host }).label;
+
+    const accountInfo = await this.prompt([
+      {
+        type: "input",
+        name: "username",
+        message: `${providerLabel} username:`,
+        filter: (input) => input.trim(),
+        validate: (input) => this.config.validateUsername(input),
+      },
+      {
+        type: "input",
+        name: "email",
+        message: `${providerLabel} email:`,
+        filter: (input) => input.trim(),
+        validate: (input) => ConfigManager.validateEmail(input),
+      },
+      {
+        type: "input",
+        name: "name",
+        message: "Full name (optional):",
+        default: (answers) => answers.username,
+      },
+      {
+        type: "list",
+        name: "keyMethod",
+        message: "How would you like to add SSH key?",
+        choices: [
+          { name: "🆕 Generate new SSH key", value: "generate" },
+          { name: "📝 Enter SSH key content directly", value: "paste" },
+          { name: "📁 Use existing SSH key file", value: "file" },
+        ],
+      },
+    ]);
+
+    const key = await this.promptForSSHKey(
+      { ...accountInfo, host },
+      accountInfo.keyMethod,
+    );
+    if (!key) return;
+
+    const { verify } = await this.prompt([
+      {
+        type: "confirm",
+        name: "verify",
+        message: "Test the SSH connection now?",
+        default: true,
+      },
+    ]);
+    if (verify) {
+      const result = await this.verifySSHConnection({
+        username: accountInfo.username,
+        host,
+        ...key,
+      });
+      if (!result.ok) {
+        const { saveAnyway } = await this.prompt([
+          {
+            type: "confirm",
+            name: "saveAnyway",
+            message: "Save the account anyway?",
+            default: false,
+          },
+        ]);
+        if (!saveAnyway) return;
+      }
+    }
+
+    this.config.addAccount(accountInfo.username, {
+      name: accountInfo.name,
+      email: accountInfo.email,
+      sshKey: key.sshKey,
+      customKey: key.customKey,
+      host,
+    });
+
+    await this.activateAccount(accountInfo.username);
+
+    console.log(
+      chalk.green(`✅ Added and activated account: ${accountInfo.username}`),
+    );
+  }
+
+  // Generate, import (paste) or reuse an existing key for `account`
+  // ({ username, email, host }); resolves null when no usable key was set up
+  async promptForSSHKey(account, keyMethod) {
+    const providerLabel = HostManager.getHost(account).label;
+
+    if (keyMethod === "generate") {
+      // Generate new SSH key
+      const sshKeyName = SSHManager.getAvailableKeyName(
+        `id_${account.username}`,
+      );
+      const keyPath = SSHManager.getSSHKeyPath(sshKeyName);
+
+      try {
+        console.log(chalk.blue("🔑 Generating new SSH key..."));
+        SSHManager.generateKey(sshKeyName, account.email);
+
+        console.log(chalk.green(`✅ SSH key generated: ${keyPath}`));
+
+        // Show public key for user to add to the provider
+        const publicKey = fs.readFileSync(`${keyPath}.pub`, "utf8");
+        console.log(
+          chalk.yellow(
+            `\n🔑 Add this public key to your ${providerLabel} account:`,
+          ),
+        );
+        console.log(chalk.cyan(HostManager.getKeyUrl(account)));
+        console.log(chalk.white(publicKey));
+
+        const { keyAdded } = await this.prompt([
+          {
+            type: "confirm",
+            name: "keyAdded",
+            message: `Have you added the public key to ${providerLabel}?`,
+            default: false,
+          },
+        ]);
+
+        if (!keyAdded) {
+          console.log(
+            chalk.yellow(
+              `⚠️ Please add the key to ${providerLabel} and try again.`,
+            ),
+          );
+          return null;
+        }
+      } catch (error) {
+        console.log(
+          chalk.red(`❌ Failed to generate SSH key: ${error.message}`),
+        );
+        return null;
+      }
+
+      return { sshKey: sshKeyName, customKey: true };
+    }
+
+    if (keyMethod === "paste") {
+      const { sshKeyContent } = await this.prompt([
+        {
+          type: "input",
+          name: "sshKeyContent",
+          message: "Paste your SSH private key content:",
+          validate: (input) =>
+            input.trim().length > 0 && input.includes("BEGIN")
+              ? true
+              : "Please enter valid SSH key content",
+        },
+      ]);
+
+      // Create custom key file
+      const sshKeyName = SSHManager.getAvailableKeyName(
+        `id_${account.username}`,
+      );
+      const keyPath = SSHManager.getSSHKeyPath(sshKeyName);
+
+      try {
+        SSHManager.saveKey(sshKeyName, sshKeyContent);
+        console.log(chalk.green(`✅ SSH key saved to: ${keyPath}`));
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to save SSH key: ${error.message}`));
+        return null;
+      }
+
+      return { sshKey: sshKeyName, customKey: true };
+    }
+
+    const { existingKeyName } = await this.prompt([
+      {
+        type: "input",
+        name: "existingKeyName",
+        message: "SSH key name (without .pub):",
+        default: "id_rsa",
+        validate: (input) =>
+          input.trim().length > 0 || "SSH key name is required",
+      },
+    ]);
+
+    const sshKeyName = existingKeyName.trim();
+
+    // Validate SSH key exists
+    const sshKeyPath = SSHManager.getSSHKeyPath(sshKeyName);
+    if (!SSHManager.validateSSHKey(sshKeyName)) {
+      console.log(chalk.red(`❌ SSH key not found: ${sshKeyPath}`));
+      console.log(
+        chalk.cyan(
+          `💡 Generate key with: ssh-keygen -t ed25519 -f ~/.ssh/${sshKeyName} -C "${account.email}"`,
+        ),
+      );
+      return null;
+    }
+
+    return { sshKey: sshKeyName, customKey: false };
+  }
+
+  // Print what `ssh -T` says about the account's key and resolve the result
+  async verifySSHConnection(account, options) {
+    const result = await SSHManager.testConnection(account, options);
+    const target = `${result.hostname}${result.port === 22 ? "" : `:${result.port}`}`;
+
+    if (result.newHostKey) {
+      const fingerprint =
+        typeof result.newHostKey === "string" ? ` (${result.newHostKey})` : "";
+      console.log(
+        chalk.yellow(
+          `⚠️ ${target}: trusted a new host key${fingerprint} and added it to ~/.ssh/known_hosts`,
+        ),
+      );
+      console.log(
+        chalk.cyan(
+          `💡 Compare it with the fingerprints your provider publishes; if they differ, remove it with: ssh-keygen -R ${result.port === 22 ? result.hostname : `"[${result.hostname}]:${result.port}"`}`,
+        ),
+      );
+    }
+
+    switch (result.status) {
+      case "ok":
+        console.log(
+          chalk.green(`✅ ${target}: key authenticates as ${result.user}`),
+        );
+        break;
+      case "mismatch":
+        console.log(
+          chalk.red(
+            `❌ ${target}: key authenticates as "${result.user}", not "${account.username}"`,
+          ),
+        );
+        console.log(
+          chalk.cyan(
+            `💡 The key is registered to another account; add it to ${account.username} instead: ${HostManager.getKeyUrl(account)}`,
+          ),
+        );
+        break;
+      case "denied":
+        console.log(chalk.red(`❌ ${target}: key was rejected`));
+        console.log(
+          chalk.cyan(
+            `💡 Add the public key to your account: ${HostManager.getKeyUrl(account)}`,
+          ),
+        );
+        break;
+      case "no-key":
+        console.log(
+          chalk.red(
+            `❌ SSH key not found: ${SSHManager.getSSHKeyPath(account.sshKey || "")}`,
+          ),
+        );
+        break;
+      default:
+        console.log(chalk.yellow(`⚠️ ${target}: could not verify the key`));
+        if (result.output) console.log(chalk.gray(result.output));
+    }
+
+    return result;
+  }
+
+  describeSigning(account) {
+    const signing = account.signing;
+    if (!signing || !signing.format) return "off";
+    return signing.format === "ssh" ? "SSH key" : `GPG ${signing.key}`;
+  }
+
+  // Resolves the new signing setting, null to turn signing off, or undefined
+  // when nothing should change
+  async promptForSigning(account) {
+    const { format } = await this.prompt([
+      {
+        type: "list",
+        name: "format",
+        message: "Sign commits with:",
+        choices: [
+          { name: "🔑 This account's SSH key", value: "ssh" },
+          { name: "🔐 A GPG key", value: "openpgp" },
+          { name: "🚫 Don't sign", value: "off" },
+        ],
+      },
+    ]);
+
+    if (format === "off") return null;
+
+    if (format === "ssh") {
+      if (!SSHManager.validateSSHKey(`${account.sshKey}.pub`)) {
+        console.log(
+          chalk.red(
+            `❌ SSH signing needs the public key: ${SSHManager.getSSHKeyPath(`${account.sshKey}.pub`)}`,
+          ),
+        );
+        return undefined;
+      }
+      return { format: "ssh" };
+    }
+
+    const { key } = await this.prompt([
+      {
+        type: "input",
+        name: "key",
+        message: "GPG key ID:",
+        default: account.signing && account.signing.key,
+        filter: (input) => input.trim(),
+        validate: (input) => GitManager.validateGpgKeyId(input),
+      },
+    ]);
+    return { format: "openpgp", key };
+  }
+
+  // `current` pre-fills the answers when editing an existing account's host
+  async promptForHost(current) {
+    const providers = HostManager.getProviders();
+    const answers = await this.prompt([
+      {
+        type: "list",
+        name: "provider",
+        message: "Git hosting provider:",
+        choices: Object.keys(providers).map((key) => ({
+          name: providers[key].label,
+          value: key,
+        })),
+        default: current && current.provider,
+      },
+      {
+        type: "input",
+        name: "hostname",
+        message: "Hostname:",
+        default: (answers) =>
+          current && current.provider === answers.provider
+            ? current.hostname
+            : providers[answers.provider].hostname || undefined,
+        validate: (input) =>
+          /^[a-z0-9.-]+$/i.test(input.trim()) || "Valid hostname is required",
+      },
+      {
+        type: "input",
+        name: "port",
+        message: "SSH port:",
+        default: current ? String(current.port) : "22",
+        validate: (input) => HostManager.validatePort(input),
+      },
+      {
+        type: "input",
+        name: "user",
+        message: "SSH user:",
+        default: current ? current.user : "git",
+        filter: (input) => input.trim(),
+        validate: (input) => HostManager.validateUser(input),
+      },
+    ]);
+
+    return HostManager.createHost(answers);
+  }
+
+  async editAccount() {
+    const accountNames = Object.keys(this.config.getAccounts());
+
+    if (accountNames.length === 0) {
+      console.log(chalk.yellow("📝 No accounts to edit."));
+      return;
+    }
+
+    const { accountToEdit } = await this.prompt([
+      {
+        type: "list",
+        name: "accountToEdit",
+        message: "Select account to edit:",
+        choices: accountNames,
+      },
+    ]);
+
+    let username = accountToEdit;
+    let changed = false;
+
+    while (true) {
+      const account = this.config.getAccount(username);
+      const host = HostManager.getHost(account);
+
+      const { field } = await this.prompt([
+        {
+          type: "list",
+          name: "field",
+          message: `Edit ${username}:`,
+          choices: [
+            {
+              name: `👤 Display name (${account.name || username})`,
+              value: "name",
+            },
+            { name: `📧 Email (${account.email})`, value: "email" },
+            {
+              name: `🔑 SSH key (${account.sshKey || "none"})`,
+              value: "sshKey",
+            },
+            { name: `🌐 Host (${host.hostname})`, value: "host" },
+            {
+              name: `✍️  Commit signing (${this.describeSigning(account)})`,
+              value: "signing",
+            },
+            { name: `🏷️  Username / alias (${username})`, value: "username" },
+            { name: "🔌 Test SSH connection", value: "test" },
+            new inquirer.Separator(),
+            { name: "✅ Done", value: "done" },
+          ],
+        },
+      ]);
+
+      if (field === "done") break;
+
+      if (field === "test") {
+        await this.verifySSHConnection(account);
+        continue;
+      }
+
+      if (field === "name") {
+        const { name } = await this.prompt([
+          {
+            type: "input",
+            name: "name",
+            message: "Full name:",
+            default: account.name,
+            filter: (input) => input.trim(),
+            validate: (input) => input.length > 0 || "Name is required",
+          },
+        ]);
+        this.config.updateAccount(username, { name });
+      } else if (field === "email") {
+        const { email } = await this.prompt([
+          {
+            type: "input",
+            name: "email",
+            message: "Email:",
+            default: account.email,
+            filter: (input) => input.trim(),
+            validate: (input) => ConfigManager.validateEmail(input),
+          },
+        ]);
+        this.config.updateAccount(username, { email });
+      } else if (field === "sshKey") {
+        const { keyMethod } = await this.prompt([
+          {
+            type: "list",
+            name: "keyMethod",
+            message: "New SSH key:",
+            choices: [
+              { name: "🆕 Generate new SSH key", value: "generate" },
+              { name: "📝 Enter SSH key content directly", value: "paste" },
+              { name: "📁 Use existing SSH key file", value: "file" },
+              { name: "🔙 Keep current key", value: "keep" },
+            ],
+          },
+        ]);
+        if (keyMethod === "keep") continue;
+
+        const key = await this.promptForSSHKey(account, keyMethod);
+        if (!key) continue;
+        this.config.updateAccount(username, key);
+      } else if (field === "signing") {
+        const signing = await this.promptForSigning(account);
+        if (signing === undefined) continue;
+        this.config.updateAccount(username, { signing });
+      } else if (field === "host") {
+        const newHost = await this.promptForHost(host);
+        this.config.updateAccount(username, { host: newHost });
+      } else if (field === "username") {
+        const { newUsername } = await this.prompt([
+          {
+            type: "input",
+            name: "newUsername",
+            message: "Username:",
+            default: username,
+            filter: (input) => input.trim(),
+            validate: (input) => this.config.validateUsername(input, username),
+          },
+        ]);
+        if (newUsername === username) continue;
+
+        await this.renameAccount(username, newUsername);
+        username = newUsername;
+      }
+
+      changed = true;
+      console.log(chalk.green(`✅ Updated account: ${username}`));
+    }
+
+    if (changed) {
+      await this.reapplyAccount(username);
+    }
+  }
+
+  // Move the account to a new name along with its host alias, so remotes
+  // like git@github.com-old:owner/repo.git keep working
+  async renameAccount(oldName, newName) {
+    const oldAccount = this.config.getAccount(oldName);
+    this.config.renameAccount(oldName, newName);
+    const newAccount = this.config.getAccount(newName);
+
+    this.syncSSHConfig();
+    await this.rewriteKnownRemotes((url) => {
+      const plainUrl = HostManager.fromAliasRemote(url, {
+        [oldName]: oldAccount,
+      });
+      return plainUrl && HostManager.toAccountRemote(plainUrl, newAccount);
+    });
+  }
+
+  // Write an edited account's details everywhere it is in use: the SSH
+  // hosts, the global identity if it is current and any bound repositories
+  async reapplyAccount(username) {
+    const account = this.config.getAccount(username);
+    this.syncSSHConfig();
+
+    if (this.config.config.currentAccount === username) {
+      await GitManager.switchAccount(account);
+    }
+
+    for (const repoPath of this.config.getReposBoundTo(username)) {
+      if (!fs.existsSync(repoPath)) continue;
+
+      try {
+        await GitManager.applyRepoIdentity(account, { cwd: repoPath });
+        console.log(chalk.green(`🔗 Updated identity in ${repoPath}`));
+      } catch (error) {
+        console.log(
+          chalk.yellow(
+            `⚠️ Could not update ${repoPath}: ${error.stderr || error.message}`,
+          ),
+        );
+      }
+    }
+  }
+
+  async removeAccount() {
+    const accounts = this.config.getAccounts();
+    const accountNames = Object.keys(accounts);
+
+    if (accountNames.length === 0) {
+      console.log(chalk.yellow("📝 No accounts to remove."));
+      return;
+    }
+
+    const { accountToRemove } = await this.prompt([
+      {
+        type: "list",
+        name: "accountToRemove",
+        message: "Select account to remove:",
+        choices: accountNames,
+      },
+    ]);
+
+    const { confirmRemove } = await this.prompt([
+      {
+        type: "confirm",
+        name: "confirmRemove",
+        message: `Are you sure you want to remove account "${accountToRemove}"?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirmRemove) return;
+
+    let keyAction = "keep";
+    const account = this.config.getAccount(accountToRemove);
+    if (this.isRemovableKey(account)) {
+      ({ keyAction } = await this.prompt([
+        {
+          type: "list",
+          name: "keyAction",
+          message: `What should happen to ${SSHManager.getSSHKeyPath(account.sshKey)}?`,
+          choices: [
+            { name: "📦 Archive it (~/.ssh/gitqq-archive)", value: "archive" },
+            { name: "🔥 Securely delete it", value: "delete" },
+            { name: "🔑 Keep it", value: "keep" },
+          ],
+        },
+      ]));
+    }
+
+    await this.deleteAccount(accountToRemove, { keyAction });
+  }
+
+  // Only keys gitqq generated or imported, that no other account still
+  // uses, may be archived or deleted; "existing key file" keys are the user's
+  isRemovableKey(account) {
+    if (!account.customKey || !account.sshKey) return false;
+    if (!SSHManager.validateSSHKey(account.sshKey)) return false;
+
+    const accounts = this.config.getAccounts();
+    return !Object.keys(accounts).some(
+      (username) =>
+        username !== account.username &&
+        accounts[username].sshKey === account.sshKey,
+    );
+  }
+
+  // Remove an account and what it left behind: repository bindings, alias
+  // remotes, its ~/.ssh/config host, its gitqq-created key in ssh-agent and,
+  // when `keyAction` is "archive" or "delete", that key file
+  async deleteAccount(username, { keyAction = "keep" } = {}) {
+    const account = this.config.getAccount(username);
+    if (!account) {
+      throw new Error(`Account not found: ${username}`);
+    }
+    const removableKey = this.isRemovableKey(account);
+
+    for (const repoPath of this.config.getReposBoundTo(username)) {
+      if (fs.existsSync(repoPath)) {
+        await GitManager.unbindRepository({ cwd: repoPath });
+      }
+      this.config.unbindRepo(repoPath);
+      console.log(chalk.green(`⛓️  Unbound ${repoPath}`));
+    }
+
+    await this.rewriteKnownRemotes((url) =>
+      HostManager.fromAliasRemote(url, { [username]: account }),
+    );
+
+    this.config.removeAccount(username);
+    this.syncSSHConfig();
+
+    // A kept key still leaves the agent, so the account can't be used by
+    // accident once removed
+    if (removableKey) {
+      SSHManager.removeFromAgent(account.sshKey);
+    }
+    if (removableKey && keyAction !== "keep") {
+      try {
+        if (keyAction === "archive") {
+          const archiveDir = SSHManager.archiveKey(account.sshKey);
+          console.log(chalk.green(`📦 Archived SSH key to: ${archiveDir}`));
+        } else {
+          SSHManager.shredKey(account.sshKey);
+          console.log(chalk.green(`🔥 Deleted SSH key: ${account.sshKey}`));
+        }
+      } catch (error) {
+        console.log(
+          chalk.yellow(`⚠️ Could not remove SSH key: ${error.message}`),
+        );
+      }
+    }
+
+    console.log(chalk.green(`✅ Removed account: ${username}`));
+  }
+
+  // GITQQ_PASSPHRASE lets scripts skip the prompt
+  async promptForPassphrase({ confirm = false } = {}) {
+    if (process.env.GITQQ_PASSPHRASE) return process.env.GITQQ_PASSPHRASE;
+
+    const { passphrase } = await this.prompt([
+      {
+        type: "password",
+        name: "passphrase",
+        message: "Passphrase:",
+        mask: "*",
+        validate: (input) => input.length >= 8 || "Use at least 8 characters",
+      },
+      {
+        type: "password",
+        name: "repeat",
+        message: "Repeat passphrase:",
+        mask: "*",
+        when: () => confirm,
+        validate: (input, answers) =>
+          input === answers.passphrase || "Passphrases don't match",
+      },
+    ]);
+    return passphrase;
+  }
+
+  async exportAccounts(file, { includeKeys = false } = {}) {
+    const payload = BundleManager.collect(this.config, { includeKeys });
+    const count = Object.keys(payload.accounts).length;
+    if (count === 0) {
+      throw new Error("No accounts to export");
+    }
+
+    const passphrase = await this.promptForPassphrase({ confirm: true });
+    BundleManager.write(file, payload, passphrase);
+
+    const keyCount = Object.keys(payload.keys).length;
+    console.log(
+      chalk.green(
+        `✅ Exported ${count} account${count === 1 ? "" : "s"}${keyCount ? ` and ${keyCount} SSH key${keyCount === 1 ? "" : "s"}` : ""} to ${file}`,
+      ),
+    );
+    if (!includeKeys) {
+      console.log(
+        chalk.cyan(
+          "💡 Keys were not included; pass --include-keys to add them",
+        ),
+      );
+    }
+  }
+
+  // `onConflict` ("skip", "replace" or "rename") answers every name clash
+  // up front; without it each clash is asked about
+  async importAccounts(file, { onConflict } = {}) {
+    const passphrase = await this.promptForPassphrase();
+    const payload = BundleManager.read(file, passphrase);
+    const importedAs = {};
+
+    for (const [username, data] of Object.entries(payload.accounts || {})) {
+      let target = username;
+
+      if (this.config.getAccount(username)) {
+        let action = onConflict;
+        if (!action) {
+          ({ action } = await this.prompt([
+            {
+              type: "list",
+              name: "action",
+              message: `An account named "${username}" already exists:`,
+              choices: [
+                { name: "✏️  Import under another name", value: "rename" },
+                { name: "🔁 Replace the existing account", value: "replace" },
+                { name: "⏭️  Skip it", value: "skip" },
+              ],
+            },
+          ]));
+        }
+
+        if (action === "skip") {
+          console.log(chalk.yellow(`⏭️  Skipped ${username}`));
+          continue;
+        }
+        if (action === "rename") {
+          target = this.getFreeAccountName(username);
+          if (!onConflict) {
+            ({ target } = await this.prompt([
+              {
+                type: "input",
+                name: "target",
+                message: "Import as:",
+                default: target,
+                filter: (input) => input.trim(),
+                validate: (input) => this.config.validateUsername(input),
+              },
+            ]));
+          }
+        }
+      }
+
+      const account = { ...data };
+      const key = (payload.keys || {})[data.sshKey];
+      if (key) {
+        account.sshKey = BundleManager.restoreKey(data.sshKey, key);
+      } else if (account.sshKey && !SSHManager.validateSSHKey(account.sshKey)) {
+        console.log(
+          chalk.yellow(
+            `⚠️ ${target}: SSH key ${SSHManager.getSSHKeyPath(account.sshKey)} is not on this machine`,
+          ),
+        );
+      }
+
+      this.config.addAccount(target, account);
+      importedAs[username] = target;
+      console.log(
+        chalk.green(
+          `✅ Imported ${username}${target === username ? "" : ` as ${target}`}`,
+        ),
+      );
+    }
+
+    this.syncSSHConfig();
+
+    for (const binding of payload.bindings || []) {
+      const target = importedAs[binding.account];
+      if (!target || !fs.existsSync(binding.path)) continue;
+
+      try {
+        await GitManager.applyRepoIdentity(this.config.getAccount(target), {
+          cwd: binding.path,
+        });
+        this.config.bindRepo(target, binding.path);
+        console.log(chalk.green(`🔗 Bound ${binding.path} to ${target}`));
+      } catch {
+        // No longer a git repository
+      }
+    }
+
+    return importedAs;
+  }
+
+  // alice-imported, alice-imported-2, ...
+  getFreeAccountName(username) {
+    let name = `${username}-imported`;
+    for (let n = 2; this.config.getAccount(name); n++) {
+      name = `${username}-imported-${n}`;
+    }
+    return name;
+  }
+
+  async getCurrentBranch(account) {
+    return GitManager.getCurrentBranch(account);
+  }
+
+  // This repository's preferred branch, falling back to the branch the
+  // remote's HEAD points at
+  async getDefaultBranch(account) {
+    return (
+      this.config.getPreferredBranch() ||
+      (await GitManager.getRemoteDefaultBranch(account))
+    );
+  }
+
+  setDefaultBranch(branch) {
+    this.config.setPreferredBranch(branch);
+  }
+
+  // Switch to the preferred branch if it exists locally. Branches are only
+  // ever created when the user asks for one, so a preference this repository
+  // doesn't have is dropped in favour of the current branch.
+  async checkoutPreferredBranch(account) {
+    const preferred = await this.getDefaultBranch(account);
+    const current = await this.getCurrentBranch(account);
+    if (!preferred || preferred === current) return;
+
+    const branches = await GitManager.getLocalBranches(account).catch(() => []);
+    if (!branches.includes(preferred)) {
+      if (current) {
+        console.log(
+          chalk.yellow(
+            `⚠️ Branch ${preferred} doesn't exist here, staying on ${current}`,
+          ),
+        );
+        this.setDefaultBranch(current);
+      }
+      return;
+    }
+
+    try {
+      await GitManager.switchBranch(account, preferred);
+      console.log(chalk.blue(`🔄 Switched to branch: ${preferred}`));
+    } catch (error) {
+      console.log(
+        chalk.yellow(
+          `⚠️ Could not switch to ${preferred}: ${error.stderr || error.message}`,
+        ),
+      );
+    }
+  }
+
+  async handlePush(account) {
+    // Show detailed status before pushing
+    await this.showDetailedStatus(account);
+
+    // Check remote status first
+    console.log(chalk.gray("🔄 Checking remote status..."));
+    let remoteStatus;
+    try {
+      remoteStatus = await this.checkRemoteStatus(account);
+    } catch (error) {
+      console.log(
+        chalk.yellow(
+          "⚠️ Could not check remote status, proceeding with basic options",
+        ),
+      );
+      remoteStatus = {
+        remoteExists: false,
+        localAhead: false,
+        remoteAhead: false,
+        needsForcePush: false,
+        diverged: false,
+      };
+    }
+
+    // Check if there are uncommitted changes
+    const hasUncommitted = await this.hasUncommittedChanges(account);
+
+    if (hasUncommitted) {
+      console.log(chalk.yellow("⚠️ You have uncommitted changes."));
+      const { shouldCommit } = await this.prompt([
+        {
+          type: "list",
+          name: "shouldCommit",
+          message: "Commit changes before pushing?",
+          choices: [
+            { name: "✅ Yes, commit first", value: true },
+            { name: "❌ No, push without committing", value: false },
+          ],
+        },
+      ]);
+
+      if (shouldCommit) {
+        const { commitMessage, addAll } = await this.promptForCommit(account);
+
+        try {
+          console.log(
+            chalk.blue(
+              addAll
+                ? "🔄 Staging all files and creating commit..."
+                : "🔄 Creating commit...",
+            ),
+          );
+          await GitManager.commit(account, commitMessage, { all: addAll });
+          console.log(chalk.green("✅ Changes committed"));
+        } catch (error) {
+          if (error.message.includes("nothing to commit")) {
+            console.log(chalk.yellow("ℹ️ No changes to commit"));
+          } else {
+            console.log(chalk.red(`❌ Commit failed: ${error.message}`));
+          }
+          return;
+        }
+      }
+    }
+
+    const currentBranch = await this.getCurrentBranch(account);
+    if (!currentBranch) {
+      console.log(
+        chalk.red("❌ Not on a branch. Switch to a branch before pushing."),
+      );
+      return;
+    }
+
+    if (!(await this.checkPushIdentity(account, currentBranch))) {
+      return;
+    }
+
+    // Check if there's nothing to push
+    if (
+      !hasUncommitted &&
+      remoteStatus.remoteExists &&
+      !remoteStatus.localAhead &&
+      !remoteStatus.remoteAhead
+    ) {
+      console.log(
+        chalk.yellow("ℹ️ Everything is up to date - nothing to push"),
+      );
+      await this.pause(2000);
+      return;
+    }
+
+    // Determine push options based on remote status
+    let pushChoices = [];
+    let defaultMessage = `Push to origin/${currentBranch}:`;
+
+    if (remoteStatus.needsForcePush) {
+      console.log(
+        chalk.yellow(
+          "⚠️ Remote has changes that conflict with your local branch!",
+        ),
+      );
+      console.log(
+        chalk.cyan("💡 Recommendation: Use force push or pull/merge first"),
+      );
+      defaultMessage = `⚠️ Conflicting changes detected - Choose push method:`;
+      pushChoices = [
+        { name: "🔄 Fetch and Force Push (Recommended)", value: "force-fetch" },
+        { name: "💥 Force Push (with lease)", value: "force-lease" },
+        { name: "⚡ Force Push (override)", value: "force-override" },
+        { name: "🚀 Try Normal Push (may fail)", value: "normal" },
+        { name: "❌ Cancel and handle manually", value: "cancel" },
+      ];
+    } else if (remoteStatus.remoteAhead) {
+      console.log(
+        chalk.blue("ℹ️ Remote branch has new commits you don't have locally"),
+      );
+      console.log(
+        chalk.cyan("💡 Recommendation: Pull first or force push to override"),
+      );
+      defaultMessage = `📥 Remote is ahead - Choose action:`;
+      pushChoices = [
+        { name: "📥 Pull (rebase) and then push", value: "pull-rebase-push" },
+        { name: "📥 Pull (merge) and then push", value: "pull-push" },
+        { name: "💥 Force Push (with lease)", value: "force-lease" },
+        { name: "⚡ Force Push (override)", value: "force-override" },
+        { name: "❌ Cancel", value: "cancel" },
+      ];
+    } else if (remoteStatus.localAhead) {
+      console.log(
+        chalk.green("✅ Your local branch is ahead - normal push should work"),
+      );
+      pushChoices = [
+        { name: "🚀 Normal Push (Recommended)", value: "normal" },
+        { name: "💥 Force Push (with lease)", value: "force-lease" },
+        { name: "⚡ Force Push (override)", value: "force-override" },
+      ];
+    } else if (!remoteStatus.remoteExists) {
+      console.log(
+        chalk.blue("ℹ️ No remote branch found - creating new remote branch"),
+      );
+      pushChoices = [
+        { name: "🚀 Push and create remote branch", value: "normal" },
+        { name: "🔄 Force Push (with lease)", value: "force-lease" },
+      ];
+    } else {
+      // Branches are in sync - normal push should work
+      pushChoices = [
+        { name: "🚀 Normal Push", value: "normal" },
+        { name: "💥 Force Push (with lease)", value: "force-lease" },
+        { name: "⚡ Force Push (override)", value: "force-override" },
+        { name: "🔄 Fetch and Force Push", value: "force-fetch" },
+      ];
+    }
+
+    const protectedBy = this.config.getProtectedPattern(currentBranch);
+    if (protectedBy) {
+      console.log(
+        chalk.yellow(
+          `🔒 ${currentBranch} is protected (${protectedBy}): force pushes need the branch name to confirm`,
+        ),
+      );
+      pushChoices = pushChoices.filter(
+        (choice) => choice.value !== "force-override",
+      );
+    }
+
+    const { pushType } = await this.prompt([
+      {
+        type: "list",
+        name: "pushType",
+        message: defaultMessage,
+        choices: pushChoices,
+      },
+    ]);
+
+    if (pushType === "cancel") {
+      console.log(chalk.blue("📝 Push cancelled. Handle conflicts manually."));
+      return;
+    }
+
+    if (
+      protectedBy &&
+      ["force-lease", "force-fetch"].includes(pushType) &&
+      !(await this.confirmProtectedBranch(account, currentBranch, [
+        "push",
+        "--force-with-lease",
+        "origin",
+        currentBranch,
+      ]))
+    ) {
+      return;
+    }
+
+    try {
+      let mode = "normal";
+
+      if (pushType === "pull-push" || pushType === "pull-rebase-push") {
+        console.log(chalk.blue("📥 Pulling latest changes first..."));
+        const pulled = await this.runSync(
+          account,
+          currentBranch,
+          pushType === "pull-push" ? "merge" : "rebase",
+        );
+        if (!pulled) return;
+        console.log(chalk.blue(`🔄 Now pushing to origin/${currentBranch}`));
+      } else if (pushType === "force-lease") {
+        mode = "force-lease";
+        console.log(
+          chalk.yellow(
+            `🔄 Force pushing (with lease) to origin/${currentBranch}`,
+          ),
+        );
+      } else if (pushType === "force-override") {
+        console.log(chalk.red("⚠️ This will override any remote changes!"));
+        mode = "force-override";
+        console.log(
+          chalk.red(`🔄 Force pushing (override) to origin/${currentBranch}`),
+        );
+      } else if (pushType === "force-fetch") {
+        console.log(chalk.blue("🔄 Fetching latest changes first..."));
+        await GitManager.executeGitCommand(
+          ["fetch", "origin", currentBranch],
+          account,
+        );
+        mode = "force-lease";
+        console.log(
+          chalk.yellow(
+            `🔄 Force pushing (with lease) to origin/${currentBranch}`,
+          ),
+        );
+      } else {
+        console.log(chalk.blue(`🔄 Pushing to origin/${currentBranch}`));
+      }
+
+      const result = await GitManager.push(account, currentBranch, { mode });
+      if (result.stdout) console.log(result.stdout);
+      if (result.stderr) console.log(chalk.yellow(result.stderr));
+      console.log(chalk.green("✅ Push completed"));
+
+      this.setDefaultBranch(currentBranch);
+    } catch (error) {
+      if (error.message.includes("no upstream branch")) {
+        try {
+          console.log(chalk.yellow("⚠️ Setting upstream branch..."));
+          console.log(
+            chalk.blue(
+              `🔄 Running: git push --set-upstream origin ${currentBranch}`,
+            ),
+          );
+
+          const result = await GitManager.push(account, currentBranch, {
+            mode: "upstream",
+          });
+          if (result.stdout) console.log(result.stdout);
+          if (result.stderr) console.log(chalk.yellow(result.stderr));
+          console.log(chalk.green("✅ Upstream set and pushed successfully"));
+        } catch (upstreamError) {
+          console.log(
+            chalk.red(`❌ Failed to set upstream: ${upstreamError.message}`),
+          );
+        }
+      } else {
+        console.log(chalk.red(`❌ Push failed: ${error.message}`));
+      }
+    }
+  }
+
+  // Force pushes and remote deletions of a protected branch go ahead only
+  // once its name is typed; anything else is recorded as a blocked attempt
+  async confirmProtectedBranch(account, branch, command) {
+    const { typedBranch } = await this.prompt([
+      {
+        type: "input",
+        name: "typedBranch",
+        message: `🔒 ${branch} is protected. Type its name to confirm:`,
+        filter: (input) => input.trim(),
+      },
+    ]);
+    if (typedBranch === branch) return true;
+
+    AuditLog.recordBlocked(
+      account,
+      command,
+      `${branch} is protected and the typed name didn't match`,
+    );
+    console.log(chalk.red(`❌ Cancelled: "${typedBranch}" isn't ${branch}`));
+    return false;
+  }
+
+  // Lists the commits about to be pushed and, when some weren't made with
+  // this account's email, offers to re-author them first. Resolves false
+  // when the push should stop.
+  async checkPushIdentity(account, branch) {
+    if (!account || !account.email) return true;
+
+    const commits = await GitManager.getUnpushedCommits(account, branch);
+    if (commits.length === 0) return true;
+    const mismatched = GitManager.findIdentityMismatches(
+      commits,
+      account.email,
+    );
+
+    console.log(chalk.cyan(`\n📤 ${commits.length} commit(s) to push:`));
+    commits.forEach((commit) => {
+      const who =
+        commit.authorEmail === commit.committerEmail
+          ? commit.authorEmail
+          : `${commit.authorEmail}, committed by ${commit.committerEmail}`;
+      console.log(
+        mismatched.includes(commit)
+          ? chalk.red(`   ⚠️  ${commit.shortSha} ${commit.subject} (${who})`)
+          : `   ${commit.shortSha} ${commit.subject} ${chalk.gray(`(${who})`)}`,
+      );
+    });
+    if (mismatched.length === 0) return true;
+
+    console.log(
+      chalk.yellow(
+        `⚠️ ${mismatched.length} commit(s) weren't made as ${account.email}`,
+      ),
+    );
+    const { identityAction } = await this.prompt([
+      {
+        type: "list",
+        name: "identityAction",
+        message: "Before pushing:",
+        choices: [
+          {
+            name: `✏️  Rewrite them as ${account.name || account.username} <${account.email}> (Recommended)`,
+            value: "rewrite",
+          },
+          { name: "🚀 Push them as they are", value: "push" },
+          { name: "❌ Cancel", value: "cancel" },
+        ],
+      },
+    ]);
+    if (identityAction === "cancel") return false;
+    if (identityAction === "push") return true;
+
+    return this.withStashedChanges(account, "rewriting commits", async () => {
+      try {
+        await GitManager.rewriteIdentity(account, branch);
+      } catch (error) {
+        if ((await GitManager.getOperationInProgress(account)) === "rebase") {
+          await GitManager.resolveOperation(account, "rebase", "abort");
+        }
+        console.log(chalk.red(`❌ Rewrite failed: ${error.message}`));
+        return false;
+      }
+      console.log(chalk.green(`✅ Commits re-authored as ${account.email}`));
+      return true;
+    });
+  }
+
+  async handleSync(account) {
+    const operation = await GitManager.getOperationInProgress(account);
+    if (operation) {
+      await this.handleOperationInProgress(account, operation);
+      return;
+    }
+
+    const currentBranch = await this.getCurrentBranch(account);
+    if (!currentBranch) {
+      console.log(
+        chalk.red("❌ Not on a branch. Switch to a branch before syncing."),
+      );
+      return;
+    }
+
+    console.log(chalk.gray("🔄 Checking remote status..."));
+    const status = await this.checkRemoteStatus(account);
+    const recommended = GitManager.recommendSyncStrategy(status);
+
+    const strategies = {
+      fetch: "📡 Fetch only (don't change your branch)",
+      "ff-only": "⏩ Pull, fast-forward only",
+      rebase: "📥 Pull with rebase (replay your commits on top)",
+      merge: "🔀 Pull with merge (create a merge commit if needed)",
+    };
+    const { strategy } = await this.prompt([
+      {
+        type: "list",
+        name: "strategy",
+        message: `Sync ${currentBranch} with origin/${currentBranch}:`,
+        default: recommended,
+        choices: [
+          ...Object.entries(strategies).map(([value, name]) => ({
+            name: value === recommended ? `${name} (Recommended)` : name,
+            value,
+          })),
+          { name: "❌ Cancel", value: "cancel" },
+        ],
+      },
+    ]);
+
+    if (strategy !== "cancel") {
+      await this.runSync(account, currentBranch, strategy);
+    }
+  }
+
+  // Runs a sync strategy and walks the user through any conflicts it stops
+  // on. Resolves true when the branch ends up updated.
+  async runSync(account, branch, strategy) {
+    if (strategy !== "fetch") {
+      return this.withStashedChanges(account, `pulling ${branch}`, () =>
+        this.pullAndResolve(account, branch, strategy),
+      );
+    }
+    return this.pullAndResolve(account, branch, strategy);
+  }
+
+  async pullAndResolve(account, branch, strategy) {
+    try {
+      const result = await GitManager.sync(account, branch, strategy);
+      if (result.stdout) console.log(result.stdout);
+      console.log(
+        chalk.green(
+          strategy === "fetch"
+            ? `✅ Fetched origin/${branch}`
+            : `✅ ${branch} is up to date with origin/${branch}`,
+        ),
+      );
+      return true;
+    } catch (error) {
+      const operation = await GitManager.getOperationInProgress(account);
+      if (!operation) {
+        console.log(chalk.red(`❌ Sync failed: ${error.message}`));
+        if (strategy === "ff-only") {
+          console.log(
+            chalk.yellow(
+              "💡 Your branch has diverged; pull with rebase or merge instead",
+            ),
+          );
+        }
+        return false;
+      }
+
+      console.log(chalk.yellow(`⚠️ The ${operation} stopped on conflicts`));
+      return this.handleOperationInProgress(account, operation);
+    }
+  }
+
+  // Lists conflicted files and offers to continue, skip or abort until the
+  // operation finishes or the user backs out. Resolves true once finished.
+  async handleOperationInProgress(account, operation) {
+    while (operation) {
+      const conflicted = await GitManager.getConflictedFiles(account);
+      console.log(chalk.yellow(`\n⏸️  A ${operation} is in progress`));
+      if (conflicted.length > 0) {
+        console.log(chalk.red(`⚔️  ${conflicted.length} conflicted file(s):`));
+        conflicted.forEach((file) => console.log(chalk.red(`   ${file}`)));
+      } else {
+        console.log(chalk.green("✅ No conflicts left"));
+      }
+
+      const { resolution } = await this.prompt([
+        {
+          type: "list",
+          name: "resolution",
+          message: `What would you like to do with the ${operation}?`,
+          choices: [
+            ...(conflicted.length > 0
+              ? [
+                  {
+                    name: "🩹 Resolve conflicts file by file",
+                    value: "resolve",
+                  },
+                ]
+              : []),
+            {
+              name:
+                conflicted.length > 0
+                  ? "▶️  Continue (resolve and stage the files first)"
+                  : "▶️  Continue",
+              value: "continue",
+            },
+            ...(operation === "merge"
+              ? []
+              : [{ name: "⏭️  Skip this commit", value: "skip" }]),
+            { name: `🛑 Abort the ${operation}`, value: "abort" },
+            { name: "🔙 Leave it for now", value: "back" },
+          ],
+        },
+      ]);
+
+      if (resolution === "back") return false;
+      if (resolution === "resolve") {
+        await this.resolveConflicts(account, operation);
+        continue;
+      }
+
+      try {
+        await GitManager.resolveOperation(account, operation, resolution);
+      } catch (error) {
+        console.log(
+          chalk.red(`❌ ${operation} --${resolution} failed: ${error.message}`),
+        );
+      }
+
+      const previous = operation;
+      operation = await GitManager.getOperationInProgress(account);
+      if (!operation) {
+        console.log(
+          resolution === "abort"
+            ? chalk.blue(`↩️  ${previous} aborted`)
+            : chalk.green(`✅ ${previous} finished`),
+        );
+        return resolution !== "abort";
+      }
+    }
+    return true;
+  }
+
+  // Pages through `git log --graph`, optionally searched or limited to the
+  // active account's commits
+  async handleHistory(account) {
+    const currentBranch = await this.getCurrentBranch(account);
+    let branch = null;
+    let page = 0;
+    let search = "";
+    let mine = false;
+
+    for (;;) {
+      const entries = await GitManager.getLog(account, {
+        branch,
+        skip: page * HISTORY_PAGE_SIZE,
+        limit: HISTORY_PAGE_SIZE + 1,
+        search,
+        authorEmail: mine ? account.email : null,
+      });
+      const hasMore = entries.length > HISTORY_PAGE_SIZE;
+      const filters = [
+        search && `matching "${search}"`,
+        mine && `by ${account.email}`,
+      ].filter(Boolean);
+      if (entries.length === 0) {
+        console.log(chalk.gray("📜 No commits found"));
+      }
+
+      const { selected } = await this.prompt([
+        {
+          type: "list",
+          name: "selected",
+          message: `📜 ${branch || currentBranch || "HEAD"}, page ${page + 1}${filters.length ? ` (${filters.join(", ")})` : ""}:`,
+          pageSize: HISTORY_PAGE_SIZE + 6,
+          loop: false,
+          choices: [
+            ...entries.slice(0, HISTORY_PAGE_SIZE).map((entry) => ({
+              name: this.formatLogEntry(entry),
+              value: entry.sha,
+            })),
+            new inquirer.Separator(),
+            ...(page > 0
+              ? [{ name: "⬅️  Newer commits", value: "newer" }]
+              : []),
+            ...(hasMore ? [{ name: "➡️  Older commits", value: "older" }] : []),
+            {
+              name: search
+                ? `🔍 Search (now "${search}")`
+                : "🔍 Search messages",
+              value: "search",
+            },
+            ...(account && account.email
+              ? [
+                  {
+                    name: mine
+                      ? "👥 Show everyone's commits"
+                      : `👤 Only my commits (${account.email})`,
+                    value: "mine",
+                  },
+                ]
+              : []),
+            { name: "🌿 Browse another branch", value: "branch" },
+            { name: "🔙 Back", value: "back" },
+          ],
+        },
+      ]);
+
+      if (selected === "back") return;
+      if (selected === "newer") page--;
+      else if (selected === "older") page++;
+      else if (selected === "branch") {
+        const branches = await GitManager.getLocalBranches(account);
+        ({ branch } = await this.prompt([
+          {
+            type: "list",
+            name: "branch",
+            message: "Branch:",
+            choices: branches.map((name) => ({
+              name: name === currentBranch ? `${name} (current)` : name,
+              value: name === currentBranch ? null : name,
+            })),
+          },
+        ]));
+        page = 0;
+      } else if (selected === "mine") {
+        mine = !mine;
+        page = 0;
+      } else if (selected === "search") {
+        ({ search } = await this.prompt([
+          {
+            type: "input",
+            name: "search",
+            message: "Search commit messages (empty to clear):",
+            default: search,
+            filter: (input) => input.trim(),
+          },
+        ]));
+        page = 0;
+      } else {
+        try {
+          await this.handleCommitEntry(account, selected);
+        } catch (error) {
+          console.log(chalk.red(`❌ ${error.message}`));
+        }
+      }
+    }
+  }
+
+  formatLogEntry(entry) {
+    return [
+      chalk.gray(entry.graph),
+      chalk.yellow(entry.shortSha),
+      entry.refs.length ? chalk.cyan(`(${entry.refs.join(", ")})`) : null,
+      entry.subject,
+      chalk.gray(`- ${entry.author}, ${entry.age}`),
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  async handleCommitEntry(account, sha) {
+    const shortSha = sha.slice(0, 7);
+    this.printDiff(await GitManager.showCommit(account, sha));
+
+    const { commitAction } = await this.prompt([
+      {
+        type: "list",
+        name: "commitAction",
+        message: `Commit ${shortSha}:`,
+        choices: [
+          {
+            name: "🍒 Cherry-pick onto the current branch",
+            value: "cherry-pick",
+          },
+          { name: "↩️  Revert (new commit undoing it)", value: "revert" },
+          { name: "⏪ Reset the current branch to here", value: "reset" },
+          { name: "🌿 Create a branch here", value: "branch" },
+          { name: "🏷️  Create a tag here", value: "tag" },
+          { name: "📋 Copy SHA", value: "copy" },
+          { name: "🔙 Back", value: "back" },
+        ],
+      },
+    ]);
+
+    switch (commitAction) {
+      case "cherry-pick":
+      case "revert":
+        try {
+          if (commitAction === "cherry-pick") {
+            await GitManager.cherryPick(account, sha);
+          } else {
+            await GitManager.revertCommit(account, sha);
+          }
+          console.log(chalk.green(`✅ ${commitAction} of ${shortSha} done`));
+        } catch (error) {
+          const operation = await GitManager.getOperationInProgress(account);
+          if (!operation) throw error;
+          console.log(chalk.yellow(`⚠️ The ${operation} stopped on conflicts`));
+          await this.handleOperationInProgress(account, operation);
+        }
+        break;
+      case "reset":
+        await this.resetToCommit(account, sha);
+        break;
+      case "branch": {
+        const { branchName } = await this.prompt([
+          {
+            type: "input",
+            name: "branchName",
+            message: "New branch name:",
+            filter: (input) => input.trim(),
+            validate: (input) => GitManager.validateBranchName(input),
+          },
+        ]);
+        await GitManager.createBranchAt(account, branchName, sha);
+        console.log(chalk.green(`✅ Created ${branchName} at ${shortSha}`));
+        break;
+      }
+      case "tag": {
+        const { tagName } = await this.prompt([
+          {
+            type: "input",
+            name: "tagName",
+            message: "Tag name:",
+            filter: (input) => input.trim(),
+            validate: (input) => GitManager.validateTagName(input),
+          },
+        ]);
+        await GitManager.createTag(account, tagName, { target: sha });
+        console.log(chalk.green(`✅ Tagged ${shortSha} as ${tagName}`));
+        break;
+      }
+      case "copy":
+        if (copyToClipboard(sha)) {
+          console.log(chalk.green(`📋 Copied ${sha}`));
+        } else {
+          console.log(
+            chalk.yellow(`No clipboard available, here it is: ${sha}`),
+          );
+        }
+        break;
+    }
+  }
+
+  async resetToCommit(account, sha) {
+    const { resetMode } = await this.prompt([
+      {
+        type: "list",
+        name: "resetMode",
+        message: `Reset the current branch to ${sha.slice(0, 7)}:`,
+        choices: [
+          { name: "🪶 Soft - keep the changes staged", value: "soft" },
+          { name: "📝 Mixed - keep the changes, unstaged", value: "mixed" },
+          {
+            name: "💣 Hard - discard the commits and all uncommitted changes",
+            value: "hard",
+          },
+          { name: "❌ Cancel", value: "cancel" },
+        ],
+      },
+    ]);
+    if (resetMode === "cancel") return;
+
+    const { confirmReset } = await this.prompt([
+      {
+        type: "confirm",
+        name: "confirmReset",
+        message:
+          resetMode === "hard"
+            ? chalk.red(
+                "Hard reset? Commits after this one and every uncommitted change will be lost.",
+              )
+            : `${resetMode} reset to ${sha.slice(0, 7)}?`,
+        default: false,
+      },
+    ]);
+    if (!confirmReset) {
+      console.log(chalk.blue("Reset cancelled"));
+      return;
+    }
+
+    await GitManager.resetTo(account, sha, resetMode);
+    console.log(chalk.green(`✅ Reset (${resetMode}) to ${sha.slice(0, 7)}`));
+  }
+
+  async handleTags(account) {
+    for (;;) {
+      const tags = await GitManager.listTags(account);
+      let remoteTags = null;
+      try {
+        remoteTags = await GitManager.listRemoteTags(account);
+      } catch {
+        console.log(chalk.gray("ℹ️ Could not list tags on origin"));
+      }
+      const localNames = tags.map((tag) => tag.name);
+      const remoteOnly = (remoteTags || []).filter(
+        (name) => !localNames.includes(name),
+      );
+      const latest = ConventionalCommits.getLatestVersion(localNames);
+      const suggestion = ConventionalCommits.suggestNextVersion(
+        localNames,
+        await GitManager.getCommitMessages(account, latest && latest.tag),
+      );
+
+      const { selected } = await this.prompt([
+        {
+          type: "list",
+          name: "selected",
+          message: "Tags:",
+          pageSize: 20,
+          choices: [
+            ...tags.map((tag) => {
+              const where =
+                remoteTags === null
+                  ? ""
+                  : remoteTags.includes(tag.name)
+                    ? " 🌐"
+                    : chalk.gray(" (local only)");
+              const kind = tag.signed
+                ? "✍️  signed"
+                : tag.annotated
+                  ? "📝 annotated"
+                  : "🏷️  lightweight";
+              return {
+                name: `${tag.name}${where} ${chalk.gray(`${kind}, ${tag.age}${tag.subject ? ` - ${tag.subject}` : ""}`)}`,
+                value: `tag:${tag.name}`,
+              };
+            }),
+            ...remoteOnly.map((name) => ({
+              name: `${name} ${chalk.gray("(only on origin)")}`,
+              value: `origin:${name}`,
+            })),
+            new inquirer.Separator(),
+            {
+              name: `🔢 Tag the next version (${suggestion.next}${suggestion.current ? `, ${suggestion.bump} bump from ${suggestion.current}` : ""})`,
+              value: "next",
+            },
+            { name: "➕ Create tag", value: "create" },
+            { name: "📤 Push all tags", value: "push-all" },
+            { name: "🔙 Back", value: "back" },
+          ],
+        },
+      ]);
+
+      if (selected === "back") return;
+      try {
+        if (selected === "next") {
+          await this.createTag(account, { defaultName: suggestion.next });
+        } else if (selected === "create") {
+          await this.createTag(account);
+        } else if (selected === "push-all") {
+          console.log(chalk.blue("📤 Pushing all tags to origin..."));
+          await GitManager.pushAllTags(account);
+          console.log(chalk.green("✅ Tags pushed"));
+        } else {
+          // "tag:<name>" for local tags, "origin:<name>" for remote-only ones
+          const name = selected.replace(/^(tag|origin):/, "");
+          await this.handleTagEntry(account, name, {
+            local: selected.startsWith("tag:"),
+            onRemote: Boolean(remoteTags && remoteTags.includes(name)),
+          });
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ Tag operation failed: ${error.message}`));
+      }
+    }
+  }
+
+  async createTag(account, { defaultName } = {}) {
+    const existing = (await GitManager.listTags(account)).map(
+      (tag) => tag.name,
+    );
+    const signs = Boolean(account && account.signing);
+
+    const { tagName, tagType, tagMessage, pushTag } = await this.prompt([
+      {
+        type: "input",
+        name: "tagName",
+        message: "Tag name:",
+        default: defaultName,
+        filter: (input) => input.trim(),
+        validate: (input) => {
+          if (existing.includes(input)) return `Tag ${input} already exists`;
+          return GitManager.validateTagName(input);
+        },
+      },
+      {
+        type: "list",
+        name: "tagType",
+        message: "Kind of tag:",
+        choices: [
+          {
+            name: signs
+              ? "✍️  Annotated and signed with this account's key"
+              : "📝 Annotated (with a message, author and date)",
+            value: "annotated",
+          },
+          { name: "🏷️  Lightweight (just a name)", value: "lightweight" },
+        ],
+      },
+      {
+        type: "input",
+        name: "tagMessage",
+        message: "Tag message:",
+        default: (answers) => answers.tagName,
+        when: (answers) => answers.tagType === "annotated",
+        validate: (input) => input.trim().length > 0 || "Message is required",
+      },
+      {
+        type: "confirm",
+        name: "pushTag",
+        message: "Push it to origin?",
+        default: false,
+      },
+    ]);
+
+    await GitManager.createTag(account, tagName, {
+      message: tagType === "annotated" ? tagMessage.trim() : undefined,
+    });
+    console.log(chalk.green(`✅ Created tag ${tagName}`));
+
+    if (pushTag) {
+      await GitManager.pushTag(account, tagName);
+      console.log(chalk.green(`✅ Pushed ${tagName} to origin`));
+    }
+  }
+
+  async handleTagEntry(account, name, { local, onRemote }) {
+    const { tagAction } = await this.prompt([
+      {
+        type: "list",
+        name: "tagAction",
+        message: `${name}:`,
+        choices: [
+          ...(local && !onRemote
+            ? [{ name: "📤 Push to origin", value: "push" }]
+            : []),
+          ...(local ? [{ name: "🗑️  Delete locally", value: "delete" }] : []),
+          ...(onRemote
+            ? [{ name: "🌐 Delete on origin", value: "delete-remote" }]
+            : []),
+          ...(local && onRemote
+            ? [
+                {
+                  name: "💥 Delete locally and on origin",
+                  value: "delete-both",
+                },
+              ]
+            : []),
+          { name: "🔙 Back", value: "back" },
+        ],
+      },
+    ]);
+    if (tagAction === "back") return;
+
+    if (tagAction === "push") {
+      await GitManager.pushTag(account, name);
+      console.log(chalk.green(`✅ Pushed ${name} to origin`));
+      return;
+    }
+
+    const { confirmDelete } = await this.prompt([
+      {
+        type: "confirm",
+        name: "confirmDelete",
+        message: `Delete tag ${name}${tagAction === "delete" ? "" : " on origin"}?`,
+        default: false,
+      },
+    ]);
+    if (!confirmDelete) return;
+
+    if (tagAction === "delete-remote" || tagAction === "delete-both") {
+      await GitManager.deleteRemoteTag(account, name);
+      console.log(chalk.green(`✅ Deleted ${name} on origin`));
+    }
+    if (tagAction === "delete" || tagAction === "delete-both") {
+      await GitManager.deleteTag(account, name);
+      console.log(chalk.green(`✅ Deleted local tag ${name}`));
+    }
+  }
+
+  async handleStash(account) {
+    for (;;) {
+      const stashes = await GitManager.listStashes(account);
+      if (stashes.length === 0) {
+        console.log(chalk.gray("📦 No stashes yet"));
+      }
+
+      const { selected } = await this.prompt([
+        {
+          type: "list",
+          name: "selected",
+          message: "Stashes:",
+          pageSize: 15,
+          choices: [
+            ...stashes.map((stash) => ({
+              name: `📦 ${stash.ref} ${stash.message} ${chalk.gray(`(${stash.branch || "?"}, ${stash.age})`)}`,
+              value: stash.ref,
+            })),
+            new inquirer.Separator(),
+            { name: "➕ Stash current changes", value: "create" },
+            { name: "🔙 Back", value: "back" },
+          ],
+        },
+      ]);
+
+      if (selected === "back") return;
+      try {
+        if (selected === "create") {
+          await this.createStash(account);
+        } else {
+          await this.handleStashEntry(account, selected);
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ Stash operation failed: ${error.message}`));
+      }
+    }
+  }
+
+  async createStash(account) {
+    const entries = await GitManager.getStatusEntries(account);
+    if (entries.length === 0) {
+      console.log(chalk.yellow("ℹ️ No changes to stash"));
+      return;
+    }
+
+    const { scope, files, message } = await this.prompt([
+      {
+        type: "list",
+        name: "scope",
+        message: "What should be stashed?",
+        choices: [
+          { name: "📝 All tracked changes", value: "tracked" },
+          {
+            name: "📄 All changes, including untracked files",
+            value: "untracked",
+          },
+          { name: "🗂️  Only selected files", value: "pick" },
+        ],
+      },
+      {
+        type: "checkbox",
+        name: "files",
+        message: "Files to stash:",
+        pageSize: 15,
+        when: (answers) => answers.scope === "pick",
+        choices: entries.map((entry) => ({
+          name: `${entry.type.padEnd(12)} ${entry.path}`,
+          value: entry.path,
+        })),
+        validate: (input) => input.length > 0 || "Select at least one file",
+      },
+      {
+        type: "input",
+        name: "message",
+        message: "Stash message (optional):",
+        default: "",
+        filter: (input) => input.trim(),
+      },
+    ]);
+
+    const paths = files || [];
+    const stashed = await GitManager.createStash(
+      account,
+      {
+        message,
+        // Untracked files only get stashed when included
+        includeUntracked:
+          scope === "untracked" ||
+          entries.some(
+            (entry) => entry.type === "untracked" && paths.includes(entry.path),
+          ),
+        paths,
+      },
+      // Status paths are relative to the top-level folder
+      { cwd: await GitManager.getTopLevel(account) },
+    );
+    console.log(
+      stashed
+        ? chalk.green("✅ Changes stashed")
+        : chalk.yellow("ℹ️ No changes to stash"),
+    );
+  }
+
+  async handleStashEntry(account, ref) {
+    const { stashAction } = await this.prompt([
+      {
+        type: "list",
+        name: "stashAction",
+        message: `${ref}:`,
+        choices: [
+          { name: "👀 Show changes", value: "show" },
+          { name: "📥 Apply (keep the stash)", value: "apply" },
+          { name: "📤 Pop (apply and drop)", value: "pop" },
+          { name: "🗑️  Drop", value: "drop" },
+          { name: "🔙 Back", value: "back" },
+        ],
+      },
+    ]);
+
+    if (stashAction === "show") {
+      this.printDiff(await GitManager.showStash(account, ref));
+    } else if (stashAction === "apply" || stashAction === "pop") {
+      await this.applyStash(account, ref, { pop: stashAction === "pop" });
+    } else if (stashAction === "drop") {
+      const { confirmDrop } = await this.prompt([
+        {
+          type: "confirm",
+          name: "confirmDrop",
+          message: `Drop ${ref}? Its changes will be lost.`,
+          default: false,
+        },
+      ]);
+      if (confirmDrop) {
+        await GitManager.dropStash(account, ref);
+        console.log(chalk.green(`✅ Dropped ${ref}`));
+      }
+    }
+  }
+
+  // Resolves false when the stash didn't apply cleanly
+  async applyStash(account, ref, { pop = false } = {}) {
+    try {
+      await GitManager.applyStash(account, ref, { pop });
+      console.log(chalk.green(pop ? `✅ Popped ${ref}` : `✅ Applied ${ref}`));
+      return true;
+    } catch (error) {
+      const conflicted = await GitManager.getConflictedFiles(account);
+      if (conflicted.length === 0) throw error;
+      console.log(
+        chalk.yellow(
+          `⚠️ ${ref} conflicts with your changes in: ${conflicted.join(", ")}`,
+        ),
+      );
+      console.log(
+        chalk.yellow(
+          "💡 The stash was kept; use ⚔️  Resolve Conflicts, then drop it",
+        ),
+      );
+      return false;
+    }
+  }
+
+  // Runs `action` after offering to stash uncommitted changes around it:
+  // stash, run, re-apply. Resolves the action's result, or false when the
+  // user cancels.
+  async withStashedChanges(account, description, action) {
+    const dirty = (await GitManager.getStatusEntries(account)).some(
+      (entry) => !entry.untracked,
+    );
+    if (!dirty) return action();
+
+    const { dirtyChoice } = await this.prompt([
+      {
+        type: "list",
+        name: "dirtyChoice",
+        message: `You have uncommitted changes. Before ${description}:`,
+        choices: [
+          { name: "📦 Stash them, then re-apply afterwards", value: "stash" },
+          { name: "➡️  Keep them in place and try anyway", value: "keep" },
+          { name: "❌ Cancel", value: "cancel" },
+        ],
+      },
+    ]);
+    if (dirtyChoice === "cancel") return false;
+    if (dirtyChoice === "keep") return action();
+
+    const stash = await GitManager.createStash(account, {
+      message: `gitqq: before ${description}`,
+    });
+    if (!stash) return action();
+    console.log(chalk.blue("📦 Changes stashed"));
+
+    let result;
+    try {
+      result = await action();
+    } finally {
+      // Only the stash made above is popped, wherever it is in the list now
+      const ref = await GitManager.findStash(account, stash);
+      if (!ref) {
+        console.log(
+          chalk.yellow("⚠️ The stash with your changes is no longer there"),
+        );
+      } else if (await GitManager.getOperationInProgress(account)) {
+        // An operation stopped on conflicts keeps the stash until it's done
+        console.log(
+          chalk.yellow(
+            `💡 Your changes are still stashed as ${ref}; pop it once you're done`,
+          ),
+        );
+      } else {
+        console.log(chalk.blue("📦 Re-applying your changes..."));
+        await this.applyStash(account, ref, { pop: true });
+      }
+    }
+    return result;
+  }
+
+  // Walks through the conflicted files one at a time until none are left or
+  // the user backs out. Resolves true when every conflict is resolved.
+  async resolveConflicts(account, operation) {
+    // During a rebase HEAD is the upstream and "theirs" is your own commit
+    const sides =
+      operation === "rebase"
+        ? {
+            ours: "upstream (the branch you're rebasing onto)",
+            theirs: "your commit",
+          }
+        : { ours: "your branch (HEAD)", theirs: "the incoming change" };
+
+    for (;;) {
+      const conflicted = await GitManager.getConflictedFiles(account);
+      if (conflicted.length === 0) {
+        console.log(chalk.green("✅ All conflicts resolved"));
+        return true;
+      }
+      console.log(
+        chalk.yellow(`\n⚔️  ${conflicted.length} conflicted file(s) remaining`),
+      );
+      const fileChoices = [];
+      for (const conflictedFile of conflicted) {
+        const markers = await GitManager.countConflictMarkers(
+          account,
+          conflictedFile,
+        );
+        fileChoices.push({
+          name: markers
+            ? `${conflictedFile} ${chalk.gray(`(${markers} conflict${markers === 1 ? "" : "s"})`)}`
+            : conflictedFile,
+          value: conflictedFile,
+        });
+      }
+
+      const { file, resolution } = await this.prompt([
+        {
+          type: "list",
+          name: "file",
+          message: "Which file?",
+          pageSize: 15,
+          choices: [...fileChoices, { name: "🔙 Back", value: null }],
+        },
+        {
+          type: "list",
+          name: "resolution",
+          message: (answers) => `Resolve ${answers.file}:`,
+          when: (answers) => answers.file !== null,
+          choices: [
+            { name: `⬅️  Take ours - ${sides.ours}`, value: "ours" },
+            { name: `➡️  Take theirs - ${sides.theirs}`, value: "theirs" },
+            { name: "📝 Open in editor", value: "editor" },
+            { name: "🧰 Launch configured mergetool", value: "mergetool" },
+            { name: "🔙 Pick another file", value: "back" },
+          ],
+        },
+      ]);
+
+      if (file === null) return false;
+
+      try {
+        if (resolution === "ours" || resolution === "theirs") {
+          await GitManager.takeConflictSide(account, file, resolution);
+          console.log(chalk.green(`✅ ${file}: took ${resolution}`));
+        } else if (resolution === "editor") {
+          await GitManager.openInEditor(account, file);
+          await this.markEditedFileResolved(account, file);
+        } else if (resolution === "mergetool") {
+          await GitManager.runMergetool(account, file);
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+      }
+    }
+  }
+
+  async markEditedFileResolved(account, file) {
+    const markers = await GitManager.countConflictMarkers(account, file);
+    if (markers > 0) {
+      console.log(
+        chalk.yellow(`⚠️ ${file} still has ${markers} conflict marker(s)`),
+      );
+    }
+
+    const { markResolved } = await this.prompt([
+      {
+        type: "confirm",
+        name: "markResolved",
+        message: `Mark ${file} as resolved?`,
+        default: markers === 0,
+      },
+    ]);
+    if (markResolved) {
+      await GitManager.stageFiles(account, [file]);
+      console.log(chalk.green(`✅ ${file} marked as resolved`));
+    }
+  }
+
+  // What to stage and the message, shared by the commit and push flows
+  async promptForCommit(account) {
+    const { staging } = await this.prompt([
+      {
+        type: "list",
+        name: "staging",
+        message: "Stage all modified files?",
+        choices: [
+          { name: "✅ Yes, stage all files", value: "all" },
+          { name: "🗂️  Choose files to stage", value: "pick" },
+          { name: "❌ No, only commit staged files", value: "staged" },
+        ],
+      },
+    ]);
+
+    if (staging === "pick") {
+      await this.pickFilesToStage(account);
+    }
+
+    const addAll = staging === "all";
+    const rules = ConventionalCommits.loadRules(this.config);
+    if (rules.enabled) {
+      return {
+        commitMessage: await this.composeCommitMessage(account, rules, {
+          addAll,
+        }),
+        addAll,
+      };
+    }
+
+    const { commitMessage } = await this.prompt([
+      {
+        type: "input",
+        name: "commitMessage",
+        message: "Commit message:",
+        validate: (input) => input.trim().length > 0 || "Message is required",
+      },
+    ]);
+
+    return { commitMessage, addAll };
+  }
+
+  // Builds a Conventional Commits message from its parts. The scope is
+  // suggested from the paths being committed unless the rules list scopes.
+  async composeCommitMessage(account, rules, { addAll = false } = {}) {
+    const descriptions = ConventionalCommits.getTypes();
+    const entries = await GitManager.getStatusEntries(account);
+    const suggestions = ConventionalCommits.suggestScopes(
+      entries
+        .filter((entry) => addAll || entry.staged)
+        .map((entry) => entry.path),
+    );
+
+    const scopeQuestion =
+      rules.scopes.length > 0
+        ? {
+            type: "list",
+            name: "scope",
+            message: "Scope:",
+            choices: [
+              ...rules.scopes.map((scope) => ({ name: scope, value: scope })),
+              ...(rules.requireScope ? [] : [{ name: "(none)", value: "" }]),
+            ],
+            default: suggestions.find((scope) => rules.scopes.includes(scope)),
+          }
+        : {
+            type: "input",
+            name: "scope",
+            message: `Scope${suggestions.length > 1 ? chalk.gray(` (also: ${suggestions.slice(1, 4).join(", ")})`) : ""}:`,
+            default: suggestions[0] || "",
+            filter: (input) => input.trim(),
+            validate: (input) => {
+              if (rules.requireScope && !input) return "A scope is required";
+              return (
+                /^[^()\s]*$/.test(input) ||
+                "Scope can't contain spaces or parentheses"
+              );
+            },
+          };
+
+    const parts = await this.prompt([
+      {
+        type: "list",
+        name: "type",
+        message: "Type of change:",
+        pageSize: 12,
+        choices: rules.types.map((type) => ({
+          name: descriptions[type]
+            ? `${type.padEnd(9)} ${chalk.gray(descriptions[type])}`
+            : type,
+          value: type,
+        })),
+      },
+      scopeQuestion,
+      {
+        type: "input",
+        name: "subject",
+        message: "Short description:",
+        filter: (input) => input.trim(),
+        validate: (input, answers) => {
+          if (!input) return "Description is required";
+          const header = ConventionalCommits.format({
+            ...answers,
+            subject: input,
+          });
+          return (
+            header.length <= rules.subjectMaxLength ||
+            `First line is ${header.length} characters, the limit is ${rules.subjectMaxLength}`
+          );
+        },
+      },
+      {
+        type: "input",
+        name: "body",
+        message: "Longer description (optional):",
+        default: "",
+      },
+      {
+        type: "confirm",
+        name: "isBreaking",
+        message: "Is this a breaking change?",
+        default: false,
+      },
+      {
+        type: "input",
+        name: "breaking",
+        message: "Describe the breaking change:",
+        when: (answers) => answers.isBreaking,
+        validate: (input) =>
+          input.trim().length > 0 || "Description is required",
+      },
+      {
+        type: "input",
+        name: "ticket",
+        message: "Ticket reference:",
+        when: () => Boolean(rules.ticketPattern),
+        validate: (input) =>
+          new RegExp(rules.ticketPattern).test(input) ||
+          `Must match /${rules.ticketPattern}/`,
+      },
+    ]);
+
+    const message = ConventionalCommits.format(parts);
+    const errors = ConventionalCommits.validate(message, rules);
+    if (errors.length > 0) {
+      errors.forEach((error) => console.log(chalk.red(`❌ ${error}`)));
+      return this.composeCommitMessage(account, rules, { addAll });
+    }
+
+    console.log(chalk.cyan("\n📝 Commit message:\n"));
+    console.log(message);
+    console.log();
+    return message;
+  }
+
+  // Checkbox of every changed file; checked files end up staged, unchecked
+  // ones unstaged. Optionally stage modified files hunk by hunk instead.
+  async pickFilesToStage(account) {
+    const entries = (await GitManager.getStatusEntries(account)).filter(
+      (entry) => !entry.conflicted,
+    );
+    if (entries.length === 0) {
+      console.log(chalk.yellow("ℹ️ No changes to stage"));
+      return;
+    }
+
+    const icons = {
+      modified: "📝",
+      "type changed": "🔀",
+      added: "➕",
+      deleted: "🗑️ ",
+      renamed: "🏷️ ",
+      copied: "📑",
+      untracked: "📄",
+    };
+    const { files, byHunk } = await this.prompt([
+      {
+        type: "checkbox",
+        name: "files",
+        message: "Select files to commit:",
+        pageSize: 15,
+        choices: entries.map((entry) => {
+          let label = `${icons[entry.type] || "📝"} ${entry.type.padEnd(12)} ${entry.path}`;
+          if (entry.origPath) label += chalk.gray(` (from ${entry.origPath})`);
+          if (entry.staged && entry.unstaged) {
+            label += chalk.gray(" (partly staged)");
+          }
+          return { name: label, value: entry.path, checked: entry.staged };
+        }),
+      },
+      {
+        type: "confirm",
+        name: "byHunk",
+        message: "Step through changes hunk by hunk?",
+        default: false,
+        when: (answers) =>
+          entries.some(
+            (entry) =>
+              answers.files.includes(entry.path) &&
+              entry.unstaged &&
+              entry.type === "modified",
+          ),
+      },
+    ]);
+
+    const selected = entries.filter((entry) => files.includes(entry.path));
+    const toUnstage = entries
+      .filter((entry) => entry.staged && !files.includes(entry.path))
+      .flatMap((entry) =>
+        entry.origPath ? [entry.path, entry.origPath] : [entry.path],
+      );
+
+    for (const entry of selected.filter((e) => e.unstaged)) {
+      if (byHunk && entry.type === "modified") {
+        await this.stageHunks(account, entry.path);
+      } else {
+        await GitManager.stageFiles(account, [entry.path]);
+      }
+    }
+    await GitManager.unstageFiles(account, toUnstage);
+
+    console.log(
+      chalk.green(
+        `✅ ${selected.length} file${selected.length === 1 ? "" : "s"} staged`,
+      ),
+    );
+  }
+
+  async stageHunks(account, filePath) {
+    const { header, hunks } = await GitManager.getFileHunks(account, filePath);
+    if (hunks.length === 0) {
+      await GitManager.stageFiles(account, [filePath]);
+      return;
+    }
+
+    const chosen = [];
+    for (let i = 0; i < hunks.length; i++) {
+      console.log(chalk.cyan(`\n${filePath} (${i + 1}/${hunks.length})`));
+      this.printDiff(hunks[i]);
+
+      const { hunkAction } = await this.prompt([
+        {
+          type: "list",
+          name: "hunkAction",
+          message: "Stage this hunk?",
+          choices: [
+            { name: "✅ Stage", value: "stage" },
+            { name: "⏭️  Skip", value: "skip" },
+            { name: "⏩ Stage this and the rest of the file", value: "rest" },
+            { name: "⏹️  Skip the rest of the file", value: "done" },
+          ],
+        },
+      ]);
+
+      if (hunkAction === "stage") chosen.push(hunks[i]);
+      if (hunkAction === "rest") {
+        chosen.push(...hunks.slice(i));
+        break;
+      }
+      if (hunkAction === "done") break;
+    }
+
+    await GitManager.stageHunks(account, header, chosen);
+  }
+
+  printDiff(diff) {
+    diff
+      .trimEnd()
+      .split("\n")
+      .forEach((line) => {
+        if (/^(\+\+\+|---|diff |index )/.test(line)) {
+          console.log(chalk.bold(line));
+        } else if (line.startsWith("+")) console.log(chalk.green(line));
+        else if (line.startsWith("-")) console.log(chalk.red(line));
+        else if (line.startsWith("@@")) console.log(chalk.cyan(line));
+        else console.log(line);
+      });
+  }
+
+  async handleCommit(account) {
+    const { commitMessage, addAll } = await this.promptForCommit(account);
+
+    const signing = await GitManager.getSigningStatus(account);
+    if (signing.signed) {
+      console.log(
+        chalk.green(
+          `✍️  Commit will be signed (${signing.format === "ssh" ? "SSH" : "GPG"} key ${signing.key || "default"})`,
+        ),
+      );
+    } else {
+      console.log(chalk.gray("📝 Commit will not be signed"));
+    }
+
+    try {
+      console.log(
+        chalk.blue(
+          addAll
+            ? "🔄 Staging all files and creating commit..."
+            : "🔄 Creating commit...",
+        ),
+      );
+      const result = await GitManager.commit(account, commitMessage, {
+        all: addAll,
+      });
+      if (result.stdout) console.log(result.stdout);
+      if (result.stderr) console.log(chalk.yellow(result.stderr));
+      console.log(chalk.green("✅ Commit created"));
+
+      const { shouldPush } = await this.prompt([
+        {
+          type: "list",
+          name: "shouldPush",
+          message: "Push to remote?",
+          choices: [
+            { name: "✅ Yes, push to remote", value: true },
+            { name: "❌ No, just commit locally", value: false },
+          ],
+        },
+      ]);
+
+      if (shouldPush) {
+        await this.handlePush(account);
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Commit failed: ${error.message}`));
+    }
+  }
+
+  async selectInitialBranch(account) {
+    try {
+      const result = await GitManager.executeGitCommand(
+        ["branch", "-a"],
+        account,
+      );
+      const allBranches = result.stdout
+        .split("\n")
+        .map((b) => b.replace(/^\*?\s+(remotes\/origin\/)?/, "").trim())
+        .filter(Boolean)
+        .filter((branch) => !branch.includes("HEAD ->"))
+        .filter((branch, index, arr) => arr.indexOf(branch) === index); // Remove duplicates
+
+      const localBranches = await GitManager.getLocalBranches(account);
+
+      const choices = [];
+
+      if (allBranches.length > 0) {
+        allBranches.forEach((branch) => {
+          const isLocal = localBranches.includes(branch);
+          choices.push({
+            name: `🌿 ${branch}${isLocal ? "" : " (remote)"}`,
+            value: branch,
+          });
+        });
+      }
+
+      choices.push(
+        new inquirer.Separator(),
+        { name: "🆕 Create New Branch", value: "create-new" },
+        new inquirer.Separator(),
+        { name: "🔙 Back to Homepage", value: "back" },
+        { name: "❌ Exit", value: "exit" },
+      );
+
+      const { selectedBranch } = await this.prompt([
+        {
+          type: "list",
+          name: "selectedBranch",
+          message: "Select initial branch to work with:",
+          choices,
+        },
+      ]);
+
+      if (selectedBranch === "exit") {
+        console.log(chalk.blue("👋 Goodbye!"));
+        process.exit(0);
+      }
+
+      if (selectedBranch === "back") {
+        return null;
+      }
+
+      if (selectedBranch === "create-new") {
+        const branchInfo = await this.prompt([
+          {
+            type: "input",
+            name: "newBranchName",
+            message: "New branch name:",
+            filter: (input) => input.trim(),
+            validate: (input) => GitManager.validateBranchName(input),
+          },
+          {
+            type: "list",
+            name: "createRemote",
+            message: "Create branch on GitHub as well?",
+            choices: [
+              { name: "🌐 Create both local and remote", value: true },
+              { name: "💻 Create only local branch", value: false },
+            ],
+          },
+        ]);
+
+        console.log(
+          chalk.blue(
+            `🔄 Creating and switching to branch: ${branchInfo.newBranchName}`,
+          ),
+        );
+        await GitManager.createBranch(account, branchInfo.newBranchName);
+
+        if (branchInfo.createRemote) {
+          try {
+            console.log(chalk.blue(`🌐 Creating remote branch on GitHub...`));
+            await GitManager.push(account, branchInfo.newBranchName, {
+              mode: "upstream",
+            });
+            console.log(chalk.green("✅ Remote branch created successfully"));
+          } catch (error) {
+            console.log(
+              chalk.yellow(
+                `⚠️ Local branch created, but failed to create remote: ${error.message}`,
+              ),
+            );
+          }
+        }
+
+        return branchInfo.newBranchName;
+      } else {
+        const isLocal = localBranches.includes(selectedBranch);
+        if (isLocal) {
+          console.log(chalk.blue(`🔄 Switching to branch: ${selectedBranch}`));
+          await GitManager.switchBranch(account, selectedBranch);
+        } else {
+          console.log(
+            chalk.blue(
+              `🔄 Creating local branch from remote: ${selectedBranch}`,
+            ),
+          );
+          await GitManager.createBranch(
+            account,
+            selectedBranch,
+            `origin/${selectedBranch}`,
+          );
+        }
+        return selectedBranch;
+      }
+    } catch (error) {
+      console.log(
+        chalk.yellow("⚠️ Could not fetch branches, using 'main' as default"),
+      );
+      return "main";
+    }
+  }
+
+  async handleChangeBranch(account) {
+    try {
+      const branches = await GitManager.getLocalBranches(account);
+
+      const currentBranch = await this.getCurrentBranch(account);
+
+      const choices = [
+        ...branches.map((branch) => ({
+          name: `🌿 ${branch}${branch === currentBranch ? " (current)" : ""}`,
+          value: branch,
+        })),
+        new inquirer.Separator(),
+        { name: "🆕 Create New Branch", value: "create-new" },
+        { name: "🌿 Advanced Branch Creation", value: "advanced-create" },
+        { name: "🗑️  Delete Branch", value: "delete-branch" },
+        new inquirer.Separator(),
+        { name: "🔙 Back to Homepage", value: "back" },
+        { name: "❌ Exit", value: "exit" },
+      ];
+
+      const { selectedBranch } = await this.prompt([
+        {
+          type: "list",
+          name: "selectedBranch",
+          message: "Select or create branch:",
+          choices,
+        },
+      ]);
+
+      if (selectedBranch === "exit") {
+        console.log(chalk.blue("👋 Goodbye!"));
+        process.exit(0);
+      }
+
+      if (selectedBranch === "back") {
+        return;
+      }
+
+      if (selectedBranch === "delete-branch") {
+        await this.handleDeleteBranch(account);
+        return;
+      }
+
+      if (selectedBranch === "advanced-create") {
+        await this.handleAdvancedBranchCreation(account, branches);
+        return;
+      }
+
+      if (selectedBranch === "create-new") {
+        const branchInfo = await this.prompt([
+          {
+            type: "input",
+            name: "newBranchName",
+            message: "New branch name:",
+            filter: (input) => input.trim(),
+            validate: (input) => GitManager.validateBranchName(input),
+          },
+          {
+            type: "list",
+            name: "createRemote",
+            message: "Create branch on GitHub as well?",
+            choices: [
+              { name: "🌐 Create both local and remote", value: true },
+              { name: "💻 Create only local branch", value: false },
+            ],
+          },
+        ]);
+
+        console.log(
+          chalk.blue(
+            `🔄 Creating and switching to branch: ${branchInfo.newBranchName}`,
+          ),
+        );
+        await GitManager.createBranch(account, branchInfo.newBranchName);
+
+        if (branchInfo.createRemote) {
+          try {
+            console.log(chalk.blue(`🌐 Creating remote branch on GitHub...`));
+            await GitManager.push(account, branchInfo.newBranchName, {
+              mode: "upstream",
+            });
+            console.log(chalk.green("✅ Remote branch created successfully"));
+          } catch (error) {
+            console.log(
+              chalk.yellow(
+                `⚠️ Local branch created, but failed to create remote: ${error.message}`,
+              ),
+            );
+          }
+        }
+
+        this.setDefaultBranch(branchInfo.newBranchName);
+      } else if (selectedBranch !== currentBranch) {
+        const switched = await this.withStashedChanges(
+          account,
+          `switching to ${selectedBranch}`,
+          async () => {
+            console.log(
+              chalk.blue(`🔄 Switching to branch: ${selectedBranch}`),
+            );
+            await GitManager.switchBranch(account, selectedBranch);
+            return true;
+          },
+        );
+        if (!switched) return;
+        this.setDefaultBranch(selectedBranch);
+      }
+
+      console.log(chalk.green("✅ Branch operation completed"));
+    } catch (error) {
+      console.log(chalk.red(`❌ Branch operation failed: ${error.message}`));
+    }
+
+    await this.pause(1500);
+  }
+
+  async handleDeleteBranch(account) {
+    try {
+      const branches = await GitManager.getLocalBranches(account);
+
+      const currentBranch = await this.getCurrentBranch(account);
+      const deletableBranches = branches.filter(
+        (branch) => branch !== currentBranch,
+      );
+
+      if (deletableBranches.length === 0) {
+        console.log(
+          chalk.yellow(
+            "⚠️ No branches available to delete (can't delete current branch)",
+          ),
+        );
+        await this.pause(2000);
+        return;
+      }
+
+      const { branchToDelete } = await this.prompt([
+        {
+          type: "list",
+          name: "branchToDelete",
+          message: "Select branch to delete:",
+          choices: [
+            ...deletableBranches.map((branch) => ({
+              name: `🗑️  ${branch}`,
+              value: branch,
+            })),
+            new inquirer.Separator(),
+            { name: "🔙 Back", value: "back" },
+          ],
+        },
+      ]);
+
+      if (branchToDelete === "back") {
+        return;
+      }
+
+      // Check if branch exists on remote
+      const remoteExists = await GitManager.remoteBranchExists(
+        account,
+        branchToDelete,
+      );
+
+      if (remoteExists) {
+        const protectedBy = this.config.getProtectedPattern(branchToDelete);
+        if (protectedBy) {
+          console.log(
+            chalk.yellow(
+              `🔒 ${branchToDelete} is protected (${protectedBy}), so it stays on the remote unless you override`,
+            ),
+          );
+        }
+        const { deleteRemote } = await this.prompt([
+          {
+            type: "list",
+            name: "deleteRemote",
+            message: `Branch '${branchToDelete}' exists on remote. Delete from GitHub too?`,
+            choices: protectedBy
+              ? [
+                  { name: "💻 Delete only local branch", value: false },
+                  {
+                    name: "🔓 Override protection and delete remote too",
+                    value: "override",
+                  },
+                  { name: "❌ Cancel", value: "cancel" },
+                ]
+              : [
+                  { name: "🌐 Delete both local and remote", value: true },
+                  { name: "💻 Delete only local branch", value: false },
+                  { name: "❌ Cancel", value: "cancel" },
+                ],
+          },
+        ]);
+
+        if (deleteRemote === "cancel") {
+          return;
+        }
+
+        if (
+          deleteRemote === "override" &&
+          !(await this.confirmProtectedBranch(account, branchToDelete, [
+            "push",
+            "origin",
+            "--delete",
+            branchToDelete,
+          ]))
+        ) {
+          return;
+        }
+
+        if (deleteRemote) {
+          console.log(
+            chalk.yellow(
+              `🔄 Deleting branch '${branchToDelete}' from remote...`,
+            ),
+          );
+          try {
+            await GitManager.deleteRemoteBranch(account, branchToDelete);
+            console.log(chalk.green("✅ Remote branch deleted successfully"));
+          } catch (error) {
+            console.log(
+              chalk.red(`❌ Failed to delete remote branch: ${error.message}`),
+            );
+          }
+        }
+      }
+
+      // Delete local branch
+      console.log(
+        chalk.yellow(`🔄 Deleting local branch '${branchToDelete}'...`),
+      );
+      try {
+        await GitManager.deleteLocalBranch(account, branchToDelete);
+        console.log(chalk.green("✅ Local branch deleted successfully"));
+      } catch (error) {
+        console.log(
+          chalk.red(`❌ Failed to delete local branch: ${error.message}`),
+        );
+      }
+    } catch (error) {
+      console.log(
+        chalk.red(`❌ Delete branch operation failed: ${error.message}`),
+      );
+    }
+
+    await this.pause(2000);
+  }
+
+  async handleAdvancedBranchCreation(account, availableBranches) {
+    try {
+      console.log(chalk.cyan("🌿 Advanced Branch Creation"));
+
+      const branchConfig = await this.prompt([
+        {
+          type: "input",
+          name: "newBranchName",
+          message: "New branch name:",
+          filter: (input) => input.trim(),
+          validate: (input) => GitManager.validateBranchName(input),
+        },
+        {
+          type: "list",
+          name: "baseBranch",
+          message: "Create branch from:",
+          choices: [
+            { name: "🌿 Current branch", value: "current" },
+            ...availableBranches.map((branch) => ({
+              name: `🌿 ${branch}`,
+              value: branch,
+            })),
+            new inquirer.Separator(),
+            { name: "🔍 Specify remote branch", value: "remote" },
+          ],
+        },
+      ]);
+
+      let baseBranch = branchConfig.baseBranch;
+
+      if (baseBranch === "current") {
+        baseBranch = await this.getCurrentBranch(account);
+      }
+
+      if (baseBranch === "remote") {
+        const { remoteBranch } = await this.prompt([
+          {
+            type: "input",
+            name: "remoteBranch",
+            message: "Remote branch name (e.g., origin/feature-branch):",
+            filter: (input) => input.trim(),
+            validate: (input) => GitManager.validateBranchName(input),
+          },
+        ]);
+        baseBranch = remoteBranch;
+      }
+
+      const { createOptions } = await this.prompt([
+        {
+          type: "list",
+          name: "createOptions",
+          message: "Branch creation options:",
+          choices: [
+            { name: "💻 Create only local branch", value: "local" },
+            { name: "🌐 Create local and push to remote", value: "remote" },
+            { name: "🚀 Create, push and set upstream", value: "upstream" },
+          ],
+        },
+      ]);
+
+      // Create the branch
+      if (baseBranch === (await this.getCurrentBranch(account))) {
+        console.log(
+          chalk.blue(
+            `🔄 Creating branch '${branchConfig.newBranchName}' from current branch...`,
+          ),
+        );
+        await GitManager.createBranch(account, branchConfig.newBranchName);
+      } else {
+        console.log(
+          chalk.blue(
+            `🔄 Creating branch '${branchConfig.newBranchName}' from '${baseBranch}'...`,
+          ),
+        );
+        await GitManager.createBranch(
+          account,
+          branchConfig.newBranchName,
+          baseBranch,
+        );
+      }
+
+      console.log(chalk.green("✅ Local branch created successfully"));
+
+      // Handle remote creation based on options
+      if (createOptions === "remote" || createOptions === "upstream") {
+        try {
+          console.log(chalk.blue(`🌐 Pushing to remote GitHub...`));
+
+          if (createOptions === "upstream") {
+            await GitManager.push(account, branchConfig.newBranchName, {
+              mode: "upstream",
+            });
+            console.log(chalk.green("✅ Branch pushed and upstream set"));
+          } else {
+            await GitManager.push(account, branchConfig.newBranchName);
+            console.log(chalk.green("✅ Branch pushed to remote"));
+          }
+        } catch (error) {
+          console.log(
+            chalk.yellow(
+              `⚠️ Local branch created, but failed to push to remote: ${error.message}`,
+            ),
+          );
+        }
+      }
+
+      this.setDefaultBranch(branchConfig.newBranchName);
+      console.log(chalk.green("🎉 Advanced branch creation completed!"));
+    } catch (error) {
+      console.log(
+        chalk.red(`❌ Advanced branch creation failed: ${error.message}`),
+      );
+    }
+
+    await this.pause(2000);
+  }
+
+  async executeCustomCommand(account) {
+    const { command } = await this.prompt([
+      {
+        type: "input",
+        name: "command",
+        message: 'Enter custom git command (e.g., "status", "log --oneline"):',
+        validate: (input) => input.trim().length > 0 || "Command is required",
+      },
+    ]);
+
+    try {
+      // Quotes are honoured but nothing is expanded: no shell is involved
+      const args = splitCommandLine(command.trim());
+      if (args[0] === "git") args.shift();
+
+      console.log(chalk.blue(`🔄 Running: git ${args.join(" ")}`));
+      const result = await GitManager.executeGitCommand(args, account);
+
+      if (result.stdout) console.log(result.stdout);
+      if (result.stderr) console.log(chalk.yellow(result.stderr));
+      console.log(chalk.green("✅ Command completed"));
+    } catch (error) {
+      console.log(chalk.red(`❌ Command failed: ${error.message}`));
+    }
+  }
+
+  async checkRepositoryStatus(account) {
+    const status = {
+      isGitRepo: false,
+      hasRemote: false,
+      hasHttpsRemote: false,
+      remoteUrl: null,
+    };
+
+    try {
+      await GitManager.executeGitCommand(["status"], account);
+      status.isGitRepo = true;
+    } catch {
+      return status;
+    }
+
+    try {
+      const result = await GitManager.executeGitCommand(
+        ["remote", "get-url", "origin"],
+        account,
+      );
+      status.remoteUrl = result.stdout.trim();
+      status.hasRemote = true;
+      status.hasHttpsRemote = status.remoteUrl.startsWith("https://");
+
+      const accountUrl =
+        account && HostManager.toAccountRemote(status.remoteUrl, account);
+      status.needsAccountAlias = Boolean(
+        !status.hasHttpsRemote && accountUrl && accountUrl !== status.remoteUrl,
+      );
+    } catch {
+      // No remote origin
+    }
+
+    return status;
+  }
+
+  async hasUncommittedChanges(account) {
+    try {
+      const result = await GitManager.executeGitCommand(
+        ["status", "--porcelain"],
+        account,
+      );
+      return result.stdout.trim().length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  async showDetailedStatus(account) {
+    try {
+      console.log(chalk.blue("📊 Repository Status:"));
+
+      // Check for staged changes
+      const stagedResult = await GitManager.executeGitCommand(
+        ["diff", "--cached", "--name-only"],
+        account,
+      );
+      const stagedFiles = stagedResult.stdout
+        .trim()
+        .split("\n")
+        .filter(Boolean);
+
+      // Check for unstaged changes
+      const unstagedResult = await GitManager.executeGitCommand(
+        ["diff", "--name-only"],
+        account,
+      );
+      const unstagedFiles = unstagedResult.stdout
+        .trim()
+        .split("\n")
+        .filter(Boolean);
+
+      // Check for untracked files
+      const untrackedResult = await GitManager.executeGitCommand(
+        ["ls-files", "--others", "--exclude-standard"],
+        account,
+      );
+      const untrackedFiles = untrackedResult.stdout
+        .trim()
+        .split("\n")
+        .filter(Boolean);
+
+      if (stagedFiles.length > 0) {
+        console.log(
+          chalk.green(
+            `✅ Staged files (${stagedFiles.length}): ${stagedFiles.slice(0, 3).join(", ")}${stagedFiles.length > 3 ? "..." : ""}`,
+          ),
+        );
+      }
+
+      if (unstagedFiles.length > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠️ Unstaged changes (${unstagedFiles.length}): ${unstagedFiles.slice(0, 3).join(", ")}${unstagedFiles.length > 3 ? "..." : ""}`,
+          ),
+        );
+      }
+
+      if (untrackedFiles.length > 0) {
+        console.log(
+          chalk.red(
+            `📄 Untracked files (${untrackedFiles.length}): ${untrackedFiles.slice(0, 3).join(", ")}${untrackedFiles.length > 3 ? "..." : ""}`,
+          ),
+        );
+      }
+
+      if (
+        stagedFiles.length === 0 &&
+        unstagedFiles.length === 0 &&
+        untrackedFiles.length === 0
+      ) {
+        console.log(chalk.green("✅ Working directory clean"));
+      }
+
+      console.log("");
+    } catch (error) {
+      console.log(chalk.gray("ℹ️ Could not fetch detailed status"));
+    }
+  }
+
+  async checkRemoteStatus(account) {
+    const status = await GitManager.getRemoteStatus(account);
+
+    switch (status.reason) {
+      case "no-branch":
+        console.log(
+          chalk.gray(
+            "ℹ️ Could not check remote status - proceeding with normal options",
+          ),
+        );
+        break;
+      case "fetch-failed":
+        // If fetch fails, remote might not exist
+        console.log(
+          chalk.blue("ℹ️ Remote branch not found or no network connection"),
+        );
+        break;
+      case "no-remote-branch":
+        console.log(
+          chalk.blue("ℹ️ No remote branch found - first push will create it"),
+        );
+        break;
+      case "compare-failed":
+        console.log(
+          chalk.yellow("⚠️ Could not compare branches - use caution"),
+        );
+        break;
+      default:
+        if (status.diverged) {
+          console.log(
+            chalk.yellow(
+              `⚠️ Branches have diverged: ${status.ahead} local, ${status.behind} remote commits`,
+            ),
+          );
+        } else if (status.remoteAhead) {
+          console.log(
+            chalk.blue(`📥 Remote is ${status.behind} commits ahead`),
+          );
+        } else if (status.localAhead) {
+          console.log(chalk.green(`📤 Local is ${status.ahead} commits ahead`));
+        } else {
+          console.log(chalk.green("✅ Branches are in sync"));
+        }
+    }
+
+    return status;
+  }
+
+  async initializeRepository(account) {
+    try {
+      console.log(chalk.blue("🔄 Initializing git repository..."));
+      await GitManager.executeGitCommand(["init"], account);
+      console.log(chalk.green("✅ Git repository initialized"));
+
+      // Set default branch to main
+      try {
+        await GitManager.executeGitCommand(["branch", "-M", "main"], account);
+        this.setDefaultBranch("main");
+      } catch {
+        // Ignore if no commits yet
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to initialize: ${error.message}`));
+    }
+  }
+
+  async setupRemoteOrigin(account) {
+    console.log(
+      chalk.blue("🔗 Setting up remote origin for multiple account support..."),
+    );
+    console.log(
+      chalk.cyan(`📋 SSH format: ${HostManager.getExampleUrl(account)}`),
+    );
+
+    const { remoteUrl: enteredUrl } = await this.prompt([
+      {
+        type: "input",
+        name: "remoteUrl",
+        message: "Enter SSH URL:",
+        validate: (input) => {
+          if (!input.trim()) return "URL is required";
+          const valid = HostManager.validateSSHRemote(input, account);
+          if (valid !== true) return valid;
+          if (!input.trim().endsWith(".git")) {
+            return "URL should end with .git";
+          }
+          return true;
+        },
+      },
+    ]);
+
+    const remoteUrl = this.getAccountRemoteUrl(account, enteredUrl.trim());
+
+    try {
+      console.log(chalk.blue("🔄 Adding remote origin..."));
+      await GitManager.executeGitCommand(
+        ["remote", "add", "origin", remoteUrl],
+        account,
+      );
+      console.log(chalk.green(`✅ Remote origin added: ${remoteUrl}`));
+    } catch (error) {
+      if (error.message.includes("already exists")) {
+        console.log(chalk.blue("🔄 Updating existing remote..."));
+        await GitManager.executeGitCommand(
+          ["remote", "set-url", "origin", remoteUrl],
+          account,
+        );
+        console.log(chalk.green(`✅ Remote origin updated: ${remoteUrl}`));
+      } else {
+        console.log(chalk.red(`❌ Failed to add remote: ${error.message}`));
+      }
+    }
+  }
+
+  async convertToSSHRemote(account) {
+    try {
+      const result = await GitManager.executeGitCommand(
+        ["remote", "get-url", "origin"],
+        account,
+      );
+      const httpsUrl = result.stdout.trim();
+
+      // Convert https://<host>/user/repo.git to the account's SSH form
+      const sshUrl = HostManager.toAccountRemote(httpsUrl, account);
+      if (sshUrl) {
+        console.log(chalk.blue("🔄 Converting to SSH remote..."));
+        await GitManager.executeGitCommand(
+          ["remote", "set-url", "origin", sshUrl],
+          account,
+        );
+        console.log(chalk.green(`✅ Converted to SSH: ${sshUrl}`));
+      } else {
+        console.log(
+          chalk.yellow(
+            `⚠️ Remote is not on ${HostManager.getHost(account).hostname}, leaving it unchanged`,
+          ),
+        );
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to convert remote: ${error.message}`));
+    }
+  }
+
+  // Point SSH remotes at the account's host alias so the right key is used
+  getAccountRemoteUrl(account, url) {
+    if (!account) return url;
+    return HostManager.toAccountRemote(url, account) || url;
+  }
+
+  async useAccountRemote(account, currentUrl) {
+    const aliasUrl = this.getAccountRemoteUrl(account, currentUrl);
+    if (aliasUrl === currentUrl) return;
+
+    try {
+      console.log(
+        chalk.blue(
+          `🔄 Pointing origin at ${HostManager.getHostAlias(account)}...`,
+        ),
+      );
+      await GitManager.executeGitCommand(
+        ["remote", "set-url", "origin", aliasUrl],
+        account,
+      );
+      console.log(chalk.green(`✅ Remote origin updated: ${aliasUrl}`));
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to update remote: ${error.message}`));
+    }
+  }
+}
+
+module.exports = { CLI };
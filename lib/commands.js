@@ -0,0 +1,1217 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager } = require("./config");
+const { HostManager } = require("./hosts");
+const { SSHManager } = require("./ssh");
+const { GitManager } = require("./git");
+const { ConventionalCommits } = require("./commits");
+const { AuditLog } = require("./audit");
+const { CLI } = require("./cli");
+const { parseArgs } = require("./args");
+
+const USAGE = `Usage: gitqq [command] [options]
+
+Run without a command to start the interactive menu.
+
+Commands:
+  use <account> [--repo | --global]      Switch to an account
+  bind <account>                         Bind an account to this repository
+  unbind                                 Remove this repository's binding
+  mode [global|repo]                     Show or set how "use" switches
+  ssh sync                               Write per-account hosts to ~/.ssh/config
+  ssh remove                             Remove them and restore alias remotes
+  push [--force-with-lease | --force] [--ignore-identity]
+                                         Push the current branch to origin,
+                                         unless commits use another email
+       [--confirm-branch <name>]         Needed to --force-with-lease a
+                                         protected branch (--force is refused)
+  sync [fetch|ff-only|rebase|merge]      Update the current branch from origin
+                                         (default: the recommended strategy)
+  sync continue|abort|skip               Finish a rebase or merge that stopped
+                                         on conflicts
+  commit -m <message> [--all]            Commit staged (or all) changes
+  stash [list]                           List stashes
+  stash push [-m <message>] [-u] [<path>...]
+                                         Stash changes (-u: include untracked)
+  stash apply|pop|show|drop [<n>]        Act on stash@{n} (default: the newest)
+  history [--search <text>] [--mine] [--limit <n>]
+                                         Show recent commits (--mine: by the
+                                         account's email)
+  tag [list]                             List local tags
+  tag create <name> [-m <message>]       Create a tag (annotated with -m, and
+                                         signed if the account signs)
+  tag push <name> | tag push --all
+  tag delete <name> [--remote]
+  tag next                               Suggest the next vX.Y.Z tag
+  branch list                            List local branches
+  branch create <name> [--from <base>] [--remote]
+  branch switch <name>
+  branch delete <name> [--remote [--override-protection]]
+  protect [list]                         List protected branch patterns
+  protect add|remove <pattern> [--repo]  Protect a pattern such as release/*
+                                         everywhere (or in this repository)
+  accounts list
+  accounts add <username> --email <email> [--name <name>]
+                          [--key <file> | --generate]
+                          [--provider github|github-enterprise|gitlab|bitbucket|gitea]
+                          [--hostname <host>] [--port <port>] [--ssh-user <user>]
+                          [--sign ssh|gpg|off] [--gpg-key <id>]
+  accounts edit <username> [--name <name>] [--email <email>]
+                           [--key <file> | --generate] [--rename <new>]
+                           [--provider ...] [--hostname <host>] [--port <port>]
+                           [--ssh-user <user>] [--sign ssh|gpg|off]
+                           [--gpg-key <id>]
+  accounts remove <username> [--archive-key | --delete-key]
+  accounts verify <username> [--hostname <host>] [--port <port>]
+  export <file> [--include-keys]         Write accounts and bindings to an
+                                         encrypted file
+  import <file> [--on-conflict skip|replace|rename]
+  repos [list]                           List repositories gitqq has settings for
+  repos prune                            Forget repositories that no longer exist
+  repos forget [<path>]                  Forget a repository (default: this one)
+  doctor [<username>]                    Check git, ~/.ssh/config and each
+                                         account's key and SSH login
+  rules [show|enable|disable]            Show or toggle Conventional Commits
+                                         checks for this repository
+  identity check                         List unpushed commits not made with
+                                         the active account's email
+  identity fix                           Re-author them as the active account
+  hooks install commit-msg|pre-push [--force]
+                                         Run the message or identity check
+                                         as a git hook
+  hooks uninstall commit-msg|pre-push
+  lint-msg <file>                        Check a commit message file
+  log [--repo[=<path>]] [--account <username>] [--operation <type>]
+      [--limit <n>]                      Show the audit log of changes gitqq
+                                         made, newest first (operation: push,
+                                         branch, reset, switch-account...)
+
+Options:
+  --account <username>   Run a command as this account instead of the active one
+  -h, --help             Show this help
+  -v, --version          Show the version`;
+
+// Non-interactive subcommands
+class CommandRunner {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async run(argv) {
+    const { positionals, options } = parseArgs(argv);
+    const [command, ...args] = positionals;
+
+    if (options.version) {
+      console.log(require("../package.json").version);
+      return;
+    }
+
+    if (options.help || command === "help") {
+      console.log(USAGE);
+      return;
+    }
+
+    switch (command) {
+      case "use":
+        return this.use(args, options);
+      case "bind":
+        return this.bind(args, options);
+      case "unbind":
+        return this.unbind(args, options);
+      case "mode":
+        return this.mode(args, options);
+      case "ssh":
+        return this.ssh(args, options);
+      case "push":
+        return this.push(args, options);
+      case "sync":
+        return this.sync(args, options);
+      case "commit":
+        return this.commit(args, options);
+      case "branch":
+        return this.branch(args, options);
+      case "stash":
+        return this.stash(args, options);
+      case "history":
+        return this.history(args, options);
+      case "tag":
+        return this.tag(args, options);
+      case "accounts":
+        return this.accounts(args, options);
+      case "export":
+        return this.exportAccounts(args, options);
+      case "import":
+        return this.importAccounts(args, options);
+      case "repos":
+        return this.repos(args, options);
+      case "doctor":
+        return this.doctor(args, options);
+      case "protect":
+        return this.protect(args, options);
+      case "rules":
+        return this.rules(args, options);
+      case "hooks":
+        return this.hooks(args, options);
+      case "identity":
+        return this.identity(args, options);
+      case "lint-msg":
+        return this.lintMessage(args, options);
+      case "log":
+        return this.log(args, options);
+      default:
+        throw new Error(
+          `Unknown command: ${command}\nRun "gitqq --help" for usage.`,
+        );
+    }
+  }
+
+  resolveAccount(options) {
+    if (options.account) {
+      const accounts = this.config.getAccounts();
+      if (!accounts[options.account]) {
+        throw new Error(`Account not found: ${options.account}`);
+      }
+      return { username: options.account, ...accounts[options.account] };
+    }
+
+    const account = this.config.getActiveAccount();
+    if (!account) {
+      throw new Error('No active account. Run "gitqq use <account>" first.');
+    }
+    return account;
+  }
+
+  async requireBranch(account) {
+    const branch = await GitManager.getCurrentBranch(account);
+    if (!branch) {
+      throw new Error("Not on a branch (is this a git repository?)");
+    }
+    return branch;
+  }
+
+  async use([username], options) {
+    if (!username) {
+      throw new Error("Usage: gitqq use <account> [--repo | --global]");
+    }
+
+    let mode;
+    if (options.repo) mode = "repo";
+    if (options.global) mode = "global";
+
+    const cli = new CLI(this.config);
+    const switched = await cli.activateAccount(username, { mode });
+    if (!switched) {
+      throw new Error(`Could not switch to account: ${username}`);
+    }
+  }
+
+  async bind([username], options) {
+    if (!username) {
+      throw new Error("Usage: gitqq bind <account>");
+    }
+    return this.use([username], { ...options, repo: true });
+  }
+
+  async unbind() {
+    if (!(await GitManager.isGitRepo())) {
+      throw new Error("Not inside a git repository");
+    }
+    await new CLI(this.config).unbindRepository();
+  }
+
+  async mode([mode]) {
+    if (!mode) {
+      console.log(this.config.getBindingMode());
+      return;
+    }
+    if (!["global", "repo"].includes(mode)) {
+      throw new Error("Usage: gitqq mode [global|repo]");
+    }
+    this.config.setBindingMode(mode);
+    console.log(chalk.green(`✅ Switching mode set to: ${mode}`));
+  }
+
+  async ssh([action]) {
+    const cli = new CLI(this.config);
+
+    switch (action) {
+      case "sync":
+        SSHManager.syncHostAliases(this.config.getAccounts());
+        console.log(chalk.green("✅ Updated gitqq hosts in ~/.ssh/config"));
+        break;
+      case "remove":
+        await cli.removeSSHConfig();
+        break;
+      default:
+        throw new Error("Usage: gitqq ssh sync|remove");
+    }
+  }
+
+  async push(args, options) {
+    const account = this.resolveAccount(options);
+    const branch = await this.requireBranch(account);
+
+    let mode = "normal";
+    if (options.force) {
+      mode = "force-override";
+    } else if (options.forceWithLease) {
+      mode = "force-lease";
+    }
+
+    const protectedBy = this.config.getProtectedPattern(branch);
+    if (protectedBy && mode !== "normal") {
+      const command = [
+        "push",
+        mode === "force-lease" ? "--force-with-lease" : "--force",
+        "origin",
+        branch,
+      ];
+      let reason = null;
+      if (mode === "force-override") {
+        reason = `${branch} is protected (${protectedBy}); use --force-with-lease --confirm-branch ${branch}`;
+      } else if (options.confirmBranch !== branch) {
+        reason = `${branch} is protected (${protectedBy}); pass --confirm-branch ${branch} to force push`;
+      }
+      if (reason) {
+        AuditLog.recordBlocked(account, command, reason);
+        throw new Error(reason);
+      }
+    }
+
+    if (!options.ignoreIdentity && account.email) {
+      const mismatched = GitManager.findIdentityMismatches(
+        await GitManager.getUnpushedCommits(account, branch),
+        account.email,
+      );
+      if (mismatched.length > 0) {
+        throw new Error(
+          `${this.describeMismatches(mismatched, account)}\n` +
+            'Run "gitqq identity fix" to re-author them, or push with --ignore-identity',
+        );
+      }
+    }
+
+    console.log(chalk.blue(`🔄 Pushing to origin/${branch}`));
+    let result;
+    try {
+      result = await GitManager.push(account, branch, { mode });
+    } catch (error) {
+      if (!error.message.includes("no upstream branch")) throw error;
+      result = await GitManager.push(account, branch, { mode: "upstream" });
+    }
+    if (result.stdout) console.log(result.stdout);
+    if (result.stderr) console.log(chalk.yellow(result.stderr));
+    console.log(chalk.green("✅ Push completed"));
+  }
+
+  async sync([strategy], options) {
+    const account = this.resolveAccount(options);
+
+    if (["continue", "abort", "skip"].includes(strategy)) {
+      const operation = await GitManager.getOperationInProgress(account);
+      if (!operation) {
+        throw new Error("No rebase or merge in progress");
+      }
+      await GitManager.resolveOperation(account, operation, strategy);
+      const remaining = await GitManager.getOperationInProgress(account);
+      if (remaining) {
+        throw new Error(
+          `The ${remaining} stopped again on conflicts:\n  ${(await GitManager.getConflictedFiles(account)).join("\n  ")}`,
+        );
+      }
+      console.log(chalk.green(`✅ ${operation} --${strategy} done`));
+      return;
+    }
+
+    const branch = await this.requireBranch(account);
+    if (!strategy) {
+      strategy = GitManager.recommendSyncStrategy(
+        await GitManager.getRemoteStatus(account, { branch }),
+      );
+    }
+
+    console.log(chalk.blue(`🔄 Syncing ${branch} (${strategy})`));
+    try {
+      const result = await GitManager.sync(account, branch, strategy);
+      if (result.stdout) console.log(result.stdout);
+    } catch (error) {
+      const operation = await GitManager.getOperationInProgress(account);
+      if (!operation) throw error;
+      throw new Error(
+        `The ${operation} stopped on conflicts:\n  ${(await GitManager.getConflictedFiles(account)).join("\n  ")}\n` +
+          `Resolve them, stage the files and run "gitqq sync continue", or "gitqq sync abort"`,
+      );
+    }
+    console.log(chalk.green("✅ Sync completed"));
+  }
+
+  async commit(args, options) {
+    const account = this.resolveAccount(options);
+    const message = typeof options.message === "string" ? options.message : "";
+    if (!message.trim()) {
+      throw new Error('Commit message is required: gitqq commit -m "message"');
+    }
+
+    const rules = ConventionalCommits.loadRules(this.config);
+    if (rules.enabled) {
+      this.assertValidMessage(message.trim(), rules);
+    }
+
+    const result = await GitManager.commit(account, message, {
+      all: Boolean(options.all),
+    });
+    if (result.stdout) console.log(result.stdout);
+    console.log(chalk.green("✅ Commit created"));
+  }
+
+  async stash([action = "list", ...rest], options) {
+    const account = this.resolveAccount(options);
+
+    if (action === "list") {
+      const stashes = await GitManager.listStashes(account);
+      if (stashes.length === 0) {
+        console.log("No stashes");
+      }
+      stashes.forEach((stash) =>
+        console.log(
+          `${stash.ref}  ${stash.message}  (${stash.branch || "?"}, ${stash.age})`,
+        ),
+      );
+      return;
+    }
+
+    if (action === "push") {
+      const stashed = await GitManager.createStash(account, {
+        message: typeof options.message === "string" ? options.message : "",
+        includeUntracked: Boolean(options.includeUntracked),
+        paths: rest,
+      });
+      console.log(
+        stashed
+          ? chalk.green("✅ Changes stashed")
+          : chalk.yellow("ℹ️ No changes to stash"),
+      );
+      return;
+    }
+
+    if (!["apply", "pop", "show", "drop"].includes(action)) {
+      throw new Error(
+        "Usage: gitqq stash [list|push|apply|pop|show|drop] [<n>]",
+      );
+    }
+    const [index = "0"] = rest;
+    const ref = /^\d+$/.test(index) ? `stash@{${index}}` : index;
+
+    if (action === "show") {
+      console.log(await GitManager.showStash(account, ref));
+    } else if (action === "drop") {
+      await GitManager.dropStash(account, ref);
+      console.log(chalk.green(`✅ Dropped ${ref}`));
+    } else {
+      await GitManager.applyStash(account, ref, { pop: action === "pop" });
+      console.log(
+        chalk.green(`✅ ${action === "pop" ? "Popped" : "Applied"} ${ref}`),
+      );
+    }
+  }
+
+  async history(args, options) {
+    const account = this.resolveAccount(options);
+    const limit = options.limit ? Number(options.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid --limit: ${options.limit}`);
+    }
+
+    const entries = await GitManager.getLog(account, {
+      limit,
+      search: typeof options.search === "string" ? options.search : "",
+      authorEmail: options.mine ? account.email : null,
+    });
+    const cli = new CLI(this.config);
+    entries.forEach((entry) => console.log(cli.formatLogEntry(entry)));
+  }
+
+  async tag([action = "list", name], options) {
+    const account = this.resolveAccount(options);
+
+    if (action === "list") {
+      const tags = await GitManager.listTags(account);
+      if (tags.length === 0) {
+        console.log("No tags");
+      }
+      tags.forEach((tag) =>
+        console.log(
+          `${tag.name}  (${tag.signed ? "signed" : tag.annotated ? "annotated" : "lightweight"}, ${tag.age})${tag.subject ? `  ${tag.subject}` : ""}`,
+        ),
+      );
+      return;
+    }
+
+    if (action === "next") {
+      const names = (await GitManager.listTags(account)).map((tag) => tag.name);
+      const latest = ConventionalCommits.getLatestVersion(names);
+      const suggestion = ConventionalCommits.suggestNextVersion(
+        names,
+        await GitManager.getCommitMessages(account, latest && latest.tag),
+      );
+      console.log(
+        suggestion.current
+          ? `${suggestion.next}  (${suggestion.bump} bump from ${suggestion.current})`
+          : suggestion.next,
+      );
+      return;
+    }
+
+    if (action === "push" && options.all) {
+      await GitManager.pushAllTags(account);
+      console.log(chalk.green("✅ Tags pushed"));
+      return;
+    }
+
+    if (!["create", "push", "delete"].includes(action) || !name) {
+      throw new Error(
+        "Usage: gitqq tag [list|next|create <name>|push <name>|delete <name>]",
+      );
+    }
+
+    if (action === "create") {
+      await GitManager.createTag(account, name, {
+        message: typeof options.message === "string" ? options.message : "",
+      });
+      console.log(chalk.green(`✅ Created tag ${name}`));
+    } else if (action === "push") {
+      await GitManager.pushTag(account, name);
+      console.log(chalk.green(`✅ Pushed ${name} to origin`));
+    } else {
+      if (options.remote) {
+        await GitManager.deleteRemoteTag(account, name);
+        console.log(chalk.green(`✅ Deleted ${name} on origin`));
+      }
+      const local = (await GitManager.listTags(account)).some(
+        (tag) => tag.name === name,
+      );
+      // With --remote, a tag that only exists on origin is fine
+      if (local || !options.remote) {
+        await GitManager.deleteTag(account, name);
+        console.log(chalk.green(`✅ Deleted local tag ${name}`));
+      }
+    }
+  }
+
+  async branch([action, name], options) {
+    const account = this.resolveAccount(options);
+
+    if (action === "list" || !action) {
+      const current = await GitManager.getCurrentBranch(account);
+      const branches = await GitManager.getLocalBranches(account);
+      branches.forEach((branch) =>
+        console.log(`${branch === current ? "*" : " "} ${branch}`),
+      );
+      return;
+    }
+
+    if (!["create", "switch", "delete"].includes(action)) {
+      throw new Error(`Unknown branch action: ${action}`);
+    }
+    if (!name) {
+      throw new Error(`Usage: gitqq branch ${action} <name>`);
+    }
+
+    switch (action) {
+      case "create":
+        await GitManager.createBranch(
+          account,
+          name,
+          typeof options.from === "string" ? options.from : undefined,
+        );
+        console.log(chalk.green(`✅ Created and switched to branch: ${name}`));
+        if (options.remote) {
+          await GitManager.push(account, name, { mode: "upstream" });
+          console.log(chalk.green("✅ Branch pushed and upstream set"));
+        }
+        break;
+
+      case "switch":
+        await GitManager.switchBranch(account, name);
+        console.log(chalk.green(`✅ Switched to branch: ${name}`));
+        break;
+
+      case "delete":
+        if ((await GitManager.getCurrentBranch(account)) === name) {
+          throw new Error("Can't delete the current branch");
+        }
+        if (options.remote) {
+          const protectedBy = this.config.getProtectedPattern(name);
+          if (protectedBy && !options.overrideProtection) {
+            const reason = `${name} is protected (${protectedBy}); pass --override-protection to delete it on origin`;
+            AuditLog.recordBlocked(
+              account,
+              ["push", "origin", "--delete", name],
+              reason,
+            );
+            throw new Error(reason);
+          }
+          await GitManager.deleteRemoteBranch(account, name);
+          console.log(chalk.green("✅ Remote branch deleted successfully"));
+        }
+        await GitManager.deleteLocalBranch(account, name);
+        console.log(chalk.green("✅ Local branch deleted successfully"));
+        break;
+    }
+  }
+
+  async accounts([action, username], options) {
+    if (action === "list" || !action) {
+      const current = this.config.config.currentAccount;
+      const bound = this.config.getBoundAccount();
+      const accounts = this.config.getAccounts();
+      Object.keys(accounts).forEach((name) => {
+        const marker = name === current ? "*" : " ";
+        const isBound = bound && bound.username === name;
+        const { hostname } = HostManager.getHost(accounts[name]);
+        console.log(
+          `${marker} ${name} <${accounts[name].email}> [${hostname}]${isBound ? " (bound to this repo)" : ""}`,
+        );
+      });
+      return;
+    }
+
+    if (!["add", "edit", "remove", "verify"].includes(action)) {
+      throw new Error(`Unknown accounts action: ${action}`);
+    }
+    if (!username) {
+      throw new Error(`Usage: gitqq accounts ${action} <username>`);
+    }
+
+    if (action === "remove") {
+      if (options.archiveKey && options.deleteKey) {
+        throw new Error("Pass only one of --archive-key or --delete-key");
+      }
+      let keyAction = "keep";
+      if (options.archiveKey) keyAction = "archive";
+      if (options.deleteKey) keyAction = "delete";
+
+      await new CLI(this.config).deleteAccount(username, { keyAction });
+      return;
+    }
+
+    if (action === "edit") {
+      return this.editAccount(username, options);
+    }
+
+    if (action === "verify") {
+      const account = this.config.getAccount(username);
+      if (!account) {
+        throw new Error(`Account not found: ${username}`);
+      }
+      const result = await new CLI(this.config).verifySSHConnection(account, {
+        hostname: options.hostname,
+        port: options.port,
+      });
+      if (!result.ok) {
+        throw new Error(`SSH check failed for ${username}`);
+      }
+      return;
+    }
+
+    const validUsername = this.config.validateUsername(username);
+    if (validUsername !== true) {
+      throw new Error(validUsername);
+    }
+    if (
+      typeof options.email !== "string" ||
+      ConfigManager.validateEmail(options.email) !== true
+    ) {
+      throw new Error("Valid email is required: --email <email>");
+    }
+    if (Boolean(options.generate) === Boolean(options.key)) {
+      throw new Error("Pass exactly one of --key <file> or --generate");
+    }
+
+    const host = HostManager.createHost({
+      provider: options.provider,
+      hostname: options.hostname,
+      port: options.port,
+      user: options.sshUser,
+    });
+
+    const key = this.resolveKey(username, options.email, options);
+
+    const signing = this.resolveSigning(options, key);
+
+    this.config.addAccount(username, {
+      name: typeof options.name === "string" ? options.name : username,
+      email: options.email,
+      ...key,
+      host,
+      ...(signing ? { signing } : {}),
+    });
+    new CLI(this.config).syncSSHConfig();
+    console.log(chalk.green(`✅ Added account: ${username}`));
+  }
+
+  async exportAccounts([file], options) {
+    if (!file) {
+      throw new Error("Usage: gitqq export <file> [--include-keys]");
+    }
+    await new CLI(this.config).exportAccounts(file, {
+      includeKeys: Boolean(options.includeKeys),
+    });
+  }
+
+  async importAccounts([file], options) {
+    if (!file) {
+      throw new Error(
+        "Usage: gitqq import <file> [--on-conflict skip|replace|rename]",
+      );
+    }
+    const onConflict = options.onConflict || "skip";
+    if (!["skip", "replace", "rename"].includes(onConflict)) {
+      throw new Error("--on-conflict must be skip, replace or rename");
+    }
+    await new CLI(this.config).importAccounts(file, { onConflict });
+  }
+
+  async repos([action, repoPath]) {
+    if (action === "list" || !action) {
+      const repos = this.config.listRepos();
+      if (repos.length === 0) {
+        console.log("No repositories yet");
+        return;
+      }
+      repos.forEach((repo) => {
+        const details = [
+          repo.boundAccount && `bound to ${repo.boundAccount}`,
+          repo.selectedBranch && `branch ${repo.selectedBranch}`,
+          repo.remote,
+          !repo.exists && chalk.yellow("missing"),
+        ].filter(Boolean);
+        console.log(
+          `${repo.path}${details.length ? `  (${details.join(", ")})` : ""}`,
+        );
+      });
+      return;
+    }
+
+    if (action === "prune") {
+      const removed = this.config.pruneRepos();
+      removed.forEach((removedPath) => console.log(`Forgot ${removedPath}`));
+      console.log(
+        chalk.green(
+          `✅ Pruned ${removed.length} repositor${removed.length === 1 ? "y" : "ies"}`,
+        ),
+      );
+      return;
+    }
+
+    if (action === "forget") {
+      const target = path.resolve(repoPath || process.cwd());
+      const key = this.config.findRepoKey(target);
+      if (!key) {
+        throw new Error(`No settings for repository: ${target}`);
+      }
+
+      if (
+        this.config.config.repoSettings[key].boundAccount &&
+        fs.existsSync(key)
+      ) {
+        await GitManager.unbindRepository({ cwd: key });
+      }
+      this.config.forgetRepo(key);
+      console.log(chalk.green(`✅ Forgot ${key}`));
+      return;
+    }
+
+    throw new Error("Usage: gitqq repos [list|prune|forget <path>]");
+  }
+
+  assertValidMessage(message, rules) {
+    const errors = ConventionalCommits.validate(message, rules);
+    if (errors.length > 0) {
+      throw new Error(
+        `Commit message doesn't follow this repository's rules:\n  - ${errors.join("\n  - ")}`,
+      );
+    }
+  }
+
+  describeMismatches(commits, account) {
+    return [
+      `${commits.length} commit(s) weren't made as ${account.email}:`,
+      ...commits.map(
+        (commit) =>
+          `  ${commit.shortSha} ${commit.subject} (author ${commit.authorEmail}, committer ${commit.committerEmail})`,
+      ),
+    ].join("\n");
+  }
+
+  async identity([action], options) {
+    if (action === "check" && options.prePush) {
+      return this.checkPrePush(options.prePush);
+    }
+
+    const account = this.resolveAccount(options);
+    const branch = await this.requireBranch(account);
+    const mismatched = GitManager.findIdentityMismatches(
+      await GitManager.getUnpushedCommits(account, branch),
+      account.email,
+    );
+
+    if (action === "check") {
+      if (mismatched.length > 0) {
+        throw new Error(this.describeMismatches(mismatched, account));
+      }
+      console.log(
+        chalk.green(`✅ Every unpushed commit was made as ${account.email}`),
+      );
+      return;
+    }
+
+    if (action === "fix") {
+      if (mismatched.length === 0) {
+        console.log("Nothing to fix");
+        return;
+      }
+      await GitManager.rewriteIdentity(account, branch);
+      console.log(chalk.green(`✅ Commits re-authored as ${account.email}`));
+      return;
+    }
+
+    throw new Error("Usage: gitqq identity check|fix");
+  }
+
+  // git feeds pre-push hooks "<local ref> <local sha> <remote ref> <remote
+  // sha>" lines on stdin. Without an active account there's nothing to
+  // check against, so the push goes ahead.
+  async checkPrePush(remote) {
+    const account = this.config.getActiveAccount();
+    if (!account || !account.email) return;
+
+    // A push to a URL passes the URL, which names no remote-tracking refs;
+    // then anything on any remote counts as already pushed
+    const remotes = (await GitManager.listRemotes(account)).includes(remote)
+      ? `--remotes=${remote}`
+      : "--remotes";
+    const zero = /^0+$/;
+    const commits = [];
+    for (const line of fs.readFileSync(0, "utf8").split("\n")) {
+      const [, localSha, , remoteSha] = line.trim().split(" ");
+      // Deleting a remote ref pushes no commits
+      if (!localSha || zero.test(localSha)) continue;
+      GitManager.assertCommit(localSha);
+      const notOnRemote = [localSha, "--not", remotes];
+      if (zero.test(remoteSha)) {
+        commits.push(...(await GitManager.getCommits(account, notOnRemote)));
+        continue;
+      }
+
+      GitManager.assertCommit(remoteSha);
+      try {
+        commits.push(
+          ...(await GitManager.getCommits(account, [
+            `${remoteSha}..${localSha}`,
+          ])),
+        );
+      } catch {
+        // The remote tip isn't here yet (a force push over unseen commits)
+        commits.push(...(await GitManager.getCommits(account, notOnRemote)));
+      }
+    }
+
+    const mismatched = GitManager.findIdentityMismatches(
+      commits,
+      account.email,
+    );
+    if (mismatched.length > 0) {
+      throw new Error(
+        `${this.describeMismatches(mismatched, account)}\n` +
+          'Run "gitqq identity fix" to re-author them, or push with --no-verify',
+      );
+    }
+  }
+
+  async log(args, options) {
+    const limit = options.limit ? Number(options.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid --limit: ${options.limit}`);
+    }
+
+    let repo = null;
+    if (options.repo) {
+      const target =
+        typeof options.repo === "string" ? path.resolve(options.repo) : null;
+      repo = AuditLog.getRepo(target || undefined) || target;
+      if (!repo) {
+        throw new Error("Not inside a git repository");
+      }
+    }
+
+    const entries = AuditLog.read({
+      repo,
+      account: typeof options.account === "string" ? options.account : null,
+      operation:
+        typeof options.operation === "string" ? options.operation : null,
+    });
+    if (entries.length === 0) {
+      console.log("No matching audit entries");
+      return;
+    }
+    entries
+      .slice(-limit)
+      .reverse()
+      .forEach((entry) => console.log(this.formatAuditEntry(entry)));
+  }
+
+  formatAuditEntry(entry) {
+    const icons = { ok: "✅", failed: "❌", blocked: "🚫" };
+    const time = entry.timestamp.replace("T", " ").slice(0, 19);
+    const lines = [
+      `${icons[entry.status] || "•"} ${time}  ${entry.account || "-"}  ${chalk.gray(entry.repo || "")}`,
+    ];
+
+    let summary;
+    if (entry.operation === "switch-account") {
+      const { before, after } = entry.email || {};
+      summary = `switch account (${entry.scope}): ${before || "none"} → ${after || "none"}`;
+    } else {
+      summary = `git ${(entry.command || []).join(" ")}`;
+    }
+    if (entry.status === "failed") {
+      summary += chalk.red(` (exit ${entry.exitCode})`);
+    } else if (entry.status === "blocked") {
+      summary += chalk.yellow(` (${entry.reason})`);
+    }
+    lines.push(`   ${summary}`);
+
+    const short = (sha) => (sha ? sha.slice(0, 7) : "(none)");
+    Object.entries(entry.refs || {}).forEach(([ref, { before, after }]) =>
+      lines.push(chalk.gray(`   ${ref}  ${short(before)} → ${short(after)}`)),
+    );
+    return lines.join("\n");
+  }
+
+  async protect([action = "list", pattern], options) {
+    const scope = options.repo ? "repo" : "global";
+    if (options.repo && !this.config.resolveRepoIdentity()) {
+      throw new Error("Not inside a git repository");
+    }
+    const patterns = this.config.getProtectedBranches();
+
+    if (action === "list") {
+      patterns.global.forEach((item) => console.log(`${item}  (everywhere)`));
+      patterns.repo.forEach((item) =>
+        console.log(`${item}  (this repository)`),
+      );
+      if (patterns.global.length + patterns.repo.length === 0) {
+        console.log("No protected branches");
+      }
+      return;
+    }
+
+    if (!["add", "remove"].includes(action) || !pattern) {
+      throw new Error(
+        "Usage: gitqq protect [list|add <pattern>|remove <pattern>] [--repo]",
+      );
+    }
+    const valid = ConfigManager.validateBranchPattern(pattern);
+    if (valid !== true) {
+      throw new Error(valid);
+    }
+
+    const current = patterns[scope];
+    const where = options.repo ? "in this repository" : "everywhere";
+    if (action === "add") {
+      if (current.includes(pattern)) {
+        console.log(`${pattern} is already protected ${where}`);
+        return;
+      }
+      this.config.setProtectedBranches([...current, pattern], {
+        repo: options.repo,
+      });
+      console.log(chalk.green(`✅ Protected ${pattern} ${where}`));
+      return;
+    }
+
+    if (!current.includes(pattern)) {
+      throw new Error(`${pattern} isn't protected ${where}`);
+    }
+    this.config.setProtectedBranches(
+      current.filter((item) => item !== pattern),
+      { repo: options.repo },
+    );
+    console.log(chalk.green(`✅ ${pattern} is no longer protected ${where}`));
+  }
+
+  async rules([action = "show"]) {
+    if (!this.config.resolveRepoIdentity()) {
+      throw new Error("Not inside a git repository");
+    }
+
+    if (action === "enable" || action === "disable") {
+      const commitRules = this.config.getRepoSettings().commitRules || {};
+      this.config.updateRepoSettings({
+        commitRules: { ...commitRules, enabled: action === "enable" },
+      });
+      console.log(
+        chalk.green(
+          `✅ Conventional Commits checks ${action === "enable" ? "enabled" : "disabled"} for this repository`,
+        ),
+      );
+      return;
+    }
+
+    if (action !== "show") {
+      throw new Error("Usage: gitqq rules [show|enable|disable]");
+    }
+
+    const rules = ConventionalCommits.loadRules(this.config);
+    console.log(`Enabled:        ${rules.enabled ? "yes" : "no"}`);
+    console.log(`Types:          ${rules.types.join(", ")}`);
+    console.log(
+      `Scopes:         ${rules.scopes.length ? rules.scopes.join(", ") : "any"}${rules.requireScope ? " (required)" : ""}`,
+    );
+    console.log(`First line max: ${rules.subjectMaxLength}`);
+    if (rules.ticketPattern) {
+      console.log(`Ticket pattern: ${rules.ticketPattern}`);
+    }
+  }
+
+  async hooks([action, name], options) {
+    const commands = {
+      "commit-msg": 'lint-msg "$1"',
+      "pre-push": 'identity check --pre-push "$1"',
+    };
+    if (!["install", "uninstall"].includes(action) || !commands[name]) {
+      throw new Error(
+        `Usage: gitqq hooks install|uninstall ${Object.keys(commands).join("|")}`,
+      );
+    }
+
+    if (action === "uninstall") {
+      const hookPath = await GitManager.uninstallHook(name);
+      console.log(
+        hookPath
+          ? chalk.green(`✅ Removed ${hookPath}`)
+          : `No ${name} hook installed`,
+      );
+      return;
+    }
+
+    // The hook runs this copy of gitqq with this node, so it works without
+    // gitqq on the PATH git hooks see
+    const quote = (arg) => `'${arg.replace(/'/g, "'\\''")}'`;
+    const program = [process.execPath, path.join(__dirname, "..", "index.js")]
+      .map(quote)
+      .join(" ");
+    const hookPath = await GitManager.installHook(
+      name,
+      `exec ${program} ${commands[name]}`,
+      { force: Boolean(options.force) },
+    );
+    console.log(chalk.green(`✅ Installed ${hookPath}`));
+  }
+
+  // Used by the commit-msg hook, so the checks apply whether or not the
+  // rules are enabled for interactive commits
+  async lintMessage([file]) {
+    if (!file) {
+      throw new Error("Usage: gitqq lint-msg <file>");
+    }
+    const message = ConventionalCommits.cleanMessage(
+      fs.readFileSync(file, "utf8"),
+    );
+    if (!message) return;
+
+    this.assertValidMessage(
+      message,
+      ConventionalCommits.loadRules(this.config),
+    );
+  }
+
+  async doctor([username], options) {
+    const cli = new CLI(this.config);
+    let problems = 0;
+    const fail = (message) => {
+      problems++;
+      console.log(chalk.red(`❌ ${message}`));
+    };
+
+    try {
+      const { stdout } = await GitManager.executeGitCommand(
+        ["--version"],
+        null,
+      );
+      console.log(chalk.green(`✅ ${stdout.trim()}`));
+    } catch (error) {
+      fail(`git is not available: ${error.message}`);
+    }
+
+    const accounts = this.config.getAccounts();
+    let usernames = Object.keys(accounts);
+    if (username) {
+      if (!accounts[username]) {
+        throw new Error(`Account not found: ${username}`);
+      }
+      usernames = [username];
+    }
+
+    const sshConfig = SSHManager.readSSHConfig();
+    for (const name of usernames) {
+      const account = this.config.getAccount(name);
+      console.log(chalk.blue(`\n👤 ${name}`));
+
+      if (!account.sshKey || !SSHManager.validateSSHKey(account.sshKey)) {
+        fail(
+          `SSH key not found: ${SSHManager.getSSHKeyPath(account.sshKey || "")}`,
+        );
+        continue;
+      }
+
+      const keyPath = SSHManager.getSSHKeyPath(account.sshKey);
+      if (
+        process.platform !== "win32" &&
+        (fs.statSync(keyPath).mode & 0o077) !== 0
+      ) {
+        fail(
+          `${keyPath} is readable by other users (run: chmod 600 ${keyPath})`,
+        );
+      }
+
+      const alias = HostManager.getHostAlias(account);
+      if (!sshConfig.includes(`Host ${alias}\n`)) {
+        fail(`~/.ssh/config has no "${alias}" host (run: gitqq ssh sync)`);
+      }
+
+      const result = await cli.verifySSHConnection(account, {
+        hostname: options.hostname,
+        port: options.port,
+      });
+      if (!result.ok) problems++;
+    }
+
+    if (problems > 0) {
+      throw new Error(`${problems} problem${problems === 1 ? "" : "s"} found`);
+    }
+    console.log(chalk.green("\n✅ Everything looks good"));
+  }
+
+  // --generate creates a key that never overwrites an existing one, --key
+  // reuses a file already in ~/.ssh
+  resolveKey(username, email, options) {
+    if (options.generate) {
+      const sshKey = SSHManager.getAvailableKeyName(`id_${username}`);
+      const keyPath = SSHManager.generateKey(sshKey, email);
+      console.log(chalk.green(`✅ SSH key generated: ${keyPath}`));
+      console.log(fs.readFileSync(`${keyPath}.pub`, "utf8"));
+      return { sshKey, customKey: true };
+    }
+
+    const sshKey = options.key;
+    if (!SSHManager.validateSSHKey(sshKey)) {
+      throw new Error(`SSH key not found: ${SSHManager.getSSHKeyPath(sshKey)}`);
+    }
+    return { sshKey, customKey: false };
+  }
+
+  // --sign ssh|gpg|off (with --gpg-key for gpg); undefined when not given
+  resolveSigning(options, account) {
+    if (options.sign === undefined) return undefined;
+
+    switch (options.sign) {
+      case "off":
+        return null;
+      case "ssh":
+        if (!SSHManager.validateSSHKey(`${account.sshKey}.pub`)) {
+          throw new Error(
+            `SSH signing needs the public key: ${SSHManager.getSSHKeyPath(`${account.sshKey}.pub`)}`,
+          );
+        }
+        return { format: "ssh" };
+      case "gpg": {
+        const keyId = typeof options.gpgKey === "string" ? options.gpgKey : "";
+        const valid = GitManager.validateGpgKeyId(keyId);
+        if (valid !== true) {
+          throw new Error(`--gpg-key: ${valid}`);
+        }
+        return { format: "openpgp", key: keyId.trim() };
+      }
+      default:
+        throw new Error("--sign must be ssh, gpg or off");
+    }
+  }
+
+  async editAccount(username, options) {
+    const account = this.config.getAccount(username);
+    if (!account) {
+      throw new Error(`Account not found: ${username}`);
+    }
+
+    const changes = {};
+    if (typeof options.name === "string") {
+      if (!options.name.trim()) throw new Error("Name is required: --name");
+      changes.name = options.name.trim();
+    }
+    if (typeof options.email === "string") {
+      const validEmail = ConfigManager.validateEmail(options.email);
+      if (validEmail !== true) throw new Error(validEmail);
+      changes.email = options.email.trim();
+    }
+    if (options.generate && options.key) {
+      throw new Error("Pass only one of --key <file> or --generate");
+    }
+    if (options.generate || typeof options.key === "string") {
+      Object.assign(
+        changes,
+        this.resolveKey(username, changes.email || account.email, options),
+      );
+    }
+    if (
+      options.provider ||
+      options.hostname ||
+      options.port ||
+      options.sshUser
+    ) {
+      const current = HostManager.getHost(account);
+      const provider = options.provider || current.provider;
+      changes.host = HostManager.createHost({
+        provider,
+        hostname:
+          options.hostname ||
+          (provider === current.provider ? current.hostname : undefined),
+        port: options.port || current.port,
+        user: options.sshUser || current.user,
+      });
+    }
+
+    const signing = this.resolveSigning(options, { ...account, ...changes });
+    if (signing !== undefined) {
+      changes.signing = signing;
+    }
+
+    let newName = username;
+    if (typeof options.rename === "string" && options.rename !== username) {
+      const validUsername = this.config.validateUsername(
+        options.rename,
+        username,
+      );
+      if (validUsername !== true) throw new Error(validUsername);
+      newName = options.rename.trim();
+    }
+
+    if (Object.keys(changes).length === 0 && newName === username) {
+      throw new Error(
+        "Nothing to change. Pass --name, --email, --key, --generate, --rename, --sign or host options.",
+      );
+    }
+
+    const cli = new CLI(this.config);
+    this.config.updateAccount(username, changes);
+    if (newName !== username) {
+      await cli.renameAccount(username, newName);
+    }
+    await cli.reapplyAccount(newName);
+    console.log(chalk.green(`✅ Updated account: ${newName}`));
+  }
+}
+
+module.exports = { CommandRunner, USAGE };
@@ -0,0 +1,230 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const COMMIT_TYPES = {
+  feat: "A new feature",
+  fix: "A bug fix",
+  docs: "Documentation only",
+  style: "Formatting, no code change",
+  refactor: "Neither fixes a bug nor adds a feature",
+  perf: "Improves performance",
+  test: "Adds or corrects tests",
+  build: "Build system or dependencies",
+  ci: "CI configuration",
+  chore: "Other changes that don't touch src or tests",
+  revert: "Reverts a previous commit",
+};
+
+const DEFAULT_RULES = {
+  enabled: false,
+  types: Object.keys(COMMIT_TYPES),
+  scopes: [],
+  requireScope: false,
+  subjectMaxLength: 72,
+  ticketPattern: null,
+};
+
+// Folders that say nothing about what changed
+const GENERIC_DIRS = ["src", "lib", "packages", "apps", "app", "test", "tests"];
+
+const VERSION_TAG = /^(v?)(\d+)\.(\d+)\.(\d+)$/;
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^()\s]+)\))?(!)?: (.+)$/;
+
+// Messages git writes itself, which the hook lets through
+const GENERATED_MESSAGE = /^(Merge |Revert "|fixup! |squash! |amend! )/;
+
+// Git ignores this line and everything below it in the message file
+const SCISSORS_LINE = "# ------------------------ >8 ------------------------";
+
+// Conventional Commits
+// Rules come from DEFAULT_RULES, then the repository's .gitqq.json
+// ("commit" key, shared with the team), then repoSettings.commitRules.
+class ConventionalCommits {
+  static getTypes() {
+    return COMMIT_TYPES;
+  }
+
+  static loadRules(config, { cwd = process.cwd() } = {}) {
+    let toplevel = null;
+    try {
+      toplevel = execFileSync("git", ["rev-parse", "--show-toplevel"], {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim();
+    } catch {
+      // Not in a repository: defaults only
+    }
+
+    let fileRules = {};
+    const rulesFile = toplevel && path.join(toplevel, ".gitqq.json");
+    if (rulesFile && fs.existsSync(rulesFile)) {
+      try {
+        fileRules = JSON.parse(fs.readFileSync(rulesFile, "utf8")).commit || {};
+      } catch (error) {
+        throw new Error(`Invalid ${rulesFile}: ${error.message}`);
+      }
+    }
+
+    return {
+      ...DEFAULT_RULES,
+      ...fileRules,
+      ...((toplevel && config.getRepoSettings(cwd).commitRules) || {}),
+    };
+  }
+
+  static format({ type, scope, subject, body, breaking, ticket }) {
+    const header = `${type}${scope ? `(${scope})` : ""}${breaking ? "!" : ""}: ${subject.trim()}`;
+    const footers = [
+      breaking && `BREAKING CHANGE: ${breaking.trim()}`,
+      ticket && `Refs: ${ticket.trim()}`,
+    ].filter(Boolean);
+
+    return [header, body && body.trim(), footers.join("\n")]
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  static parse(message) {
+    const match = message.split("\n")[0].match(HEADER_PATTERN);
+    if (!match) return null;
+    const [, type, scope, bang, subject] = match;
+    return {
+      type,
+      scope: scope || null,
+      breaking: Boolean(bang) || /^BREAKING[ -]CHANGE: /m.test(message),
+      subject,
+    };
+  }
+
+  // Drop the comment lines git adds to the message file, and everything from
+  // the scissors line on (the diff `commit --verbose` appends), as
+  // --cleanup=scissors does
+  static cleanMessage(message) {
+    const lines = message.split("\n");
+    const scissors = lines.indexOf(SCISSORS_LINE);
+    return lines
+      .slice(0, scissors === -1 ? lines.length : scissors)
+      .filter((line) => !line.startsWith("#"))
+      .join("\n")
+      .trim();
+  }
+
+  // Everything wrong with `message`, as readable sentences
+  static validate(message, rules) {
+    if (GENERATED_MESSAGE.test(message)) return [];
+
+    const parsed = this.parse(message);
+    if (!parsed) {
+      return [
+        'First line must look like "type(scope): subject", e.g. "fix(auth): handle expired tokens"',
+      ];
+    }
+
+    const errors = [];
+    if (!rules.types.includes(parsed.type)) {
+      errors.push(`Type must be one of: ${rules.types.join(", ")}`);
+    }
+    if (rules.requireScope && !parsed.scope) {
+      errors.push("A scope is required");
+    }
+    if (
+      parsed.scope &&
+      rules.scopes.length > 0 &&
+      !rules.scopes.includes(parsed.scope)
+    ) {
+      errors.push(`Scope must be one of: ${rules.scopes.join(", ")}`);
+    }
+    if (message.split("\n")[0].length > rules.subjectMaxLength) {
+      errors.push(
+        `First line must be at most ${rules.subjectMaxLength} characters`,
+      );
+    }
+    if (parsed.subject.endsWith(".")) {
+      errors.push("Subject must not end with a period");
+    }
+    if (message.includes("\n") && message.split("\n")[1] !== "") {
+      errors.push("Leave a blank line after the first line");
+    }
+    if (rules.ticketPattern && !new RegExp(rules.ticketPattern).test(message)) {
+      errors.push(
+        `A ticket reference matching /${rules.ticketPattern}/ is required`,
+      );
+    }
+    return errors;
+  }
+
+  // The highest vX.Y.Z (or X.Y.Z) tag, as { tag, prefix, version: [x, y, z] }
+  static getLatestVersion(tags) {
+    return tags
+      .map((tag) => tag.match(VERSION_TAG))
+      .filter(Boolean)
+      .map(([tag, prefix, ...parts]) => ({
+        tag,
+        prefix,
+        version: parts.map(Number),
+      }))
+      .reduce((latest, candidate) => {
+        if (!latest) return candidate;
+        const newer = candidate.version.findIndex(
+          (part, i) => part !== latest.version[i],
+        );
+        return newer !== -1 && candidate.version[newer] > latest.version[newer]
+          ? candidate
+          : latest;
+      }, null);
+  }
+
+  // The next version after the latest tag, from the commits since it:
+  // breaking changes bump major (minor before 1.0.0), feat bumps minor and
+  // anything else patch. Without a version tag, start at v0.1.0.
+  static suggestNextVersion(tags, messages) {
+    const latest = this.getLatestVersion(tags);
+    if (!latest) {
+      return { current: null, next: "v0.1.0", bump: "initial" };
+    }
+
+    const parsed = messages.map((message) => this.parse(message));
+    let bump = "patch";
+    if (parsed.some((commit) => commit && commit.breaking)) {
+      bump = latest.version[0] === 0 ? "minor" : "major";
+    } else if (parsed.some((commit) => commit && commit.type === "feat")) {
+      bump = "minor";
+    }
+
+    const [major, minor, patch] = latest.version;
+    const next = {
+      major: [major + 1, 0, 0],
+      minor: [major, minor + 1, 0],
+      patch: [major, minor, patch + 1],
+    }[bump];
+    return {
+      current: latest.tag,
+      next: `${latest.prefix}${next.join(".")}`,
+      bump,
+    };
+  }
+
+  // Scopes for the changed files, most common first: the first folder that
+  // isn't a generic one like src/ or lib/, or a top-level file's name
+  static suggestScopes(paths) {
+    const counts = new Map();
+    paths.forEach((filePath) => {
+      const parts = filePath.split("/");
+      const dirs = parts
+        .slice(0, -1)
+        .filter((dir) => !GENERIC_DIRS.includes(dir));
+      const scope =
+        dirs[0] ||
+        (parts.length === 1
+          ? path.basename(parts[0], path.extname(parts[0])).toLowerCase()
+          : null);
+      if (scope) counts.set(scope, (counts.get(scope) || 0) + 1);
+    });
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  }
+}
+
+module.exports = { ConventionalCommits, DEFAULT_RULES };
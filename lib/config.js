@@ -0,0 +1,637 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFileSync } = require("child_process");
+const { HostManager } = require("./hosts");
+
+const CONFIG_FILE = path.join(os.homedir(), ".gitqq-config.json");
+const LOCK_TIMEOUT_MS = 2000;
+const STALE_LOCK_MS = 10000;
+
+// Ordered upgrades: MIGRATIONS[n] turns a version n config into version n + 1.
+// Configs written before versioning count as version 0.
+const MIGRATIONS = [
+  // 1: the preferred branch is kept per repository (selectedBranch) instead
+  // of in one global defaultBranch
+  (config) => {
+    delete config.defaultBranch;
+  },
+  // 2: repository settings are keyed by the repository's top-level folder
+  (config, manager) => {
+    manager.migrateRepoKeys();
+    delete config.repoKeysMigrated;
+  },
+];
+const CONFIG_VERSION = MIGRATIONS.length;
+
+// Protected everywhere until the user sets their own list
+const DEFAULT_PROTECTED_BRANCHES = ["main", "master"];
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isPatternList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// "*" matches within one path segment and "**" across segments, so
+// release/* covers release/1.0 but not release/1.0/hotfix
+function matchesBranchPattern(pattern, branch) {
+  const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  const source = pattern
+    .split("**")
+    .map((part) => part.split("*").map(escape).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}$`).test(branch);
+}
+
+// Problems that would make the config unusable, as readable messages
+function validateConfig(config) {
+  if (!isObject(config)) return ["not a JSON object"];
+
+  const errors = [];
+  if (config.version !== undefined && !Number.isInteger(config.version)) {
+    errors.push("version must be a whole number");
+  }
+  if (config.accounts !== undefined && !isObject(config.accounts)) {
+    errors.push("accounts must be an object");
+  }
+  Object.entries(isObject(config.accounts) ? config.accounts : {}).forEach(
+    ([username, account]) => {
+      if (!isObject(account)) {
+        errors.push(`account "${username}" must be an object`);
+      } else if (typeof account.email !== "string") {
+        errors.push(`account "${username}" has no email`);
+      } else if (account.host !== undefined && !isObject(account.host)) {
+        errors.push(`account "${username}" has an invalid host`);
+      }
+    },
+  );
+  if (
+    config.currentAccount !== undefined &&
+    config.currentAccount !== null &&
+    typeof config.currentAccount !== "string"
+  ) {
+    errors.push("currentAccount must be a string");
+  }
+  if (
+    config.bindingMode !== undefined &&
+    !["global", "repo"].includes(config.bindingMode)
+  ) {
+    errors.push('bindingMode must be "global" or "repo"');
+  }
+  if (config.repoSettings !== undefined) {
+    if (!isObject(config.repoSettings)) {
+      errors.push("repoSettings must be an object");
+    } else if (!Object.values(config.repoSettings).every(isObject)) {
+      errors.push("every repoSettings entry must be an object");
+    }
+  }
+  if (
+    config.protectedBranches !== undefined &&
+    !isPatternList(config.protectedBranches)
+  ) {
+    errors.push("protectedBranches must be a list of patterns");
+  }
+  return errors;
+}
+
+// Synchronous sleep for the lock retry loop; config writes are synchronous
+const sleep = (ms) =>
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Configuration Management
+class ConfigManager {
+  constructor(configFile = CONFIG_FILE) {
+    this.configFile = configFile;
+    this.repoKeys = new Map();
+    this.config = this.loadConfig();
+    this.migrateConfig();
+  }
+
+  // A config that can't be read is copied to <file>.bak-<timestamp> before
+  // gitqq starts a fresh one, so no account is silently lost
+  loadConfig() {
+    const empty = {
+      version: CONFIG_VERSION,
+      accounts: {},
+      currentAccount: null,
+    };
+    if (!fs.existsSync(this.configFile)) return empty;
+
+    let config;
+    let problems;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configFile, "utf8"));
+      problems = validateConfig(config);
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    if (problems.length === 0) {
+      if (config.version > CONFIG_VERSION) {
+        throw new Error(
+          `${this.configFile} was written by a newer gitqq (config version ${config.version}); please upgrade`,
+        );
+      }
+      return { accounts: {}, currentAccount: null, ...config };
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupFile = `${this.configFile}.bak-${stamp}`;
+    fs.copyFileSync(this.configFile, backupFile);
+    console.log(
+      chalk.yellow(
+        `⚠️ Config file is corrupted (${problems.join("; ")}). Saved a copy to ${backupFile} and started a new one.`,
+      ),
+    );
+    return empty;
+  }
+
+  // Upgrades this.config in memory; true when there was anything to upgrade
+  applyMigrations() {
+    const from = this.config.version || 0;
+    if (from >= CONFIG_VERSION) return false;
+
+    MIGRATIONS.slice(from).forEach((migrate) => migrate(this.config, this));
+    this.config.version = CONFIG_VERSION;
+    return true;
+  }
+
+  // An upgrade that can't be saved yet is kept in memory and retried by the
+  // next gitqq run
+  migrateConfig() {
+    if (!this.applyMigrations()) return;
+    try {
+      this.update(() => {});
+    } catch (error) {
+      console.log(
+        chalk.yellow(`⚠️ Could not save the upgraded config: ${error.message}`),
+      );
+    }
+  }
+
+  // Every change goes through here: under the lock, the config is read
+  // again, `change` is applied to it and the result is written back, so a
+  // change another gitqq process saved meanwhile isn't overwritten. Throws
+  // when the config can't be saved.
+  update(change) {
+    // A change made while applying another one is part of the same write
+    if (this.updating) return change(this.config);
+
+    return this.withLock(() => {
+      this.updating = true;
+      try {
+        this.config = this.loadConfig();
+        this.applyMigrations();
+        const result = change(this.config);
+        this.writeConfig();
+        return result;
+      } finally {
+        this.updating = false;
+      }
+    });
+  }
+
+  // Write to a temporary file and rename it over the config, so a crash
+  // mid-write never leaves a half-written file
+  writeConfig() {
+    const tempFile = `${this.configFile}.tmp-${process.pid}`;
+    const fd = fs.openSync(tempFile, "w", 0o600);
+    try {
+      fs.writeSync(fd, `${JSON.stringify(this.config, null, 2)}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, this.configFile);
+  }
+
+  withLock(callback) {
+    const lockFile = `${this.configFile}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    while (true) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: "wx" });
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+        if (this.isStaleLock(lockFile)) {
+          this.removeLock(lockFile);
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(
+            `${lockFile} is held by another gitqq process; remove it if none is running`,
+          );
+        }
+        sleep(50);
+      }
+    }
+
+    try {
+      return callback();
+    } finally {
+      this.removeLock(lockFile);
+    }
+  }
+
+  removeLock(lockFile) {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // Left behind by a process that died, or older than any write takes
+  isStaleLock(lockFile) {
+    try {
+      const pid = Number(fs.readFileSync(lockFile, "utf8"));
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+        return true;
+      }
+      process.kill(pid, 0);
+      return false;
+    } catch (error) {
+      // ESRCH: no such process. ENOENT: released meanwhile, just retry.
+      return error.code === "ESRCH";
+    }
+  }
+
+  addAccount(username, data) {
+    this.update((config) => {
+      config.accounts[username] = data;
+    });
+  }
+
+  updateAccount(username, changes) {
+    this.update((config) => {
+      config.accounts[username] = {
+        ...config.accounts[username],
+        ...changes,
+      };
+    });
+  }
+
+  // Keeps the account's position in the menu and moves the current selection
+  // and repository bindings over to the new name
+  renameAccount(oldName, newName) {
+    this.update((config) => {
+      if (!config.accounts[oldName]) {
+        throw new Error(`Account not found: ${oldName}`);
+      }
+      if (config.accounts[newName]) {
+        throw new Error(`Account already exists: ${newName}`);
+      }
+
+      const accounts = {};
+      Object.keys(config.accounts).forEach((username) => {
+        const key = username === oldName ? newName : username;
+        accounts[key] = config.accounts[username];
+      });
+      config.accounts = accounts;
+
+      if (config.currentAccount === oldName) {
+        config.currentAccount = newName;
+      }
+      Object.values(config.repoSettings || {}).forEach((settings) => {
+        if (settings.boundAccount === oldName) {
+          settings.boundAccount = newName;
+        }
+      });
+    });
+  }
+
+  validateUsername(username, currentUsername) {
+    const name = username.trim();
+    if (!name) return "Username is required";
+    if (!/^[A-Za-z0-9._-]+$/.test(name)) {
+      return "Use only letters, numbers, dots, dashes and underscores";
+    }
+    if (name !== currentUsername && this.getAccounts()[name]) {
+      return `Account already exists: ${name}`;
+    }
+    return true;
+  }
+
+  static validateEmail(email) {
+    return /^[^\s@]+@[^\s@]+$/.test(email.trim()) || "Valid email is required";
+  }
+
+  removeAccount(username) {
+    this.update((config) => {
+      delete config.accounts[username];
+      if (config.currentAccount === username) {
+        config.currentAccount = null;
+      }
+    });
+  }
+
+  setCurrentAccount(username) {
+    this.update((config) => {
+      config.currentAccount = username;
+    });
+  }
+
+  getCurrentAccount() {
+    if (!this.config.currentAccount) return null;
+
+    if (this.config.accounts[this.config.currentAccount]) {
+      return {
+        username: this.config.currentAccount,
+        ...this.config.accounts[this.config.currentAccount],
+      };
+    }
+
+    return null;
+  }
+
+  getAccounts() {
+    return this.config.accounts || {};
+  }
+
+  getAccount(username) {
+    const accounts = this.getAccounts();
+    return accounts[username] ? { username, ...accounts[username] } : null;
+  }
+
+  // Account bound to the current repository wins over the global selection
+  getActiveAccount(cwd) {
+    return this.getBoundAccount(cwd) || this.getCurrentAccount();
+  }
+
+  // "global" rewrites the global git identity, "repo" binds the current repo
+  getBindingMode() {
+    return this.config.bindingMode || "global";
+  }
+
+  setBindingMode(mode) {
+    this.update((config) => {
+      config.bindingMode = mode;
+    });
+  }
+
+  // Patterns that apply in every repository, and the ones added for one
+  getProtectedBranches(cwd) {
+    const repo = this.getRepoSettings(cwd).protectedBranches;
+    return {
+      global: this.config.protectedBranches || DEFAULT_PROTECTED_BRANCHES,
+      repo: isPatternList(repo) ? repo : [],
+    };
+  }
+
+  setProtectedBranches(patterns, { repo = false, cwd } = {}) {
+    if (repo) {
+      this.updateRepoSettings({ protectedBranches: patterns }, cwd);
+      return;
+    }
+    this.update((config) => {
+      config.protectedBranches = patterns;
+    });
+  }
+
+  static validateBranchPattern(pattern) {
+    const value = pattern.trim();
+    if (!value) return "Pattern is required";
+    if (/\s/.test(value) || value.startsWith("-")) {
+      return `Invalid branch pattern: ${value}`;
+    }
+    return true;
+  }
+
+  // The pattern protecting `branch`, or null when it isn't protected
+  getProtectedPattern(branch, cwd) {
+    const { global, repo } = this.getProtectedBranches(cwd);
+    return (
+      [...global, ...repo].find((pattern) =>
+        matchesBranchPattern(pattern, branch),
+      ) || null
+    );
+  }
+
+  // Where a repository's settings live: the main checkout's top-level
+  // folder, so subdirectories, symlinked paths and linked worktrees all share
+  // one entry. Null outside a repository.
+  resolveRepoIdentity(cwd = process.cwd()) {
+    const git = (args) =>
+      execFileSync("git", args, {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim();
+
+    let toplevel;
+    let commonDir;
+    try {
+      [toplevel, commonDir] = git([
+        "rev-parse",
+        "--show-toplevel",
+        "--git-common-dir",
+      ]).split("\n");
+    } catch {
+      return null;
+    }
+    if (!toplevel) return null;
+
+    commonDir = fs.realpathSync(path.resolve(cwd, commonDir));
+    const key =
+      path.basename(commonDir) === ".git"
+        ? path.dirname(commonDir)
+        : fs.realpathSync(toplevel);
+
+    let remote = null;
+    try {
+      remote = this.normalizeRemote(git(["remote", "get-url", "origin"]));
+    } catch {
+      // No origin remote
+    }
+
+    return { key, remote };
+  }
+
+  // host/owner/repo, the same for every account's alias of one remote
+  normalizeRemote(url) {
+    const plainUrl =
+      HostManager.fromAliasRemote(url, this.getAccounts()) || url;
+    const parsed = HostManager.parseRemote(plainUrl);
+    if (!parsed) return url;
+    const repoPath = parsed.path
+      .replace(/^\/+|\/+$/g, "")
+      .replace(/\.git$/, "");
+    return `${parsed.host}/${repoPath}`.toLowerCase();
+  }
+
+  getRepoKey(cwd = process.cwd()) {
+    if (this.repoKeys.has(cwd)) return this.repoKeys.get(cwd);
+
+    const identity = this.resolveRepoIdentity(cwd);
+    if (!identity) return cwd;
+
+    this.adoptMovedRepo(identity);
+    this.repoKeys.set(cwd, identity.key);
+    return identity.key;
+  }
+
+  // A repository re-cloned or moved elsewhere picks up the settings left
+  // under its old, now missing, path. Bindings stay behind: they live in the
+  // old checkout's .git/config, not in the new one.
+  adoptMovedRepo({ key, remote }) {
+    const findPrevious = (repoSettings) =>
+      remote && !repoSettings[key]
+        ? Object.keys(repoSettings).find(
+            (repoPath) =>
+              repoSettings[repoPath].remote === remote &&
+              !fs.existsSync(repoPath),
+          )
+        : null;
+    if (!findPrevious(this.config.repoSettings || {})) return;
+
+    this.update((config) => {
+      const repoSettings = config.repoSettings || {};
+      const previous = findPrevious(repoSettings);
+      if (!previous) return;
+
+      const settings = { ...repoSettings[previous] };
+      delete settings.boundAccount;
+      repoSettings[key] = settings;
+      delete repoSettings[previous];
+    });
+  }
+
+  // Entries written before repositories were identified by their top-level
+  // folder are keyed by whatever directory gitqq happened to run in
+  migrateRepoKeys() {
+    const repoSettings = this.config.repoSettings || {};
+
+    for (const oldKey of Object.keys(repoSettings)) {
+      if (!fs.existsSync(oldKey)) continue;
+
+      const identity = this.resolveRepoIdentity(oldKey);
+      if (!identity || identity.key === oldKey) continue;
+
+      repoSettings[identity.key] = {
+        ...repoSettings[oldKey],
+        ...repoSettings[identity.key],
+        remote: identity.remote || undefined,
+      };
+      delete repoSettings[oldKey];
+    }
+  }
+
+  listRepos() {
+    const repoSettings = this.config.repoSettings || {};
+    return Object.keys(repoSettings).map((repoPath) => ({
+      path: repoPath,
+      exists: fs.existsSync(repoPath),
+      ...repoSettings[repoPath],
+    }));
+  }
+
+  // Key of the entry for `repoPath`: the path itself when it is listed (it
+  // may no longer exist), otherwise the repository it belongs to
+  findRepoKey(repoPath) {
+    const key = (this.config.repoSettings || {})[repoPath]
+      ? repoPath
+      : this.getRepoKey(repoPath);
+    // getRepoKey may have reloaded the config
+    return (this.config.repoSettings || {})[key] ? key : null;
+  }
+
+  forgetRepo(repoPath) {
+    const key = this.findRepoKey(repoPath);
+    if (!key) return null;
+
+    this.update((config) => {
+      delete (config.repoSettings || {})[key];
+    });
+    return key;
+  }
+
+  // Forget repositories whose folder no longer exists
+  pruneRepos() {
+    const removed = this.listRepos()
+      .filter((repo) => !repo.exists)
+      .map((repo) => repo.path);
+    if (removed.length > 0) {
+      this.update((config) => {
+        removed.forEach((repoPath) => delete config.repoSettings[repoPath]);
+      });
+    }
+    return removed;
+  }
+
+  getRepoSettings(cwd) {
+    const key = this.getRepoKey(cwd);
+    return (this.config.repoSettings || {})[key] || {};
+  }
+
+  updateRepoSettings(changes, cwd) {
+    const key = this.getRepoKey(cwd);
+    const identity = this.resolveRepoIdentity(cwd);
+    this.update((config) => {
+      if (!config.repoSettings) {
+        config.repoSettings = {};
+      }
+      config.repoSettings[key] = {
+        ...config.repoSettings[key],
+        ...changes,
+        remote: (identity && identity.remote) || undefined,
+      };
+    });
+  }
+
+  bindRepo(username, cwd) {
+    this.updateRepoSettings({ boundAccount: username }, cwd);
+  }
+
+  unbindRepo(cwd) {
+    this.updateRepoSettings({ boundAccount: undefined }, cwd);
+  }
+
+  getReposBoundTo(username) {
+    const repoSettings = this.config.repoSettings || {};
+    return Object.keys(repoSettings).filter(
+      (key) => repoSettings[key].boundAccount === username,
+    );
+  }
+
+  getBoundAccount(cwd) {
+    const username = this.getRepoSettings(cwd).boundAccount;
+    return username ? this.getAccount(username) : null;
+  }
+
+  // Track if user has selected initial branch for this repo
+  isFirstTimeInRepo() {
+    return !this.getRepoSettings().initialBranchSelected;
+  }
+
+  setRepoInitialized(branchName, cwd) {
+    this.updateRepoSettings(
+      {
+        initialBranchSelected: true,
+        selectedBranch: branchName,
+      },
+      cwd,
+    );
+  }
+
+  // Branch the user last chose to work on in this repository
+  getPreferredBranch(cwd) {
+    return this.getRepoSettings(cwd).selectedBranch || null;
+  }
+
+  setPreferredBranch(branchName, cwd) {
+    this.updateRepoSettings({ selectedBranch: branchName }, cwd);
+  }
+}
+
+module.exports = {
+  ConfigManager,
+  CONFIG_FILE,
+  CONFIG_VERSION,
+  DEFAULT_PROTECTED_BRANCHES,
+  validateConfig,
+  matchesBranchPattern,
+};
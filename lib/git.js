@@ -0,0 +1,1399 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, execFile, spawnSync } = require("child_process");
+const { SSHManager } = require("./ssh");
+const { AuditLog } = require("./audit");
+
+const SIGNING_KEYS = [
+  "gpg.format",
+  "user.signingkey",
+  "commit.gpgsign",
+  "gpg.ssh.allowedSignersFile",
+];
+// Porcelain status letters
+const CHANGE_TYPES = {
+  M: "modified",
+  T: "type changed",
+  A: "added",
+  D: "deleted",
+  R: "renamed",
+  C: "copied",
+};
+
+// Marks signing entries gitqq wrote, as opposed to the user's own
+const SIGNING_MARKER = "gitqq.signing";
+
+// How each sync strategy updates the current branch from origin
+const SYNC_COMMANDS = {
+  fetch: (branch) => ["fetch", "origin", branch],
+  "ff-only": (branch) => ["pull", "--ff-only", "origin", branch],
+  rebase: (branch) => ["pull", "--rebase", "origin", branch],
+  merge: (branch) => ["pull", "--no-rebase", "origin", branch],
+};
+
+// Files git leaves in the git dir while each operation waits on the user
+const OPERATION_MARKERS = [
+  ["rebase", "rebase-merge"],
+  ["rebase", "rebase-apply"],
+  ["merge", "MERGE_HEAD"],
+  ["cherry-pick", "CHERRY_PICK_HEAD"],
+  ["revert", "REVERT_HEAD"],
+];
+
+// Written into every hook gitqq installs, so ours can be told from others
+const HOOK_MARKER = "# Installed by gitqq";
+
+// Git Operations
+class GitManager {
+  static async switchAccount(account) {
+    try {
+      await this.applyGlobalIdentity(account);
+      console.log(chalk.green(`✅ Switched to account: ${account.username}`));
+      return true;
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to switch account: ${error.message}`));
+      return false;
+    }
+  }
+
+  static async applyGlobalIdentity(account) {
+    return this.auditAccountSwitch(account, "--global", {}, () =>
+      this.writeGlobalIdentity(account),
+    );
+  }
+
+  static async writeGlobalIdentity(account) {
+    const setGlobal = (key, value) =>
+      this.executeGitCommand(["config", "--global", key, value], null, {
+        audit: false,
+      });
+
+    await setGlobal("user.name", account.name || account.username);
+    await setGlobal("user.email", account.email);
+    await this.applySigning(account, ["--global"]);
+
+    if (account.sshKey) {
+      try {
+        execFileSync("ssh-add", [SSHManager.getSSHKeyPath(account.sshKey)], {
+          stdio: "ignore",
+        });
+      } catch (error) {
+        // SSH agent might not be running
+      }
+    }
+  }
+
+  static async bindRepository(account) {
+    try {
+      await this.applyRepoIdentity(account);
+      console.log(
+        chalk.green(`🔗 Bound this repository to account: ${account.username}`),
+      );
+      return true;
+    } catch (error) {
+      console.log(chalk.red(`❌ Failed to bind repository: ${error.message}`));
+      return false;
+    }
+  }
+
+  // Write the identity into the repository's own .git/config so that other
+  // repositories and shells keep whatever account they were using
+  static async applyRepoIdentity(account, { cwd } = {}) {
+    return this.auditAccountSwitch(account, "--local", { cwd }, () =>
+      this.writeRepoIdentity(account, { cwd }),
+    );
+  }
+
+  static async writeRepoIdentity(account, { cwd } = {}) {
+    const setLocal = (key, value) =>
+      this.executeGitCommand(["config", "--local", key, value], null, {
+        cwd,
+        audit: false,
+      });
+
+    await setLocal("user.name", account.name || account.username);
+    await setLocal("user.email", account.email);
+    await this.applySigning(account, ["--local"], { cwd });
+
+    if (account.sshKey) {
+      await setLocal(
+        "core.sshCommand",
+        SSHManager.getSSHCommand(account.sshKey),
+      );
+    } else {
+      await this.unsetLocalConfig("core.sshCommand", { cwd });
+    }
+  }
+
+  // An account switch is logged as one entry with the email before and
+  // after, rather than as the git config calls that make it up
+  static async auditAccountSwitch(account, scope, { cwd } = {}, apply) {
+    const getEmail = async () => {
+      try {
+        const result = await this.executeGitCommand(
+          ["config", scope, "--get", "user.email"],
+          null,
+          { cwd },
+        );
+        return result.stdout.trim();
+      } catch {
+        return null;
+      }
+    };
+
+    const before = await getEmail();
+    let status = "ok";
+    try {
+      return await apply();
+    } catch (error) {
+      status = "failed";
+      throw error;
+    } finally {
+      AuditLog.record({
+        account,
+        cwd,
+        // A global switch isn't tied to the repository it was made in
+        repo: scope === "--global" ? null : AuditLog.getRepo(cwd),
+        operation: "switch-account",
+        scope: scope === "--global" ? "global" : "repo",
+        email: { before, after: await getEmail() },
+        status,
+      });
+    }
+  }
+
+  // Git config entries for the account's `signing` setting: { format: "ssh" }
+  // signs with the account's SSH key, { format: "openpgp", key } with a GPG
+  // key. Accounts without one get none.
+  static getSigningConfig(account) {
+    const signing = account.signing;
+    if (!signing || !signing.format) return {};
+
+    if (signing.format === "ssh") {
+      return {
+        "gpg.format": "ssh",
+        "user.signingkey": SSHManager.getSSHKeyPath(`${account.sshKey}.pub`),
+        "commit.gpgsign": "true",
+        "gpg.ssh.allowedSignersFile": SSHManager.getAllowedSignersPath(),
+      };
+    }
+    return {
+      "gpg.format": "openpgp",
+      "user.signingkey": signing.key,
+      "commit.gpgsign": "true",
+    };
+  }
+
+  // Set the account's signing entries in `scope` (--global or --local). For
+  // an account that doesn't sign, clear what gitqq set for the previous one,
+  // but leave signing the user configured themselves alone.
+  static async applySigning(account, scope, { cwd } = {}) {
+    const entries = this.getSigningConfig(account);
+    if (Object.keys(entries).length === 0) {
+      return this.clearSigning(scope, { cwd });
+    }
+
+    for (const key of SIGNING_KEYS) {
+      if (entries[key]) {
+        await this.executeGitCommand(
+          ["config", ...scope, key, entries[key]],
+          null,
+          { cwd, audit: false },
+        );
+      } else {
+        await this.unsetConfig(key, scope, { cwd });
+      }
+    }
+    await this.executeGitCommand(
+      ["config", ...scope, SIGNING_MARKER, "true"],
+      null,
+      { cwd, audit: false },
+    );
+  }
+
+  static async clearSigning(scope, { cwd } = {}) {
+    try {
+      await this.executeGitCommand(
+        ["config", ...scope, "--get", SIGNING_MARKER],
+        null,
+        {
+          cwd,
+        },
+      );
+    } catch {
+      return; // Not set by gitqq
+    }
+    for (const key of [...SIGNING_KEYS, SIGNING_MARKER]) {
+      await this.unsetConfig(key, scope, { cwd });
+    }
+  }
+
+  static validateGpgKeyId(keyId) {
+    return (
+      /^(0x)?[0-9A-Fa-f]{8,40}$/.test(keyId.trim()) ||
+      "Use the key ID or fingerprint shown by gpg --list-secret-keys"
+    );
+  }
+
+  // Whether a commit made now in `cwd` would be signed, and with what
+  static async getSigningStatus(account, { cwd } = {}) {
+    const get = async (key) => {
+      try {
+        const result = await this.executeGitCommand(
+          ["config", "--get", key],
+          account,
+          { cwd },
+        );
+        return result.stdout.trim();
+      } catch {
+        return null;
+      }
+    };
+
+    const enabled = (await get("commit.gpgsign")) === "true";
+    return {
+      signed: enabled,
+      format: enabled ? (await get("gpg.format")) || "openpgp" : null,
+      key: enabled ? await get("user.signingkey") : null,
+    };
+  }
+
+  static async unbindRepository({ cwd } = {}) {
+    return this.auditAccountSwitch(null, "--local", { cwd }, async () => {
+      for (const key of ["user.name", "user.email", "core.sshCommand"]) {
+        await this.unsetLocalConfig(key, { cwd });
+      }
+      await this.clearSigning(["--local"], { cwd });
+    });
+  }
+
+  static async unsetLocalConfig(key, { cwd } = {}) {
+    return this.unsetConfig(key, ["--local"], { cwd });
+  }
+
+  static async unsetConfig(key, scope, { cwd } = {}) {
+    try {
+      await this.executeGitCommand(["config", ...scope, "--unset", key], null, {
+        cwd,
+        audit: false,
+      });
+    } catch {
+      // Key was not set
+    }
+  }
+
+  static async isGitRepo(account, { cwd } = {}) {
+    try {
+      await this.executeGitCommand(
+        ["rev-parse", "--is-inside-work-tree"],
+        account,
+        { cwd },
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Runs git without a shell, so branch names, messages and URLs reach git
+  // verbatim. Resolves { stdout, stderr, code }; a failing command rejects
+  // with an Error that carries the same fields. `env` adds variables.
+  // Commands that change anything are written to the audit log with the
+  // refs they moved, unless `audit` is false.
+  static async executeGitCommand(
+    args,
+    account,
+    { cwd, env, audit = true } = {},
+  ) {
+    if (!Array.isArray(args)) {
+      throw new TypeError("executeGitCommand expects an array of arguments");
+    }
+    if (!audit || !AuditLog.isMutating(args)) {
+      return this.runGit(args, account, { cwd, env });
+    }
+
+    const before = await AuditLog.snapshotRefs(cwd);
+    let exitCode = 0;
+    try {
+      return await this.runGit(args, account, { cwd, env });
+    } catch (error) {
+      exitCode = Number.isInteger(error.code) ? error.code : 1;
+      throw error;
+    } finally {
+      AuditLog.record({
+        account,
+        command: args,
+        cwd,
+        refs: AuditLog.diffRefs(before, await AuditLog.snapshotRefs(cwd)),
+        status: exitCode === 0 ? "ok" : "failed",
+        exitCode,
+      });
+    }
+  }
+
+  static runGit(args, account, { cwd, env: extraEnv } = {}) {
+    return new Promise((resolve, reject) => {
+      const env = { ...process.env, ...extraEnv };
+      if (account && account.sshKey) {
+        env.GIT_SSH_COMMAND = SSHManager.getSSHCommand(account.sshKey);
+      }
+
+      execFile(
+        "git",
+        args,
+        { env, cwd, maxBuffer: 10 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (error) {
+            error.stdout = stdout;
+            error.stderr = stderr;
+            reject(error);
+          } else {
+            resolve({ stdout, stderr, code: 0 });
+          }
+        },
+      );
+    });
+  }
+
+  // Mirrors the rules of `git check-ref-format --branch`
+  static validateBranchName(name) {
+    if (!name || !name.trim()) return "Branch name is required";
+    if (name.startsWith("-")) return "Branch name can't start with '-'";
+    if (name === "@") return "Branch name can't be '@'";
+    if (/[\x00-\x20\x7f~^:?*[\\]/.test(name)) {
+      return "Branch name can't contain spaces, control characters or ~ ^ : ? * [ \\";
+    }
+    if (name.includes("..")) return "Branch name can't contain '..'";
+    if (name.includes("@{")) return "Branch name can't contain '@{'";
+    if (name.startsWith("/") || name.endsWith("/") || name.includes("//")) {
+      return "Branch name can't start or end with '/' or contain '//'";
+    }
+    if (name.endsWith(".")) return "Branch name can't end with '.'";
+    const badComponent = name
+      .split("/")
+      .find((part) => part.startsWith(".") || part.endsWith(".lock"));
+    if (badComponent) {
+      return `Invalid path component '${badComponent}' (can't start with '.' or end with '.lock')`;
+    }
+    return true;
+  }
+
+  // Tags follow the same ref name rules as branches
+  static validateTagName(name) {
+    const valid = this.validateBranchName(name);
+    return valid === true ? true : valid.replace(/^Branch name/, "Tag name");
+  }
+
+  static assertBranchName(name) {
+    const valid = this.validateBranchName(name);
+    if (valid !== true) {
+      throw new Error(`Invalid branch name '${name}': ${valid}`);
+    }
+  }
+
+  static async getCurrentBranch(account, { cwd } = {}) {
+    try {
+      const result = await this.executeGitCommand(
+        ["branch", "--show-current"],
+        account,
+        { cwd },
+      );
+      return result.stdout.trim();
+    } catch {
+      return null;
+    }
+  }
+
+  // Branch origin/HEAD points at (what the remote calls its default), or
+  // null when the remote has not been fetched or does not say
+  static async getRemoteDefaultBranch(account, { cwd } = {}) {
+    try {
+      const result = await this.executeGitCommand(
+        ["symbolic-ref", "--short", "refs/remotes/origin/HEAD"],
+        account,
+        { cwd },
+      );
+      return result.stdout.trim().replace(/^origin\//, "") || null;
+    } catch {
+      return null;
+    }
+  }
+
+  static async getLocalBranches(account) {
+    const result = await this.executeGitCommand(
+      ["branch", "--format=%(refname:short)"],
+      account,
+    );
+    return result.stdout
+      .split("\n")
+      .map((b) => b.trim())
+      .filter(Boolean);
+  }
+
+  // Paths from git status are relative to the top-level folder, so the
+  // helpers that take them back run git from there
+  static async getTopLevel(account, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      ["rev-parse", "--show-toplevel"],
+      account,
+      { cwd },
+    );
+    return result.stdout.trim();
+  }
+
+  // One entry per changed file from `git status --porcelain=v2`:
+  // { path, origPath, type, staged, unstaged, untracked, conflicted }. Paths
+  // are relative to the top-level folder.
+  static async getStatusEntries(account, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      ["status", "--porcelain=v2", "-z", "--untracked-files=all"],
+      account,
+      { cwd },
+    );
+
+    const fields = result.stdout.split("\0");
+    const entries = [];
+    for (let i = 0; i < fields.length; i++) {
+      const line = fields[i];
+      const kind = line[0];
+
+      if (kind === "?") {
+        entries.push({
+          path: line.slice(2),
+          type: "untracked",
+          staged: false,
+          unstaged: true,
+          untracked: true,
+          conflicted: false,
+        });
+      } else if (kind === "1" || kind === "2" || kind === "u") {
+        // Ordinary, renamed/copied (followed by the original path) and
+        // unmerged entries have 8, 9 and 10 fields before the path
+        const skip = { 1: 8, 2: 9, u: 10 }[kind];
+        const parts = line.split(" ");
+        const [x, y] = parts[1];
+        const entry = {
+          path: parts.slice(skip).join(" "),
+          staged: kind !== "u" && x !== ".",
+          unstaged: kind !== "u" && y !== ".",
+          untracked: false,
+          conflicted: kind === "u",
+        };
+        if (kind === "2") {
+          entry.origPath = fields[++i];
+        }
+        entry.type = entry.conflicted
+          ? "conflicted"
+          : CHANGE_TYPES[x !== "." ? x : y] || "modified";
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  static async hasHead(account, { cwd } = {}) {
+    try {
+      await this.executeGitCommand(
+        ["rev-parse", "--verify", "--quiet", "HEAD"],
+        account,
+        { cwd },
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // `paths` here and in the staging and conflict helpers below are relative
+  // to the top-level folder, as getStatusEntries returns them
+  static async stageFiles(account, paths, { cwd } = {}) {
+    if (paths.length === 0) return;
+    await this.executeGitCommand(["add", "--all", "--", ...paths], account, {
+      cwd: await this.getTopLevel(account, { cwd }),
+    });
+  }
+
+  static async unstageFiles(account, paths, { cwd } = {}) {
+    if (paths.length === 0) return;
+    // Before the first commit there is no HEAD to reset the index to
+    const args = (await this.hasHead(account, { cwd }))
+      ? ["reset", "--quiet", "--", ...paths]
+      : ["rm", "--cached", "--quiet", "-r", "--", ...paths];
+    await this.executeGitCommand(args, account, {
+      cwd: await this.getTopLevel(account, { cwd }),
+    });
+  }
+
+  // Unstaged changes to a tracked file, split into the file header and its
+  // hunks. Binary files have no hunks.
+  static async getFileHunks(account, filePath, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      ["diff", "--no-color", "--no-ext-diff", "--", filePath],
+      account,
+      { cwd: await this.getTopLevel(account, { cwd }) },
+    );
+    const [header, ...hunks] = result.stdout.split(/^(?=@@ )/m);
+    return { header, hunks };
+  }
+
+  // Stage part of a file: `hunks` are a subset of what getFileHunks returned
+  static async stageHunks(account, header, hunks, { cwd } = {}) {
+    if (hunks.length === 0) return;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gitqq-patch-"));
+    const patchFile = path.join(dir, "selected.patch");
+    try {
+      fs.writeFileSync(patchFile, header + hunks.join(""));
+      // From a subdirectory git apply would prefix the patch's paths with it
+      await this.executeGitCommand(
+        ["apply", "--cached", "--recount", patchFile],
+        account,
+        { cwd: await this.getTopLevel(account, { cwd }) },
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  static async commit(account, message, { all = false } = {}) {
+    if (all) {
+      await this.executeGitCommand(["add", "."], account);
+    }
+    return this.executeGitCommand(["commit", "-m", message], account);
+  }
+
+  // mode: "normal", "upstream", "force-lease" or "force-override"
+  static async push(account, branch, { mode = "normal", cwd } = {}) {
+    const flags = {
+      normal: [],
+      upstream: ["--set-upstream"],
+      "force-lease": ["--force-with-lease"],
+      "force-override": ["--force"],
+    };
+    if (!(mode in flags)) {
+      throw new Error(`Unknown push mode: ${mode}`);
+    }
+    this.assertBranchName(branch);
+    return this.executeGitCommand(
+      ["push", ...flags[mode], "origin", branch],
+      account,
+      { cwd },
+    );
+  }
+
+  // Fetches the branch and compares it with its origin counterpart. When the
+  // comparison is incomplete, `reason` says why: "no-branch", "fetch-failed",
+  // "no-remote-branch" or "compare-failed".
+  static async getRemoteStatus(account, { branch, cwd } = {}) {
+    const status = {
+      branch: branch || (await this.getCurrentBranch(account, { cwd })),
+      remoteExists: false,
+      localAhead: false,
+      remoteAhead: false,
+      needsForcePush: false,
+      diverged: false,
+      ahead: 0,
+      behind: 0,
+      reason: null,
+    };
+
+    if (!status.branch) {
+      status.reason = "no-branch";
+      return status;
+    }
+
+    try {
+      await this.executeGitCommand(
+        ["fetch", "origin", status.branch],
+        account,
+        {
+          cwd,
+        },
+      );
+    } catch {
+      status.reason = "fetch-failed";
+      return status;
+    }
+
+    try {
+      await this.executeGitCommand(
+        ["rev-parse", "--verify", `refs/remotes/origin/${status.branch}`],
+        account,
+        { cwd },
+      );
+      status.remoteExists = true;
+    } catch {
+      status.reason = "no-remote-branch";
+      return status;
+    }
+
+    try {
+      const result = await this.executeGitCommand(
+        [
+          "rev-list",
+          "--left-right",
+          "--count",
+          `refs/heads/${status.branch}...refs/remotes/origin/${status.branch}`,
+        ],
+        account,
+        { cwd },
+      );
+
+      const counts = result.stdout.trim().split(/\s+/);
+      status.ahead = parseInt(counts[0]) || 0;
+      status.behind = parseInt(counts[1]) || 0;
+      status.localAhead = status.ahead > 0;
+      status.remoteAhead = status.behind > 0;
+      status.diverged = status.localAhead && status.remoteAhead;
+      status.needsForcePush = status.diverged;
+    } catch {
+      // If we can't compare, assume they might be diverged
+      status.reason = "compare-failed";
+      status.needsForcePush = true;
+    }
+
+    return status;
+  }
+
+  // What to do about a getRemoteStatus result: fast-forward when only the
+  // remote moved, rebase local commits onto it when both did, else fetch
+  static recommendSyncStrategy(status) {
+    if (status.reason) return "fetch";
+    if (status.diverged) return "rebase";
+    if (status.remoteAhead) return "ff-only";
+    return "fetch";
+  }
+
+  static async sync(account, branch, strategy, { cwd } = {}) {
+    if (!SYNC_COMMANDS[strategy]) {
+      throw new Error(`Unknown sync strategy: ${strategy}`);
+    }
+    this.assertBranchName(branch);
+    return this.executeGitCommand(SYNC_COMMANDS[strategy](branch), account, {
+      cwd,
+    });
+  }
+
+  // "rebase", "merge", "cherry-pick" or "revert" while one of them is
+  // stopped waiting for the user, otherwise null
+  static async getOperationInProgress(account, { cwd } = {}) {
+    for (const [operation, marker] of OPERATION_MARKERS) {
+      const result = await this.executeGitCommand(
+        ["rev-parse", "--git-path", marker],
+        account,
+        { cwd },
+      );
+      if (
+        fs.existsSync(path.resolve(cwd || process.cwd(), result.stdout.trim()))
+      ) {
+        return operation;
+      }
+    }
+    return null;
+  }
+
+  static async getConflictedFiles(account, { cwd } = {}) {
+    const entries = await this.getStatusEntries(account, { cwd });
+    return entries
+      .filter((entry) => entry.conflicted)
+      .map((entry) => entry.path);
+  }
+
+  // Conflict markers left in a working tree file
+  static async countConflictMarkers(account, filePath, { cwd } = {}) {
+    const topLevel = await this.getTopLevel(account, { cwd });
+    try {
+      const content = fs.readFileSync(path.resolve(topLevel, filePath), "utf8");
+      return (content.match(/^<{7}( |$)/gm) || []).length;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Resolves a conflicted file with one side's version: "ours" is HEAD,
+  // "theirs" the change being merged in. A side that deleted the file
+  // resolves to deleting it.
+  static async takeConflictSide(account, filePath, side, { cwd: from } = {}) {
+    if (!["ours", "theirs"].includes(side)) {
+      throw new Error(`Unknown side: ${side}`);
+    }
+    const cwd = await this.getTopLevel(account, { cwd: from });
+    const stages = await this.executeGitCommand(
+      ["ls-files", "--unmerged", "--", filePath],
+      account,
+      { cwd },
+    );
+    const stage = side === "ours" ? "2" : "3";
+    const hasSide = stages.stdout
+      .split("\n")
+      .some((line) => line.split(/\s+/)[2] === stage);
+
+    if (!hasSide) {
+      return this.executeGitCommand(
+        ["rm", "--quiet", "--", filePath],
+        account,
+        { cwd },
+      );
+    }
+    await this.executeGitCommand(
+      ["checkout", `--${side}`, "--", filePath],
+      account,
+      { cwd },
+    );
+    return this.stageFiles(account, [filePath], { cwd });
+  }
+
+  // Opens the file in the editor git is configured to use ($GIT_EDITOR,
+  // core.editor, $VISUAL or $EDITOR) and waits for it to close
+  static async openInEditor(account, filePath, { cwd: from } = {}) {
+    const cwd = await this.getTopLevel(account, { cwd: from });
+    const editor = (
+      await this.executeGitCommand(["var", "GIT_EDITOR"], account, { cwd })
+    ).stdout.trim();
+    // Editor settings may carry arguments, so run them the way git does
+    const result = spawnSync("sh", ["-c", `${editor} "$@"`, editor, filePath], {
+      cwd,
+      stdio: "inherit",
+    });
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with status ${result.status}`);
+    }
+  }
+
+  // Runs the configured merge.tool on one file; git stages it on success. The
+  // tool needs the terminal, so it runs outside executeGitCommand and is
+  // logged here.
+  static async runMergetool(account, filePath, { cwd: from } = {}) {
+    const cwd = await this.getTopLevel(account, { cwd: from });
+    const args = ["mergetool", "--no-prompt", "--", filePath];
+    const before = await AuditLog.snapshotRefs(cwd);
+    const result = spawnSync("git", args, { cwd, stdio: "inherit" });
+    const exitCode = result.status === null ? 1 : result.status;
+    AuditLog.record({
+      account,
+      command: args,
+      cwd,
+      refs: AuditLog.diffRefs(before, await AuditLog.snapshotRefs(cwd)),
+      status: exitCode === 0 ? "ok" : "failed",
+      exitCode,
+    });
+    if (result.status !== 0) {
+      throw new Error(`git mergetool exited with status ${result.status}`);
+    }
+  }
+
+  // action: "continue", "abort" or "skip" (merges can't skip). Continuing
+  // keeps git's prepared message instead of opening an editor.
+  static async resolveOperation(account, operation, action, { cwd } = {}) {
+    if (!["rebase", "merge", "cherry-pick", "revert"].includes(operation)) {
+      throw new Error(`Unknown operation: ${operation}`);
+    }
+    if (!["continue", "abort", "skip"].includes(action)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    if (operation === "merge" && action === "skip") {
+      throw new Error("A merge can't be skipped; continue or abort it");
+    }
+    return this.executeGitCommand([operation, `--${action}`], account, {
+      cwd,
+      env: { GIT_EDITOR: "true" },
+    });
+  }
+
+  static async createBranch(account, branchName, baseBranch) {
+    this.assertBranchName(branchName);
+    if (baseBranch) {
+      this.assertBranchName(baseBranch);
+    }
+    return this.executeGitCommand(
+      ["checkout", "-b", branchName, ...(baseBranch ? [baseBranch] : [])],
+      account,
+    );
+  }
+
+  static async switchBranch(account, branchName) {
+    this.assertBranchName(branchName);
+    return this.executeGitCommand(["checkout", branchName, "--"], account);
+  }
+
+  static async deleteLocalBranch(account, branchName) {
+    this.assertBranchName(branchName);
+    return this.executeGitCommand(["branch", "-D", branchName], account);
+  }
+
+  static async deleteRemoteBranch(account, branchName) {
+    this.assertBranchName(branchName);
+    return this.executeGitCommand(
+      ["push", "origin", "--delete", branchName],
+      account,
+    );
+  }
+
+  static assertCommit(sha) {
+    if (!/^[0-9a-f]{4,40}$/i.test(sha)) {
+      throw new Error(`Invalid commit: ${sha}`);
+    }
+  }
+
+  // One page of `git log --graph` for `branch` (default HEAD): { graph, sha,
+  // shortSha, author, email, age, refs, subject }. `search` matches commit
+  // messages as plain text; `authorEmail` keeps commits by exactly that email.
+  static async getLog(
+    account,
+    { branch, skip = 0, limit = 20, search, authorEmail } = {},
+    { cwd } = {},
+  ) {
+    if (branch) this.assertBranchName(branch);
+    if (!(await this.hasHead(account, { cwd }))) return [];
+
+    const result = await this.executeGitCommand(
+      [
+        "log",
+        "--graph",
+        "--format=%x1f%H%x1f%h%x1f%an%x1f%ae%x1f%ar%x1f%D%x1f%s",
+        `--skip=${skip}`,
+        `--max-count=${limit}`,
+        ...(search || authorEmail
+          ? ["--fixed-strings", "--regexp-ignore-case"]
+          : []),
+        ...(search ? [`--grep=${search}`] : []),
+        // --author sees "Name <email>", so the brackets keep al@x.com from
+        // matching val@x.com
+        ...(authorEmail ? [`--author=<${authorEmail}>`] : []),
+        branch || "HEAD",
+        "--",
+      ],
+      account,
+      { cwd },
+    );
+    return result.stdout
+      .split("\n")
+      .filter((line) => line.includes("\x1f"))
+      .map((line) => {
+        const [graph, sha, shortSha, name, email, age, refs, subject] =
+          line.split("\x1f");
+        return {
+          graph: graph.trimEnd(),
+          sha,
+          shortSha,
+          author: name,
+          email,
+          age,
+          refs: refs ? refs.split(", ") : [],
+          subject,
+        };
+      });
+  }
+
+  static async showCommit(account, sha, { cwd } = {}) {
+    this.assertCommit(sha);
+    const result = await this.executeGitCommand(
+      ["show", "--stat", "--patch", "--format=fuller", sha, "--"],
+      account,
+      { cwd },
+    );
+    return result.stdout;
+  }
+
+  static async cherryPick(account, sha, { cwd } = {}) {
+    this.assertCommit(sha);
+    return this.executeGitCommand(["cherry-pick", sha], account, { cwd });
+  }
+
+  static async revertCommit(account, sha, { cwd } = {}) {
+    this.assertCommit(sha);
+    return this.executeGitCommand(["revert", "--no-edit", sha], account, {
+      cwd,
+    });
+  }
+
+  // mode: "soft", "mixed" or "hard"
+  static async resetTo(account, sha, mode, { cwd } = {}) {
+    this.assertCommit(sha);
+    if (!["soft", "mixed", "hard"].includes(mode)) {
+      throw new Error(`Unknown reset mode: ${mode}`);
+    }
+    return this.executeGitCommand(["reset", `--${mode}`, sha, "--"], account, {
+      cwd,
+    });
+  }
+
+  // Creates a branch at a commit without switching to it
+  static async createBranchAt(account, branchName, sha, { cwd } = {}) {
+    this.assertBranchName(branchName);
+    this.assertCommit(sha);
+    return this.executeGitCommand(["branch", branchName, sha], account, {
+      cwd,
+    });
+  }
+
+  static assertTagName(name) {
+    const valid = this.validateTagName(name);
+    if (valid !== true) {
+      throw new Error(`Invalid tag name '${name}': ${valid}`);
+    }
+  }
+
+  // Lightweight without a `message`, annotated with one. An annotated tag
+  // is signed when the account signs, with the account's own key whatever
+  // the repository's config says.
+  static async createTag(
+    account,
+    tagName,
+    { target = "HEAD", message, cwd } = {},
+  ) {
+    this.assertTagName(tagName);
+    if (target !== "HEAD") this.assertCommit(target);
+
+    if (!message) {
+      return this.executeGitCommand(["tag", tagName, target], account, {
+        cwd,
+      });
+    }
+
+    const signing =
+      account && account.signing ? this.getSigningConfig(account) : {};
+    const overrides = ["gpg.format", "user.signingkey"]
+      .filter((key) => signing[key])
+      .flatMap((key) => ["-c", `${key}=${signing[key]}`]);
+    return this.executeGitCommand(
+      [
+        ...overrides,
+        "tag",
+        overrides.length > 0 ? "-s" : "-a",
+        "-m",
+        message,
+        tagName,
+        target,
+      ],
+      account,
+      { cwd },
+    );
+  }
+
+  // Newest first: { name, annotated, signed, age, subject }
+  static async listTags(account, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      [
+        "for-each-ref",
+        "refs/tags",
+        "--sort=-creatordate",
+        "--format=%(refname:strip=2)%1f%(objecttype)%1f%(creatordate:relative)%1f%(contents:subject)%1f%(if)%(contents:signature)%(then)signed%(end)",
+      ],
+      account,
+      { cwd },
+    );
+    return result.stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [name, type, age, subject, signature] = line.split("\x1f");
+        return {
+          name,
+          annotated: type === "tag",
+          signed: Boolean(signature),
+          age,
+          subject: type === "tag" ? subject : "",
+        };
+      });
+  }
+
+  // Tag names on origin; rejects when origin can't be reached
+  static async listRemoteTags(account, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      ["ls-remote", "--tags", "--refs", "origin"],
+      account,
+      { cwd },
+    );
+    return result.stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => line.split("\t")[1].replace(/^refs\/tags\//, ""));
+  }
+
+  static async pushTag(account, tagName, { cwd } = {}) {
+    this.assertTagName(tagName);
+    return this.executeGitCommand(
+      ["push", "origin", `refs/tags/${tagName}`],
+      account,
+      { cwd },
+    );
+  }
+
+  static async pushAllTags(account, { cwd } = {}) {
+    return this.executeGitCommand(["push", "origin", "--tags"], account, {
+      cwd,
+    });
+  }
+
+  static async deleteTag(account, tagName, { cwd } = {}) {
+    this.assertTagName(tagName);
+    return this.executeGitCommand(["tag", "-d", tagName], account, { cwd });
+  }
+
+  static async deleteRemoteTag(account, tagName, { cwd } = {}) {
+    this.assertTagName(tagName);
+    return this.executeGitCommand(
+      ["push", "origin", "--delete", `refs/tags/${tagName}`],
+      account,
+      { cwd },
+    );
+  }
+
+  // Full messages of the commits after `since` (a tag), or of every commit
+  static async getCommitMessages(account, since, { cwd } = {}) {
+    if (!(await this.hasHead(account, { cwd }))) return [];
+    if (since) this.assertTagName(since);
+    const result = await this.executeGitCommand(
+      [
+        "log",
+        "--format=%B%x00",
+        since ? `refs/tags/${since}..HEAD` : "HEAD",
+        "--",
+      ],
+      account,
+      { cwd },
+    );
+    return result.stdout
+      .split("\0")
+      .map((message) => message.trim())
+      .filter(Boolean);
+  }
+
+  // Newest first: { ref, sha, branch, message, date, age }
+  static async listStashes(account, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      ["stash", "list", "--format=%gd%x1f%H%x1f%ct%x1f%cr%x1f%gs"],
+      account,
+      { cwd },
+    );
+    return result.stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [ref, sha, timestamp, age, subject] = line.split("\x1f");
+        // "WIP on main: 1a2b3c4 Last commit" or "On main: your message"
+        const match = subject.match(/^(?:WIP on|On) ([^:]+): (.*)$/);
+        return {
+          ref,
+          sha,
+          branch: match ? match[1] : null,
+          message: match ? match[2] : subject,
+          date: new Date(Number(timestamp) * 1000),
+          age,
+        };
+      });
+  }
+
+  // Commits selected by rev-list arguments, oldest first: { sha, shortSha,
+  // author, authorEmail, committer, committerEmail, subject }
+  static async getCommits(account, revisions, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      [
+        "log",
+        "--reverse",
+        "--format=%H%x1f%h%x1f%an%x1f%ae%x1f%cn%x1f%ce%x1f%s",
+        ...revisions,
+        "--",
+      ],
+      account,
+      { cwd },
+    );
+    return result.stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [
+          sha,
+          shortSha,
+          author,
+          authorEmail,
+          committer,
+          committerEmail,
+          subject,
+        ] = line.split("\x1f");
+        return {
+          sha,
+          shortSha,
+          author,
+          authorEmail,
+          committer,
+          committerEmail,
+          subject,
+        };
+      });
+  }
+
+  // rev-list arguments for the commits on HEAD that origin/<branch> doesn't
+  // have, or that no origin branch has when it doesn't exist yet.
+  // `upstream` is origin/<branch>, or null.
+  static async getUnpushedRange(account, branch, { cwd } = {}) {
+    this.assertBranchName(branch);
+    const upstream = `refs/remotes/origin/${branch}`;
+    try {
+      await this.executeGitCommand(
+        ["rev-parse", "--verify", "--quiet", upstream],
+        account,
+        { cwd },
+      );
+      return { upstream, revisions: [`${upstream}..HEAD`] };
+    } catch {
+      return {
+        upstream: null,
+        revisions: ["HEAD", "--not", "--remotes=origin"],
+      };
+    }
+  }
+
+  // Commits a push of `branch` would send, oldest first
+  static async getUnpushedCommits(account, branch, { cwd } = {}) {
+    this.assertBranchName(branch);
+    if (!(await this.hasHead(account, { cwd }))) return [];
+
+    const { revisions } = await this.getUnpushedRange(account, branch, {
+      cwd,
+    });
+    return this.getCommits(account, revisions, { cwd });
+  }
+
+  // Commits whose author or committer email isn't `email`
+  static findIdentityMismatches(commits, email) {
+    const expected = email.toLowerCase();
+    return commits.filter(
+      (commit) =>
+        commit.authorEmail.toLowerCase() !== expected ||
+        commit.committerEmail.toLowerCase() !== expected,
+    );
+  }
+
+  // Re-authors the unpushed commits on `branch` that weren't made as
+  // `account`: an amend when that's just HEAD, otherwise a rebase that
+  // amends only those commits in place, on the commit they branched from, so
+  // new commits on origin/<branch> aren't pulled in. Refuses when the range
+  // holds merges or commits already on origin, which a rebase would flatten
+  // or re-author.
+  static async rewriteIdentity(account, branch, { cwd } = {}) {
+    const commits = await this.getUnpushedCommits(account, branch, { cwd });
+    const mismatched = this.findIdentityMismatches(commits, account.email);
+    if (mismatched.length === 0) return null;
+
+    const name = account.name || account.username;
+    const env = {
+      GIT_AUTHOR_NAME: name,
+      GIT_AUTHOR_EMAIL: account.email,
+      GIT_COMMITTER_NAME: name,
+      GIT_COMMITTER_EMAIL: account.email,
+      GIT_EDITOR: "true",
+      GITQQ_EMAIL: account.email,
+    };
+    const amend = [
+      "commit",
+      "--amend",
+      "--no-edit",
+      "--reset-author",
+      "--allow-empty",
+    ];
+
+    const head = commits[commits.length - 1];
+    if (mismatched.length === 1 && mismatched[0] === head) {
+      return this.executeGitCommand(amend, account, { cwd, env });
+    }
+
+    const { upstream, revisions } = await this.getUnpushedRange(
+      account,
+      branch,
+      { cwd },
+    );
+    const count = async (args) =>
+      (
+        await this.executeGitCommand(
+          ["rev-list", "--count", ...args],
+          account,
+          { cwd },
+        )
+      ).stdout.trim();
+    if ((await count(["--merges", ...revisions])) !== "0") {
+      throw new Error(
+        "The unpushed commits include a merge; rewrite them by hand",
+      );
+    }
+    // Without origin/<branch> the range already leaves out every origin branch
+    if (
+      upstream &&
+      (await count([...revisions, "--not", "--remotes=origin"])) !==
+        String(commits.length)
+    ) {
+      throw new Error(
+        "Some unpushed commits are already on another origin branch; rewrite them by hand",
+      );
+    }
+
+    let onto;
+    try {
+      onto = (
+        await this.executeGitCommand(
+          upstream
+            ? ["merge-base", "HEAD", upstream]
+            : ["rev-parse", "--verify", "--quiet", `${commits[0].sha}^`],
+          account,
+          { cwd },
+        )
+      ).stdout.trim();
+    } catch {
+      onto = null;
+    }
+    // Commits already made as the account are picked as they are
+    const check = `git log -1 --format='%ae%n%ce' | grep -qvixF -e "$GITQQ_EMAIL"`;
+    return this.executeGitCommand(
+      [
+        "rebase",
+        "--exec",
+        `if ${check}; then git ${amend.join(" ")}; fi`,
+        ...(onto ? [onto] : ["--root"]),
+      ],
+      account,
+      { cwd, env },
+    );
+  }
+
+  static assertStashRef(ref) {
+    if (!/^stash@\{\d+\}$/.test(ref)) {
+      throw new Error(`Invalid stash: ${ref}`);
+    }
+  }
+
+  // Stashes tracked changes, plus untracked files with `includeUntracked`,
+  // or only `paths`. Resolves the new stash's sha, or null when there was
+  // nothing to stash.
+  static async createStash(
+    account,
+    { message, includeUntracked = false, paths = [] } = {},
+    { cwd } = {},
+  ) {
+    const before = await this.listStashes(account, { cwd });
+    await this.executeGitCommand(
+      [
+        "stash",
+        "push",
+        ...(includeUntracked ? ["--include-untracked"] : []),
+        ...(message ? ["-m", message] : []),
+        ...(paths.length > 0 ? ["--", ...paths] : []),
+      ],
+      account,
+      { cwd },
+    );
+    const after = await this.listStashes(account, { cwd });
+    return after.length > before.length ? after[0].sha : null;
+  }
+
+  // Where the stash with this sha is now (later stashes renumber it), or
+  // null once it has been dropped
+  static async findStash(account, sha, { cwd } = {}) {
+    const stash = (await this.listStashes(account, { cwd })).find(
+      (entry) => entry.sha === sha,
+    );
+    return stash ? stash.ref : null;
+  }
+
+  // pop keeps the stash when applying it stops on conflicts
+  static async applyStash(account, ref, { pop = false, cwd } = {}) {
+    this.assertStashRef(ref);
+    return this.executeGitCommand(
+      ["stash", pop ? "pop" : "apply", ref],
+      account,
+      { cwd },
+    );
+  }
+
+  static async showStash(account, ref, { cwd } = {}) {
+    this.assertStashRef(ref);
+    const options = { cwd };
+    const show = (args) =>
+      this.executeGitCommand(
+        ["stash", "show", "--patch", ...args, ref],
+        account,
+        options,
+      );
+    try {
+      return (await show(["--include-untracked"])).stdout;
+    } catch (error) {
+      // Before git 2.32 stash show can't list untracked files
+      const unsupported =
+        /unknown option|unrecognized argument|invalid option|usage:/;
+      if (!unsupported.test(error.stderr || "")) throw error;
+      return (await show([])).stdout;
+    }
+  }
+
+  static async dropStash(account, ref, { cwd } = {}) {
+    this.assertStashRef(ref);
+    return this.executeGitCommand(["stash", "drop", ref], account, { cwd });
+  }
+
+  // Honours core.hooksPath and linked worktrees
+  static async getHookPath(name, { cwd } = {}) {
+    const result = await this.executeGitCommand(
+      ["rev-parse", "--git-path", `hooks/${name}`],
+      null,
+      { cwd },
+    );
+    return path.resolve(cwd || process.cwd(), result.stdout.trim());
+  }
+
+  // Writes a shell hook running `command`. A hook gitqq didn't write is only
+  // replaced with `force`.
+  static async installHook(name, command, { cwd, force = false } = {}) {
+    const hookPath = await this.getHookPath(name, { cwd });
+    if (
+      !force &&
+      fs.existsSync(hookPath) &&
+      !fs.readFileSync(hookPath, "utf8").includes(HOOK_MARKER)
+    ) {
+      throw new Error(
+        `A ${name} hook already exists at ${hookPath}; use --force to replace it`,
+      );
+    }
+
+    fs.mkdirSync(path.dirname(hookPath), { recursive: true });
+    fs.writeFileSync(hookPath, `#!/bin/sh\n${HOOK_MARKER}\n${command}\n`, {
+      mode: 0o755,
+    });
+    fs.chmodSync(hookPath, 0o755);
+    return hookPath;
+  }
+
+  // Removes a hook gitqq installed; returns its path, or null if none
+  static async uninstallHook(name, { cwd } = {}) {
+    const hookPath = await this.getHookPath(name, { cwd });
+    if (!fs.existsSync(hookPath)) return null;
+    if (!fs.readFileSync(hookPath, "utf8").includes(HOOK_MARKER)) {
+      throw new Error(
+        `The ${name} hook at ${hookPath} wasn't installed by gitqq`,
+      );
+    }
+    fs.rmSync(hookPath);
+    return hookPath;
+  }
+
+  static async listRemotes(account, { cwd } = {}) {
+    const result = await this.executeGitCommand(["remote"], account, { cwd });
+    return result.stdout.split("\n").filter(Boolean);
+  }
+
+  static async remoteBranchExists(account, branchName) {
+    try {
+      const result = await this.executeGitCommand(
+        ["ls-remote", "--heads", "origin", `refs/heads/${branchName}`],
+        account,
+      );
+      return result.stdout.trim().length > 0;
+    } catch {
+      // Remote might not exist or no connection
+      return false;
+    }
+  }
+}
+
+module.exports = { GitManager };
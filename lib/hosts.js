@@ -0,0 +1,202 @@
+const PROVIDERS = {
+  github: {
+    label: "GitHub",
+    hostname: "github.com",
+    keyUrl: (hostname) => `https://${hostname}/settings/ssh/new`,
+  },
+  "github-enterprise": {
+    label: "GitHub Enterprise",
+    hostname: null,
+    keyUrl: (hostname) => `https://${hostname}/settings/ssh/new`,
+  },
+  gitlab: {
+    label: "GitLab",
+    hostname: "gitlab.com",
+    keyUrl: (hostname) => `https://${hostname}/-/user_settings/ssh_keys`,
+  },
+  bitbucket: {
+    label: "Bitbucket",
+    hostname: "bitbucket.org",
+    keyUrl: () => "https://bitbucket.org/account/settings/ssh-keys/",
+  },
+  gitea: {
+    label: "Gitea",
+    hostname: null,
+    keyUrl: (hostname) => `https://${hostname}/user/settings/keys`,
+  },
+};
+
+// Git Hosting Providers
+class HostManager {
+  static getProviders() {
+    return PROVIDERS;
+  }
+
+  // Accounts saved before providers existed are GitHub accounts
+  static getHost(account) {
+    const host = (account && account.host) || {};
+    const provider = PROVIDERS[host.provider] ? host.provider : "github";
+    return {
+      provider,
+      label: PROVIDERS[provider].label,
+      hostname: host.hostname || PROVIDERS[provider].hostname || "github.com",
+      port: Number(host.port) || 22,
+      user: host.user || "git",
+    };
+  }
+
+  // The port and user end up in ~/.ssh/config, so nothing that could start
+  // another directive gets through
+  static validatePort(port) {
+    const value = String(port).trim();
+    return (
+      (/^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 65535) ||
+      "Port must be a number from 1 to 65535"
+    );
+  }
+
+  static validateUser(user) {
+    return (
+      /^[A-Za-z0-9._-]+$/.test(user) ||
+      "Use only letters, numbers, dots, dashes and underscores"
+    );
+  }
+
+  static createHost({ provider = "github", hostname, port, user } = {}) {
+    if (!PROVIDERS[provider]) {
+      throw new Error(
+        `Unknown provider: ${provider} (use ${Object.keys(PROVIDERS).join(", ")})`,
+      );
+    }
+
+    const resolvedHostname = (hostname || PROVIDERS[provider].hostname || "")
+      .trim()
+      .toLowerCase();
+    if (!/^[a-z0-9.-]+$/.test(resolvedHostname)) {
+      throw new Error(`${PROVIDERS[provider].label} needs a valid hostname`);
+    }
+
+    if (port && this.validatePort(port) !== true) {
+      throw new Error(`Invalid SSH port: ${port}`);
+    }
+    const resolvedUser = user || "git";
+    if (this.validateUser(resolvedUser) !== true) {
+      throw new Error(`Invalid SSH user: ${JSON.stringify(resolvedUser)}`);
+    }
+
+    return {
+      provider,
+      hostname: resolvedHostname,
+      port: Number(port || 22),
+      user: resolvedUser,
+    };
+  }
+
+  static getKeyUrl(account) {
+    const host = this.getHost(account);
+    return PROVIDERS[host.provider].keyUrl(host.hostname);
+  }
+
+  static getHostAlias(account) {
+    return `${this.getHost(account).hostname}-${account.username}`;
+  }
+
+  static getExampleUrl(account) {
+    const host = this.getHost(account);
+    return host.port === 22
+      ? `${host.user}@${host.hostname}:owner/repo.git`
+      : `ssh://${host.user}@${host.hostname}:${host.port}/owner/repo.git`;
+  }
+
+  // Understands https://host/path, ssh://user@host:port/path and user@host:path
+  static parseRemote(url) {
+    let match = url.match(/^https?:\/\/(?:[^@/]+@)?([^/:]+)(?::(\d+))?\/(.+)$/);
+    if (match) {
+      return { protocol: "https", user: null, host: match[1], path: match[3] };
+    }
+
+    match = url.match(/^ssh:\/\/(?:([^@/]+)@)?([^/:]+)(?::(\d+))?\/(.+)$/);
+    if (match) {
+      return {
+        protocol: "ssh",
+        user: match[1] || null,
+        host: match[2],
+        port: Number(match[3]) || 22,
+        path: match[4],
+      };
+    }
+
+    match = url.match(/^(?:([^@/\s]+)@)?([^:/\s]+):(?!\/\/)(.+)$/);
+    if (match) {
+      return {
+        protocol: "ssh",
+        user: match[1] || null,
+        host: match[2],
+        port: 22,
+        path: match[3],
+      };
+    }
+
+    return null;
+  }
+
+  // Matches the account's hostname as well as any gitqq alias for it
+  static matchesHost(parsed, account) {
+    const { hostname } = this.getHost(account);
+    return (
+      parsed.host.toLowerCase() === hostname ||
+      parsed.host.toLowerCase().startsWith(`${hostname}-`)
+    );
+  }
+
+  static buildSSHUrl(account, repoPath, { useAlias = true } = {}) {
+    const host = this.getHost(account);
+    if (useAlias && account.sshKey) {
+      return `${host.user}@${this.getHostAlias(account)}:${repoPath}`;
+    }
+    return host.port === 22
+      ? `${host.user}@${host.hostname}:${repoPath}`
+      : `ssh://${host.user}@${host.hostname}:${host.port}/${repoPath}`;
+  }
+
+  // Returns the SSH URL the account should use for a remote on its host, or
+  // null when the remote belongs to some other host
+  static toAccountRemote(url, account) {
+    const parsed = this.parseRemote(url);
+    if (!parsed || !this.matchesHost(parsed, account)) return null;
+
+    let repoPath = parsed.path.replace(/^\/+/, "");
+    if (parsed.protocol === "https" && !repoPath.endsWith(".git")) {
+      repoPath = `${repoPath.replace(/\/+$/, "")}.git`;
+    }
+    return this.buildSSHUrl(account, repoPath);
+  }
+
+  // Undo toAccountRemote for whichever account's alias the URL uses
+  static fromAliasRemote(url, accounts) {
+    const parsed = this.parseRemote(url);
+    if (!parsed || parsed.protocol !== "ssh") return null;
+
+    for (const username of Object.keys(accounts)) {
+      const account = { username, ...accounts[username] };
+      if (parsed.host === this.getHostAlias(account)) {
+        return this.buildSSHUrl(account, parsed.path, { useAlias: false });
+      }
+    }
+    return null;
+  }
+
+  static validateSSHRemote(url, account) {
+    const parsed = this.parseRemote(url.trim());
+    const example = this.getExampleUrl(account);
+    if (!parsed || parsed.protocol !== "ssh") {
+      return `Please use SSH format: ${example}`;
+    }
+    if (!this.matchesHost(parsed, account)) {
+      return `Remote must be on ${this.getHost(account).hostname}: ${example}`;
+    }
+    return true;
+  }
+}
+
+module.exports = { HostManager, PROVIDERS };
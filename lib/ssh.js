@@ -0,0 +1,323 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { execFile, execFileSync } = require("child_process");
+const { HostManager } = require("./hosts");
+
+const SSH_BLOCK_START = "# >>> gitqq managed hosts (do not edit) >>>";
+const SSH_BLOCK_END = "# <<< gitqq managed hosts <<<";
+
+// What each provider prints for `ssh -T`; the group is the username the key
+// authenticated as
+const SSH_GREETINGS = [
+  /Hi there, ([^\s!]+)! You've successfully authenticated/, // Gitea
+  /Hi ([^\s!]+)! You've successfully authenticated/, // GitHub
+  /Welcome to GitLab, @([^\s!]+)!/,
+  /logged in as ([^\s.]+)\./, // Bitbucket
+];
+
+// SSH Key Management
+class SSHManager {
+  static validateSSHKey(keyName) {
+    const keyPath = this.getSSHKeyPath(keyName);
+    return fs.existsSync(keyPath);
+  }
+
+  static getSSHKeyPath(keyName) {
+    return path.join(os.homedir(), ".ssh", keyName);
+  }
+
+  static getSSHConfigPath() {
+    return path.join(os.homedir(), ".ssh", "config");
+  }
+
+  // Remove the fenced gitqq block, plus the single "Host github.com" stanza
+  // that versions before per-account aliases prepended to the file
+  static stripManagedConfig(sshConfig) {
+    let result = sshConfig;
+    const start = result.indexOf(SSH_BLOCK_START);
+    const end = result.indexOf(SSH_BLOCK_END, start);
+    if (start !== -1 && end !== -1) {
+      result =
+        result.slice(0, start) +
+        result.slice(end + SSH_BLOCK_END.length).replace(/^\r?\n/, "");
+    }
+
+    result = result.replace(
+      /^Host github\.com\n {2}HostName github\.com\n {2}User git\n {2}IdentityFile [^\n]+\n {2}IdentitiesOnly yes\n\n?/gm,
+      "",
+    );
+
+    return result.replace(/^\n+/, "");
+  }
+
+  static renderManagedBlock(accounts) {
+    const stanzas = Object.keys(accounts)
+      .filter((username) => accounts[username].sshKey)
+      .map((username) => {
+        const account = { username, ...accounts[username] };
+        const host = HostManager.getHost(account);
+        return [
+          `Host ${HostManager.getHostAlias(account)}`,
+          `  HostName ${host.hostname}`,
+          `  User ${host.user}`,
+          ...(host.port !== 22 ? [`  Port ${host.port}`] : []),
+          `  IdentityFile ${this.getSSHKeyPath(account.sshKey)}`,
+          "  IdentitiesOnly yes",
+        ].join("\n");
+      });
+
+    if (stanzas.length === 0) return "";
+    return `${SSH_BLOCK_START}\n${stanzas.join("\n\n")}\n${SSH_BLOCK_END}\n`;
+  }
+
+  static readSSHConfig() {
+    const sshConfigPath = this.getSSHConfigPath();
+    return fs.existsSync(sshConfigPath)
+      ? fs.readFileSync(sshConfigPath, "utf8")
+      : "";
+  }
+
+  static writeSSHConfig(content) {
+    const sshConfigPath = this.getSSHConfigPath();
+    fs.mkdirSync(path.dirname(sshConfigPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(sshConfigPath, content, { mode: 0o600 });
+  }
+
+  // Rewrite only the fenced block; everything outside it is left untouched
+  static syncHostAliases(accounts) {
+    const current = this.readSSHConfig();
+    const rest = this.stripManagedConfig(current);
+    const block = this.renderManagedBlock(accounts);
+    const updated = block && rest ? `${block}\n${rest}` : block || rest;
+
+    if (updated !== current) {
+      this.writeSSHConfig(updated);
+    }
+  }
+
+  static removeHostAliases() {
+    const current = this.readSSHConfig();
+    const updated = this.stripManagedConfig(current);
+    if (updated !== current) {
+      this.writeSSHConfig(updated);
+      return true;
+    }
+    return false;
+  }
+
+  static getAllowedSignersPath() {
+    return path.join(os.homedir(), ".ssh", "gitqq_allowed_signers");
+  }
+
+  // One "<email> namespaces="git" <public key>" line per account that signs
+  // with its SSH key, so `git log --show-signature` can verify them
+  static writeAllowedSigners(accounts) {
+    const lines = Object.values(accounts)
+      .filter((account) => account.signing && account.signing.format === "ssh")
+      .map((account) => {
+        const publicPath = this.getSSHKeyPath(`${account.sshKey}.pub`);
+        if (!fs.existsSync(publicPath)) return null;
+        const publicKey = fs.readFileSync(publicPath, "utf8").trim();
+        return `${account.email} namespaces="git" ${publicKey}`;
+      })
+      .filter(Boolean);
+
+    const signersPath = this.getAllowedSignersPath();
+    if (lines.length === 0) {
+      fs.rmSync(signersPath, { force: true });
+      return null;
+    }
+    fs.mkdirSync(path.dirname(signersPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(signersPath, `${lines.join("\n")}\n`, { mode: 0o644 });
+    return signersPath;
+  }
+
+  static getSSHCommand(keyName) {
+    return `ssh -i "${this.getSSHKeyPath(keyName)}" -o IdentitiesOnly=yes`;
+  }
+
+  // First of id_alice, id_alice_2, id_alice_3... that would not overwrite a
+  // key (or public key) already in ~/.ssh
+  static getAvailableKeyName(baseName) {
+    const isTaken = (name) =>
+      fs.existsSync(this.getSSHKeyPath(name)) ||
+      fs.existsSync(this.getSSHKeyPath(`${name}.pub`));
+
+    let keyName = baseName;
+    for (let n = 2; isTaken(keyName); n++) {
+      keyName = `${baseName}_${n}`;
+    }
+    return keyName;
+  }
+
+  static generateKey(keyName, email) {
+    const keyPath = this.getSSHKeyPath(keyName);
+    execFileSync(
+      "ssh-keygen",
+      ["-t", "ed25519", "-f", keyPath, "-C", email, "-N", ""],
+      { stdio: "pipe" },
+    );
+    return keyPath;
+  }
+
+  static saveKey(keyName, content) {
+    const keyPath = this.getSSHKeyPath(keyName);
+    fs.writeFileSync(keyPath, `${content.trim()}\n`, { mode: 0o600 });
+    fs.chmodSync(keyPath, 0o600);
+    return keyPath;
+  }
+
+  static parseGreeting(output) {
+    for (const pattern of SSH_GREETINGS) {
+      const match = output.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  // SHA256 fingerprint known_hosts has for the host, or null
+  static getHostKeyFingerprint(hostname, port = 22) {
+    const entry = Number(port) === 22 ? hostname : `[${hostname}]:${port}`;
+    try {
+      const listing = execFileSync(
+        "ssh-keygen",
+        ["-l", "-F", entry, "-f", this.getSSHKeyPath("known_hosts")],
+        { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] },
+      );
+      const match = listing.match(/SHA256:\S+/);
+      return match ? match[0] : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Runs `ssh -T` with only the account's key and reports who the host says
+  // it belongs to. `hostname`/`port` (or GITQQ_SSH_TEST_HOST and
+  // GITQQ_SSH_TEST_PORT) point the test at a stand-in server instead.
+  // status: "ok", "mismatch", "denied", "no-key" or "unknown". The first
+  // connection to a host trusts its key; newHostKey then holds the
+  // fingerprint that was added to known_hosts (or true if it can't be read)
+  static testConnection(account, { hostname, port, timeout = 20000 } = {}) {
+    const host = HostManager.getHost(account);
+    const target = {
+      hostname: hostname || process.env.GITQQ_SSH_TEST_HOST || host.hostname,
+      port: Number(port || process.env.GITQQ_SSH_TEST_PORT || host.port),
+    };
+
+    if (!account.sshKey || !this.validateSSHKey(account.sshKey)) {
+      return Promise.resolve({
+        status: "no-key",
+        ok: false,
+        user: null,
+        ...target,
+        output: "",
+      });
+    }
+
+    const args = [
+      "-T",
+      "-i",
+      this.getSSHKeyPath(account.sshKey),
+      "-o",
+      "IdentitiesOnly=yes",
+      "-o",
+      "BatchMode=yes",
+      "-o",
+      "StrictHostKeyChecking=accept-new",
+      "-o",
+      "ConnectTimeout=10",
+      "-p",
+      String(target.port),
+      `${host.user}@${target.hostname}`,
+    ];
+
+    return new Promise((resolve) => {
+      // Providers close the session with a non-zero exit code even on
+      // success, so the output decides the result
+      execFile("ssh", args, { timeout }, (error, stdout, stderr) => {
+        const output = `${stdout || ""}${stderr || ""}`.trim();
+        const user = this.parseGreeting(output);
+
+        let status = "unknown";
+        if (user) {
+          status =
+            user.toLowerCase() === account.username.toLowerCase()
+              ? "ok"
+              : "mismatch";
+        } else if (/permission denied/i.test(output)) {
+          status = "denied";
+        }
+
+        const newHostKey =
+          /Permanently added .* to the list of known hosts/i.test(output)
+            ? this.getHostKeyFingerprint(target.hostname, target.port) || true
+            : null;
+
+        resolve({
+          status,
+          ok: status === "ok",
+          user,
+          ...target,
+          newHostKey,
+          output: output || (error ? error.message : ""),
+        });
+      });
+    });
+  }
+
+  static removeFromAgent(keyName) {
+    try {
+      execFileSync("ssh-add", ["-d", this.getSSHKeyPath(keyName)], {
+        stdio: "ignore",
+      });
+      return true;
+    } catch {
+      // Agent not running or key not loaded
+      return false;
+    }
+  }
+
+  // Moves the key pair to ~/.ssh/gitqq-archive/<key>-<timestamp>/ and returns
+  // that folder, so the key can still be restored by hand
+  static archiveKey(keyName) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const archiveDir = path.join(
+      os.homedir(),
+      ".ssh",
+      "gitqq-archive",
+      `${keyName}-${stamp}`,
+    );
+    fs.mkdirSync(archiveDir, { recursive: true, mode: 0o700 });
+
+    for (const file of [keyName, `${keyName}.pub`]) {
+      const keyPath = this.getSSHKeyPath(file);
+      if (fs.existsSync(keyPath)) {
+        fs.renameSync(keyPath, path.join(archiveDir, file));
+      }
+    }
+    return archiveDir;
+  }
+
+  // Overwrites the key pair with random bytes before unlinking it. This is
+  // best effort: journaling filesystems and SSDs may keep older copies.
+  static shredKey(keyName) {
+    for (const file of [keyName, `${keyName}.pub`]) {
+      const keyPath = this.getSSHKeyPath(file);
+      if (!fs.existsSync(keyPath)) continue;
+
+      const { size } = fs.statSync(keyPath);
+      const fd = fs.openSync(keyPath, "r+");
+      try {
+        fs.writeSync(fd, crypto.randomBytes(size), 0, size, 0);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.unlinkSync(keyPath);
+    }
+  }
+}
+
+module.exports = { SSHManager };
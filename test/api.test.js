@@ -0,0 +1,98 @@
+const assert = require("assert");
+const { ConfigManager } = require("../lib/config");
+const { AuditLog } = require("../lib/audit");
+const { GitQQ } = require("../lib/api");
+const { createSandbox } = require("./helpers");
+
+describe("programmatic API", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const createClient = (email) => {
+    const config = new ConfigManager(sandbox.configFile);
+    config.addAccount("alice", { email });
+    config.setCurrentAccount("alice");
+    return new GitQQ({ configFile: sandbox.configFile });
+  };
+
+  const remoteSha = (branch) => sandbox.git(["rev-parse", branch], remote);
+
+  it("refuses force pushes to protected branches without confirmation", async () => {
+    // Sandbox commits are made as test@example.com
+    const client = createClient("test@example.com");
+    const other = sandbox.clone(remote, "other");
+    sandbox.commit(other, "theirs.txt", "theirs\n");
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    const local = sandbox.commit(repo, "ours.txt", "ours\n");
+    sandbox.git(["fetch", "--quiet", "origin"], repo);
+
+    await assert.rejects(client.push({ strategy: "force", cwd: repo }), {
+      code: "PROTECTED_BRANCH",
+      pattern: "main",
+    });
+    await assert.rejects(
+      client.push({
+        strategy: "force-with-lease",
+        confirmBranch: "dev",
+        cwd: repo,
+      }),
+      { code: "PROTECTED_BRANCH" },
+    );
+    assert.notStrictEqual(remoteSha("main"), local);
+
+    await client.push({
+      strategy: "force-with-lease",
+      confirmBranch: "main",
+      cwd: repo,
+    });
+    assert.strictEqual(remoteSha("main"), local);
+    assert.deepStrictEqual(
+      AuditLog.read({ repo })
+        .filter((entry) => entry.status === "blocked")
+        .map((entry) => entry.command.join(" ")),
+      ["push --force origin main", "push --force-with-lease origin main"],
+    );
+  });
+
+  it("refuses a safe push when the remote can't be checked", async () => {
+    const client = createClient("test@example.com");
+    const local = sandbox.commit(repo, "a.txt", "a\n");
+    sandbox.git(["remote", "set-url", "origin", `${remote}-missing`], repo);
+
+    await assert.rejects(client.push({ cwd: repo }), (error) => {
+      assert.strictEqual(error.code, "REMOTE_UNKNOWN");
+      assert.strictEqual(error.status.reason, "fetch-failed");
+      return true;
+    });
+    sandbox.git(["remote", "set-url", "origin", remote], repo);
+    assert.notStrictEqual(remoteSha("main"), local);
+  });
+
+  it("refuses commits made with another email", async () => {
+    const client = createClient("alice@example.com");
+    const local = sandbox.commit(repo, "a.txt", "a\n");
+
+    await assert.rejects(client.push({ cwd: repo }), (error) => {
+      assert.strictEqual(error.code, "IDENTITY_MISMATCH");
+      assert.deepStrictEqual(
+        error.commits.map((commit) => commit.sha),
+        [local],
+      );
+      return true;
+    });
+    assert.notStrictEqual(remoteSha("main"), local);
+
+    await client.push({ cwd: repo, ignoreIdentity: true });
+    assert.strictEqual(remoteSha("main"), local);
+  });
+});
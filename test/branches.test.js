@@ -0,0 +1,129 @@
+const assert = require("assert");
+const { GitManager } = require("../lib/git");
+const { createSandbox } = require("./helpers");
+
+describe("branch management", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const localBranches = () =>
+    sandbox.git(["branch", "--format=%(refname:short)"], repo).split("\n");
+  const remoteBranches = () =>
+    sandbox.git(["branch", "--format=%(refname:short)"], remote).split("\n");
+
+  it("creates a branch locally and on the remote", async () => {
+    const { cli, prompt } = sandbox.createCLI([
+      { selectedBranch: "create-new" },
+      { newBranchName: "feature/login", createRemote: true },
+    ]);
+
+    await cli.handleChangeBranch(null);
+
+    assert.strictEqual(prompt.remaining(), 0);
+    assert.ok(localBranches().includes("feature/login"));
+    assert.ok(remoteBranches().includes("feature/login"));
+    assert.strictEqual(
+      sandbox.git(["branch", "--show-current"], repo),
+      "feature/login",
+    );
+  });
+
+  it("creates a local-only branch", async () => {
+    const { cli } = sandbox.createCLI([
+      { selectedBranch: "create-new" },
+      { newBranchName: "scratch", createRemote: false },
+    ]);
+
+    await cli.handleChangeBranch(null);
+
+    assert.ok(localBranches().includes("scratch"));
+    assert.ok(!remoteBranches().includes("scratch"));
+  });
+
+  it("deletes a branch locally and on the remote", async () => {
+    sandbox.git(["branch", "old"], repo);
+    sandbox.git(["push", "--quiet", "origin", "old"], repo);
+
+    const { cli, prompt } = sandbox.createCLI([
+      { branchToDelete: "old" },
+      { deleteRemote: true },
+    ]);
+
+    await cli.handleDeleteBranch(null);
+
+    assert.strictEqual(prompt.remaining(), 0);
+    assert.ok(!localBranches().includes("old"));
+    assert.ok(!remoteBranches().includes("old"));
+  });
+
+  it("can keep the remote branch when deleting locally", async () => {
+    sandbox.git(["branch", "old"], repo);
+    sandbox.git(["push", "--quiet", "origin", "old"], repo);
+
+    const { cli } = sandbox.createCLI([
+      { branchToDelete: "old" },
+      { deleteRemote: false },
+    ]);
+
+    await cli.handleDeleteBranch(null);
+
+    assert.ok(!localBranches().includes("old"));
+    assert.ok(remoteBranches().includes("old"));
+  });
+
+  it("rejects branch names git would refuse or a shell would run", async () => {
+    for (const name of ["x;rm -rf ~", "-f", "a..b", "topic.lock", "a b"]) {
+      assert.notStrictEqual(GitManager.validateBranchName(name), true, name);
+    }
+    assert.strictEqual(GitManager.validateBranchName("feature/ok-1"), true);
+
+    await assert.rejects(
+      GitManager.createBranch(null, "$(touch pwned)"),
+      /Invalid branch name/,
+    );
+  });
+
+  describe("preferred branch", () => {
+    it("is remembered per repository", async () => {
+      const other = sandbox.createRepo("other", sandbox.createRemote("b.git"));
+      const { cli } = sandbox.createCLI([
+        { selectedBranch: "create-new" },
+        { newBranchName: "develop", createRemote: false },
+      ]);
+
+      await cli.handleChangeBranch(null);
+
+      assert.strictEqual(await cli.getDefaultBranch(null), "develop");
+      process.chdir(other);
+      assert.strictEqual(cli.config.getPreferredBranch(), null);
+    });
+
+    it("falls back to the remote's HEAD", async () => {
+      const clone = sandbox.clone(remote, "clone");
+      process.chdir(clone);
+      const { cli } = sandbox.createCLI([]);
+
+      assert.strictEqual(await cli.getDefaultBranch(null), "main");
+    });
+
+    it("never creates a branch the repository doesn't have", async () => {
+      const { cli } = sandbox.createCLI([]);
+      cli.setDefaultBranch("develop");
+
+      await cli.checkoutPreferredBranch(null);
+
+      assert.deepStrictEqual(localBranches(), ["main"]);
+      assert.strictEqual(cli.config.getPreferredBranch(), "main");
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager } = require("../lib/config");
+const { BundleManager } = require("../lib/bundle");
+const { CLI } = require("../lib/cli");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox, scriptedPrompt } = require("./helpers");
+
+describe("export and import", () => {
+  let sandbox;
+  let bundleFile;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    process.chdir(sandbox.root);
+    process.env.GITQQ_PASSPHRASE = "correct horse battery";
+    bundleFile = path.join(sandbox.root, "accounts.gitqq");
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const sshPath = (name) => path.join(sandbox.home, ".ssh", name);
+  const host = {
+    provider: "github",
+    hostname: "github.com",
+    port: 22,
+    user: "git",
+  };
+
+  // alice has a key gitqq created, bob brought his own
+  const setUpAccounts = (configFile = sandbox.configFile) => {
+    fs.writeFileSync(sshPath("id_alice"), "alice private\n", { mode: 0o600 });
+    fs.writeFileSync(sshPath("id_alice.pub"), "alice public\n");
+    sandbox.createKeyFile("id_bob");
+    const config = new ConfigManager(configFile);
+    config.addAccount("alice", {
+      name: "Alice",
+      email: "alice@example.com",
+      sshKey: "id_alice",
+      customKey: true,
+      host,
+    });
+    config.addAccount("bob", {
+      name: "Bob",
+      email: "bob@example.com",
+      sshKey: "id_bob",
+      customKey: false,
+      host,
+    });
+    return config;
+  };
+
+  it("moves accounts, bindings and keys to a new machine", async () => {
+    const repo = sandbox.createRepo("work");
+    const config = setUpAccounts();
+    config.bindRepo("alice", repo);
+    await new CommandRunner(config).run([
+      "export",
+      bundleFile,
+      "--include-keys",
+    ]);
+
+    const bundle = fs.readFileSync(bundleFile, "utf8");
+    assert.doesNotMatch(bundle, /alice private|alice@example\.com/);
+
+    // New machine: no config, no alice key
+    fs.rmSync(sandbox.configFile);
+    fs.rmSync(sshPath("id_alice"));
+    fs.rmSync(sshPath("id_alice.pub"));
+    const fresh = new ConfigManager(sandbox.configFile);
+    await new CommandRunner(fresh).run(["import", bundleFile]);
+
+    assert.deepStrictEqual(Object.keys(fresh.getAccounts()), ["alice", "bob"]);
+    assert.strictEqual(
+      fs.readFileSync(sshPath("id_alice"), "utf8"),
+      "alice private\n",
+    );
+    assert.strictEqual(fs.statSync(sshPath("id_alice")).mode & 0o777, 0o600);
+    assert.strictEqual(fresh.getRepoSettings(repo).boundAccount, "alice");
+    assert.strictEqual(
+      sandbox.git(["config", "--local", "user.email"], repo),
+      "alice@example.com",
+    );
+  });
+
+  it("leaves keys out unless asked", async () => {
+    const config = setUpAccounts();
+    await new CommandRunner(config).run(["export", bundleFile]);
+
+    fs.rmSync(sshPath("id_alice"));
+    fs.rmSync(sshPath("id_alice.pub"));
+    const fresh = new ConfigManager(path.join(sandbox.root, "fresh.json"));
+    await new CommandRunner(fresh).run(["import", bundleFile]);
+
+    assert.ok(fresh.getAccount("alice"));
+    assert.ok(!fs.existsSync(sshPath("id_alice")));
+  });
+
+  it("rejects a wrong passphrase", async () => {
+    await new CommandRunner(setUpAccounts()).run(["export", bundleFile]);
+
+    process.env.GITQQ_PASSPHRASE = "wrong passphrase";
+    await assert.rejects(
+      new CommandRunner(
+        new ConfigManager(path.join(sandbox.root, "fresh.json")),
+      ).run(["import", bundleFile]),
+      /Wrong passphrase/,
+    );
+  });
+
+  it("rejects damaged files and key names outside ~/.ssh", async () => {
+    const runImport = () =>
+      new CommandRunner(
+        new ConfigManager(path.join(sandbox.root, "fresh.json")),
+      ).run(["import", bundleFile]);
+    fs.writeFileSync(
+      bundleFile,
+      JSON.stringify({ format: "gitqq-bundle", version: 1, data: "" }),
+    );
+    await assert.rejects(runImport(), /Not a gitqq export file/);
+
+    BundleManager.write(
+      bundleFile,
+      {
+        accounts: { mallory: { email: "m@example.com", sshKey: "../.bashrc" } },
+        keys: { "../.bashrc": { private: "echo pwned\n", public: null } },
+      },
+      process.env.GITQQ_PASSPHRASE,
+    );
+    await assert.rejects(
+      runImport(),
+      /Invalid SSH key name in export file: \.\.\/\.bashrc/,
+    );
+    assert.ok(!fs.existsSync(path.join(sandbox.home, ".bashrc")));
+    assert.throws(
+      () => BundleManager.restoreKey(".ssh", { private: "x", public: null }),
+      /Invalid SSH key name/,
+    );
+  });
+
+  it("resolves name clashes with existing accounts", async () => {
+    const config = setUpAccounts();
+    await new CommandRunner(config).run([
+      "export",
+      bundleFile,
+      "--include-keys",
+    ]);
+    config.updateAccount("alice", { email: "alice@home.net" });
+    fs.writeFileSync(sshPath("id_alice"), "a different key\n");
+
+    const prompt = scriptedPrompt([
+      { action: "rename" },
+      { target: "alice-old" },
+      { action: "skip" },
+    ]);
+    const cli = new CLI(config, { prompt, pause: async () => {} });
+    await cli.importAccounts(bundleFile);
+
+    assert.strictEqual(prompt.remaining(), 0);
+    const accounts = config.getAccounts();
+    assert.strictEqual(accounts.alice.email, "alice@home.net");
+    assert.strictEqual(accounts["alice-old"].email, "alice@example.com");
+    assert.strictEqual(accounts["alice-old"].sshKey, "id_alice_2");
+    assert.strictEqual(
+      fs.readFileSync(sshPath("id_alice"), "utf8"),
+      "a different key\n",
+    );
+  });
+});
@@ -0,0 +1,180 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager } = require("../lib/config");
+const { ConventionalCommits, DEFAULT_RULES } = require("../lib/commits");
+const { CLI } = require("../lib/cli");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox, scriptedPrompt } = require("./helpers");
+
+describe("conventional commits", () => {
+  let sandbox;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    repo = sandbox.createRepo("work");
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+    fs.writeFileSync(path.join(repo, file), content);
+  };
+  const lastMessage = () => sandbox.git(["log", "-1", "--format=%B"], repo);
+
+  it("formats and validates messages", () => {
+    const message = ConventionalCommits.format({
+      type: "feat",
+      scope: "auth",
+      subject: "add token refresh",
+      body: "Tokens are refreshed a minute before they expire.",
+      breaking: "login() now returns a promise",
+      ticket: "ABC-12",
+    });
+
+    assert.strictEqual(
+      message,
+      "feat(auth)!: add token refresh\n\n" +
+        "Tokens are refreshed a minute before they expire.\n\n" +
+        "BREAKING CHANGE: login() now returns a promise\nRefs: ABC-12",
+    );
+    assert.deepStrictEqual(
+      ConventionalCommits.validate(message, DEFAULT_RULES),
+      [],
+    );
+    assert.strictEqual(ConventionalCommits.parse(message).breaking, true);
+
+    const rules = {
+      ...DEFAULT_RULES,
+      scopes: ["api"],
+      ticketPattern: "[A-Z]+-\\d+",
+    };
+    assert.strictEqual(
+      ConventionalCommits.validate("Fixed it", rules).length,
+      1,
+    );
+    assert.deepStrictEqual(
+      ConventionalCommits.validate("oops(auth): fixed it.", rules),
+      [
+        `Type must be one of: ${DEFAULT_RULES.types.join(", ")}`,
+        "Scope must be one of: api",
+        "Subject must not end with a period",
+        "A ticket reference matching /[A-Z]+-\\d+/ is required",
+      ],
+    );
+    assert.deepStrictEqual(
+      ConventionalCommits.validate('Merge branch "main"', rules),
+      [],
+    );
+  });
+
+  it("cleans the message file the way git does", () => {
+    assert.strictEqual(
+      ConventionalCommits.cleanMessage(
+        "fix: handle empty lists\n\n# Please enter the commit message\n" +
+          "# ------------------------ >8 ------------------------\n" +
+          "diff --git a/a.txt b/a.txt\n+added\n",
+      ),
+      "fix: handle empty lists",
+    );
+  });
+
+  it("suggests scopes from changed paths", () => {
+    assert.deepStrictEqual(
+      ConventionalCommits.suggestScopes([
+        "src/auth/login.js",
+        "src/auth/token.js",
+        "lib/api/client.js",
+        "README.md",
+      ]),
+      ["auth", "api", "readme"],
+    );
+  });
+
+  it("merges .gitqq.json with the repository's settings", () => {
+    const config = new ConfigManager(sandbox.configFile);
+    write(
+      ".gitqq.json",
+      JSON.stringify({
+        commit: { enabled: true, scopes: ["api", "ui"], subjectMaxLength: 50 },
+      }),
+    );
+    config.updateRepoSettings({ commitRules: { subjectMaxLength: 60 } });
+
+    const rules = ConventionalCommits.loadRules(config);
+    assert.strictEqual(rules.enabled, true);
+    assert.deepStrictEqual(rules.scopes, ["api", "ui"]);
+    assert.strictEqual(rules.subjectMaxLength, 60);
+    assert.deepStrictEqual(rules.types, DEFAULT_RULES.types);
+  });
+
+  it("composes the message when the rules are enabled", async () => {
+    const config = new ConfigManager(sandbox.configFile);
+    config.updateRepoSettings({ commitRules: { enabled: true } });
+    write("src/parser/index.js", "module.exports = {};\n");
+
+    const prompt = scriptedPrompt([
+      { staging: "all" },
+      {
+        type: "feat",
+        subject: "add parser",
+        body: "Parses the new format.",
+        isBreaking: true,
+        breaking: "drops the old format",
+      },
+      { shouldPush: false },
+    ]);
+    const cli = new CLI(config, { prompt, pause: async () => {} });
+    await cli.handleCommit(null);
+
+    assert.strictEqual(
+      lastMessage(),
+      "feat(parser)!: add parser\n\nParses the new format.\n\n" +
+        "BREAKING CHANGE: drops the old format",
+    );
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("rejects non-conforming messages from the commit command", async () => {
+    const config = new ConfigManager(sandbox.configFile);
+    config.addAccount("alice", { name: "Alice", email: "alice@example.com" });
+    config.setCurrentAccount("alice");
+    const runner = new CommandRunner(config);
+    await runner.run(["rules", "enable"]);
+    write("a.txt", "a\n");
+
+    await assert.rejects(
+      runner.run(["commit", "-m", "update stuff", "--all"]),
+      /doesn't follow this repository's rules/,
+    );
+    await runner.run(["commit", "-m", "chore: add a.txt", "--all"]);
+    assert.strictEqual(lastMessage(), "chore: add a.txt");
+  });
+
+  it("installs a commit-msg hook that checks messages", async () => {
+    const runner = new CommandRunner(new ConfigManager(sandbox.configFile));
+    await runner.run(["hooks", "install", "commit-msg"]);
+    write("a.txt", "a\n");
+    sandbox.git(["add", "a.txt"], repo);
+
+    assert.throws(
+      () => sandbox.git(["commit", "-m", "update stuff"], repo),
+      /First line must look like/,
+    );
+    sandbox.git(["commit", "-m", "docs: add a.txt"], repo);
+    assert.strictEqual(lastMessage(), "docs: add a.txt");
+
+    await runner.run(["hooks", "uninstall", "commit-msg"]);
+    const hookPath = path.join(repo, ".git", "hooks", "commit-msg");
+    assert.ok(!fs.existsSync(hookPath));
+
+    fs.writeFileSync(hookPath, "#!/bin/sh\nexit 0\n", { mode: 0o755 });
+    await assert.rejects(
+      runner.run(["hooks", "install", "commit-msg"]),
+      /already exists/,
+    );
+  });
+});
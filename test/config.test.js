@@ -0,0 +1,127 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager, CONFIG_VERSION } = require("../lib/config");
+const { createSandbox } = require("./helpers");
+
+describe("config file", () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    process.chdir(sandbox.root);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const writeConfig = (content) =>
+    fs.writeFileSync(
+      sandbox.configFile,
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+  const readConfig = () =>
+    JSON.parse(fs.readFileSync(sandbox.configFile, "utf8"));
+  const backups = () =>
+    fs
+      .readdirSync(sandbox.home)
+      .filter((file) => file.startsWith(".gitqq-config.json.bak-"));
+
+  it("upgrades an unversioned config", () => {
+    writeConfig({
+      accounts: { alice: { email: "alice@example.com", sshKey: "id_alice" } },
+      currentAccount: "alice",
+      defaultBranch: "develop",
+    });
+
+    const config = new ConfigManager(sandbox.configFile);
+
+    assert.strictEqual(config.getCurrentAccount().username, "alice");
+    const saved = readConfig();
+    assert.strictEqual(saved.version, CONFIG_VERSION);
+    assert.strictEqual(saved.defaultBranch, undefined);
+  });
+
+  it("backs up a config that is not valid JSON", () => {
+    writeConfig('{ "accounts": { "alice": ');
+
+    const config = new ConfigManager(sandbox.configFile);
+
+    assert.deepStrictEqual(config.getAccounts(), {});
+    assert.strictEqual(backups().length, 1);
+    assert.strictEqual(
+      fs.readFileSync(path.join(sandbox.home, backups()[0]), "utf8"),
+      '{ "accounts": { "alice": ',
+    );
+  });
+
+  it("backs up a config that does not match the schema", () => {
+    writeConfig({ accounts: { alice: "alice@example.com" } });
+
+    new ConfigManager(sandbox.configFile);
+
+    assert.strictEqual(backups().length, 1);
+    assert.ok(
+      sandbox.output.some((line) =>
+        line.includes('account "alice" must be an object'),
+      ),
+    );
+  });
+
+  it("refuses a config written by a newer version", () => {
+    writeConfig({ version: CONFIG_VERSION + 1, accounts: {} });
+
+    assert.throws(() => new ConfigManager(sandbox.configFile), /newer gitqq/);
+    assert.strictEqual(backups().length, 0);
+  });
+
+  it("writes through a temporary file and releases the lock", () => {
+    const config = new ConfigManager(sandbox.configFile);
+    config.addAccount("alice", { email: "alice@example.com" });
+
+    assert.strictEqual(readConfig().accounts.alice.email, "alice@example.com");
+    assert.deepStrictEqual(
+      fs
+        .readdirSync(sandbox.home)
+        .filter((file) => file.startsWith(".gitqq-config.json.")),
+      [],
+    );
+  });
+
+  it("takes over a lock left by a process that exited", () => {
+    const lockFile = `${sandbox.configFile}.lock`;
+    fs.writeFileSync(lockFile, "999999999");
+    const config = new ConfigManager(sandbox.configFile);
+
+    config.addAccount("alice", { email: "alice@example.com" });
+
+    assert.ok(readConfig().accounts.alice);
+    assert.ok(!fs.existsSync(lockFile));
+  });
+
+  it("does not write while another process holds the lock", () => {
+    const lockFile = `${sandbox.configFile}.lock`;
+    fs.writeFileSync(lockFile, String(process.pid));
+    const config = new ConfigManager(sandbox.configFile);
+
+    assert.throws(
+      () => config.addAccount("alice", { email: "alice@example.com" }),
+      /is held by another gitqq process/,
+    );
+    assert.ok(!fs.existsSync(sandbox.configFile));
+  });
+
+  it("keeps changes another process saved meanwhile", () => {
+    const first = new ConfigManager(sandbox.configFile);
+    const second = new ConfigManager(sandbox.configFile);
+
+    first.addAccount("alice", { email: "alice@example.com" });
+    second.addAccount("bob", { email: "bob@example.com" });
+    first.setCurrentAccount("alice");
+
+    assert.deepStrictEqual(Object.keys(readConfig().accounts), [
+      "alice",
+      "bob",
+    ]);
+    assert.strictEqual(readConfig().currentAccount, "alice");
+  });
+});
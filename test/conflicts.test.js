@@ -0,0 +1,139 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { GitManager } = require("../lib/git");
+const { AuditLog } = require("../lib/audit");
+const { createSandbox } = require("./helpers");
+
+describe("conflict resolution", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const read = (file) => fs.readFileSync(path.join(repo, file), "utf8");
+
+  // Leaves `repo` mid-merge with every file in `files` conflicted
+  const conflict = (files) => {
+    const other = sandbox.clone(remote, "other");
+    files.forEach((file) => sandbox.commit(other, file, `theirs ${file}\n`));
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    files.forEach((file) => sandbox.commit(repo, file, `ours ${file}\n`));
+    assert.throws(() =>
+      sandbox.git(["pull", "--no-rebase", "origin", "main"], repo),
+    );
+  };
+
+  it("takes a side per file, then completes the merge", async () => {
+    conflict(["a.txt", "b.txt"]);
+    assert.strictEqual(await GitManager.countConflictMarkers(null, "a.txt"), 1);
+    const { cli, prompt } = sandbox.createCLI([
+      { resolution: "resolve" },
+      { file: "a.txt", resolution: "theirs" },
+      { file: "b.txt", resolution: "ours" },
+      { resolution: "continue" },
+    ]);
+
+    const finished = await cli.handleOperationInProgress(null, "merge");
+
+    assert.strictEqual(finished, true);
+    assert.strictEqual(read("a.txt"), "theirs a.txt\n");
+    assert.strictEqual(read("b.txt"), "ours b.txt\n");
+    assert.strictEqual(await GitManager.getOperationInProgress(null), null);
+    assert.ok(sandbox.output.some((line) => line.includes("2 conflicted")));
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("resolves conflicts from a subdirectory", async () => {
+    conflict(["a.txt", "b.txt"]);
+    const sub = path.join(repo, "sub");
+    fs.mkdirSync(sub);
+    process.chdir(sub);
+    const editor = path.join(sandbox.root, "editor.sh");
+    fs.writeFileSync(editor, '#!/bin/sh\necho edited > "$1"\n', {
+      mode: 0o755,
+    });
+    process.env.GIT_EDITOR = editor;
+    const { cli } = sandbox.createCLI([
+      { file: "a.txt", resolution: "theirs" },
+      { file: "b.txt", resolution: "editor" },
+      {},
+    ]);
+
+    assert.strictEqual(await GitManager.countConflictMarkers(null, "b.txt"), 1);
+    assert.strictEqual(await cli.resolveConflicts(null, "merge"), true);
+    assert.strictEqual(read("a.txt"), "theirs a.txt\n");
+    assert.strictEqual(read("b.txt"), "edited\n");
+  });
+
+  it("resolves a file in the configured editor", async () => {
+    conflict(["a.txt"]);
+    const editor = path.join(sandbox.root, "editor.sh");
+    fs.writeFileSync(editor, '#!/bin/sh\necho edited > "$1"\n', {
+      mode: 0o755,
+    });
+    process.env.GIT_EDITOR = editor;
+    const { cli } = sandbox.createCLI([
+      { file: "a.txt", resolution: "editor" },
+      {},
+    ]);
+
+    assert.strictEqual(await cli.resolveConflicts(null, "merge"), true);
+    assert.strictEqual(read("a.txt"), "edited\n");
+    assert.deepStrictEqual(await GitManager.getConflictedFiles(null), []);
+  });
+
+  it("runs the configured mergetool", async () => {
+    conflict(["a.txt"]);
+    sandbox.git(["config", "merge.tool", "take-remote"], repo);
+    sandbox.git(
+      ["config", "mergetool.take-remote.cmd", 'cp "$REMOTE" "$MERGED"'],
+      repo,
+    );
+    sandbox.git(
+      ["config", "mergetool.take-remote.trustExitCode", "true"],
+      repo,
+    );
+    sandbox.git(["config", "mergetool.keepBackup", "false"], repo);
+    const { cli } = sandbox.createCLI([
+      { file: "a.txt", resolution: "mergetool" },
+    ]);
+
+    assert.strictEqual(await cli.resolveConflicts(null, "merge"), true);
+    assert.strictEqual(read("a.txt"), "theirs a.txt\n");
+    const [entry] = AuditLog.read({ operation: "mergetool" });
+    assert.deepStrictEqual(entry.command, [
+      "mergetool",
+      "--no-prompt",
+      "--",
+      "a.txt",
+    ]);
+    assert.strictEqual(entry.status, "ok");
+  });
+
+  it("resolves a deleted file by deleting it", async () => {
+    sandbox.commit(repo, "a.txt", "base\n");
+    sandbox.git(["push", "--quiet", "origin", "main"], repo);
+    const other = sandbox.clone(remote, "other");
+    sandbox.git(["rm", "--quiet", "a.txt"], other);
+    sandbox.git(["commit", "--quiet", "-m", "Remove a.txt"], other);
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    sandbox.commit(repo, "a.txt", "changed\n");
+    assert.throws(() =>
+      sandbox.git(["pull", "--no-rebase", "origin", "main"], repo),
+    );
+
+    await GitManager.takeConflictSide(null, "a.txt", "theirs");
+
+    assert.ok(!fs.existsSync(path.join(repo, "a.txt")));
+    assert.deepStrictEqual(await GitManager.getConflictedFiles(null), []);
+  });
+});
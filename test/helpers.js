@@ -0,0 +1,211 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { ConfigManager } = require("../lib/config");
+const { CLI } = require("../lib/cli");
+
+const ENV_KEYS = [
+  "HOME",
+  "USERPROFILE",
+  "GIT_CONFIG_NOSYSTEM",
+  "SSH_AUTH_SOCK",
+  "GIT_TERMINAL_PROMPT",
+  "PATH",
+  "GITQQ_PASSPHRASE",
+  "GIT_CONFIG_COUNT",
+  "GIT_EDITOR",
+];
+
+// Each test runs against its own HOME, so ~/.gitqq-config.json, ~/.ssh and
+// the global git config are throwaway copies. Remotes are local bare
+// repositories, so nothing needs the network.
+function createSandbox() {
+  const root = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "gitqq-test-")),
+  );
+  const home = path.join(root, "home");
+  fs.mkdirSync(path.join(home, ".ssh"), { recursive: true, mode: 0o700 });
+
+  const savedEnv = {};
+  ENV_KEYS.forEach((key) => {
+    savedEnv[key] = process.env[key];
+  });
+  const savedCwd = process.cwd();
+  const savedLog = console.log;
+  const output = [];
+
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  process.env.GIT_CONFIG_NOSYSTEM = "1";
+  process.env.GIT_TERMINAL_PROMPT = "0";
+  // Drop config passed through the environment, such as a core.hooksPath
+  delete process.env.GIT_CONFIG_COUNT;
+  // Never hand test keys to the developer's real ssh-agent
+  delete process.env.SSH_AUTH_SOCK;
+  console.log = (...args) => output.push(args.join(" "));
+
+  const git = (args, cwd) =>
+    execFileSync("git", args, { cwd, encoding: "utf8", stdio: "pipe" }).trim();
+
+  git(["config", "--global", "user.name", "Test User"]);
+  git(["config", "--global", "user.email", "test@example.com"]);
+  git(["config", "--global", "init.defaultBranch", "main"]);
+
+  const sandbox = {
+    root,
+    home,
+    configFile: path.join(home, ".gitqq-config.json"),
+    output,
+    git,
+
+    createRemote(name = "remote.git") {
+      const remotePath = path.join(root, name);
+      git(["init", "--bare", "--quiet", remotePath]);
+      git(["symbolic-ref", "HEAD", "refs/heads/main"], remotePath);
+      return remotePath;
+    },
+
+    commit(repoPath, file, content, message = `Update ${file}`) {
+      fs.writeFileSync(path.join(repoPath, file), content);
+      git(["add", file], repoPath);
+      git(["commit", "--quiet", "-m", message], repoPath);
+      return git(["rev-parse", "HEAD"], repoPath);
+    },
+
+    // A working repository with one commit on main, pushed to `remotePath`
+    createRepo(name = "work", remotePath = sandbox.createRemote()) {
+      const repoPath = path.join(root, name);
+      fs.mkdirSync(repoPath);
+      git(["init", "--quiet"], repoPath);
+      git(["symbolic-ref", "HEAD", "refs/heads/main"], repoPath);
+      sandbox.commit(repoPath, "README.md", "# test\n", "Initial commit");
+      git(["remote", "add", "origin", remotePath], repoPath);
+      git(["push", "--quiet", "-u", "origin", "main"], repoPath);
+      return repoPath;
+    },
+
+    clone(remotePath, name) {
+      const clonePath = path.join(root, name);
+      git(["clone", "--quiet", remotePath, clonePath]);
+      return clonePath;
+    },
+
+    // Put an `ssh` on PATH that prints `greeting` the way a provider does for
+    // `ssh -T` and records its arguments in sandbox.sshArgs()
+    fakeSSH(greeting) {
+      const binDir = path.join(root, "bin");
+      const argsFile = path.join(root, "ssh-args");
+      fs.mkdirSync(binDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(binDir, "ssh"),
+        `#!/bin/sh\necho "$@" > "${argsFile}"\necho "${greeting}" >&2\nexit 1\n`,
+        { mode: 0o755 },
+      );
+      process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+      sandbox.sshArgs = () => fs.readFileSync(argsFile, "utf8").trim();
+    },
+
+    // An existing key file, as used by "Use existing SSH key file"
+    createKeyFile(name) {
+      const keyPath = path.join(home, ".ssh", name);
+      fs.writeFileSync(keyPath, "not a real key\n", { mode: 0o600 });
+      return keyPath;
+    },
+
+    // A CLI on the sandbox config that answers prompts from `answers` (see
+    // scriptedPrompt) and never pauses
+    createCLI(answers) {
+      const prompt = scriptedPrompt(answers);
+      const cli = new CLI(new ConfigManager(sandbox.configFile), {
+        prompt,
+        pause: async () => {},
+      });
+      return { cli, prompt };
+    },
+
+    cleanup() {
+      console.log = savedLog;
+      process.chdir(savedCwd);
+      ENV_KEYS.forEach((key) => {
+        if (savedEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = savedEnv[key];
+        }
+      });
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+
+  return sandbox;
+}
+
+// Prompt adapter for CLI: each prompt() call consumes the next object from
+// `answerQueue`. Questions missing from it fall back to their defaults, and
+// filter/validate/choices are applied the way inquirer would, so a scripted
+// answer the real menu would reject fails the test.
+function scriptedPrompt(answerQueue) {
+  const queue = [...answerQueue];
+
+  const prompt = async (questions) => {
+    const list = Array.isArray(questions) ? questions : [questions];
+    const scripted = queue.shift();
+    if (!scripted) {
+      throw new Error(
+        `Unexpected prompt: ${list.map((q) => q.message).join(", ")}`,
+      );
+    }
+
+    const answers = {};
+    for (const question of list) {
+      if (typeof question.when === "function" && !question.when(answers)) {
+        continue;
+      }
+
+      let value;
+      if (question.name in scripted) {
+        value = scripted[question.name];
+      } else {
+        value =
+          typeof question.default === "function"
+            ? question.default(answers)
+            : question.default;
+        if (value === undefined) {
+          throw new Error(`No scripted answer for "${question.name}"`);
+        }
+      }
+
+      if (question.filter) {
+        value = await question.filter(value, answers);
+      }
+      if (question.validate) {
+        const valid = await question.validate(value, answers);
+        if (valid !== true) {
+          throw new Error(`Invalid answer for "${question.name}": ${valid}`);
+        }
+      }
+      if (question.type === "list") {
+        const values = question.choices
+          .filter((choice) => choice.type !== "separator")
+          .map((choice) =>
+            typeof choice === "object" ? choice.value : choice,
+          );
+        if (!values.includes(value)) {
+          throw new Error(
+            `"${value}" is not a choice for "${question.name}" (${values.join(", ")})`,
+          );
+        }
+      }
+
+      answers[question.name] = value;
+    }
+
+    return answers;
+  };
+
+  prompt.remaining = () => queue.length;
+  return prompt;
+}
+
+module.exports = { createSandbox, scriptedPrompt };
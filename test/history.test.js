@@ -0,0 +1,166 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { GitManager } = require("../lib/git");
+const { createSandbox } = require("./helpers");
+
+describe("commit history", () => {
+  let sandbox;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    repo = sandbox.createRepo("work");
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const account = { username: "alice", email: "alice@example.com" };
+  const head = () => sandbox.git(["rev-parse", "HEAD"], repo);
+
+  const commitAs = (email, file, message) => {
+    fs.writeFileSync(path.join(repo, file), `${message}\n`);
+    sandbox.git(["add", file], repo);
+    sandbox.git(
+      ["commit", "--quiet", "-m", message, `--author=Someone <${email}>`],
+      repo,
+    );
+    return head();
+  };
+
+  it("pages, searches and filters by author", async () => {
+    for (let i = 1; i <= 5; i++) {
+      commitAs(
+        i % 2 ? "alice@example.com" : "bob@example.com",
+        `${i}.txt`,
+        `Change ${i}`,
+      );
+    }
+    sandbox.git(["tag", "v1"], repo);
+
+    const firstPage = await GitManager.getLog(null, { limit: 2 });
+    assert.deepStrictEqual(
+      firstPage.map((entry) => entry.subject),
+      ["Change 5", "Change 4"],
+    );
+    assert.ok(firstPage[0].refs.includes("tag: v1"));
+    assert.strictEqual(firstPage[0].graph, "*");
+    const secondPage = await GitManager.getLog(null, { skip: 2, limit: 2 });
+    assert.deepStrictEqual(
+      secondPage.map((entry) => entry.subject),
+      ["Change 3", "Change 2"],
+    );
+
+    const search = await GitManager.getLog(null, { search: "change 2" });
+    assert.deepStrictEqual(
+      search.map((entry) => entry.subject),
+      ["Change 2"],
+    );
+    commitAs("val@example.com", "6.txt", "Change 6");
+    const mine = await GitManager.getLog(null, {
+      authorEmail: "al@example.com",
+    });
+    assert.deepStrictEqual(mine, []);
+    const alice = await GitManager.getLog(null, {
+      authorEmail: "alice@example.com",
+    });
+    assert.deepStrictEqual(
+      alice.map((entry) => entry.subject),
+      ["Change 5", "Change 3", "Change 1"],
+    );
+  });
+
+  it("cherry-picks a commit from another branch", async () => {
+    sandbox.git(["checkout", "--quiet", "-b", "feature"], repo);
+    const picked = commitAs("bob@example.com", "f.txt", "Feature work");
+    sandbox.git(["checkout", "--quiet", "main"], repo);
+    commitAs("alice@example.com", "m.txt", "Main work");
+    const { cli, prompt } = sandbox.createCLI([
+      { selected: "branch" },
+      { branch: "feature" },
+      { selected: picked },
+      { commitAction: "cherry-pick" },
+      { selected: "back" },
+    ]);
+
+    await cli.handleHistory(account);
+
+    assert.strictEqual(
+      sandbox.git(["log", "-1", "--format=%s"], repo),
+      "Feature work",
+    );
+    assert.notStrictEqual(head(), picked);
+    assert.ok(sandbox.output.some((line) => line.includes("+Feature work")));
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("reverts and resets only after confirmation", async () => {
+    const base = head();
+    const change = commitAs("alice@example.com", "a.txt", "Add a");
+    const { cli } = sandbox.createCLI([
+      { selected: change },
+      { commitAction: "revert" },
+      { selected: base },
+      { commitAction: "reset" },
+      { resetMode: "hard" },
+      { confirmReset: false },
+      { selected: "back" },
+    ]);
+
+    await cli.handleHistory(account);
+
+    assert.strictEqual(
+      sandbox.git(["log", "-1", "--format=%s"], repo),
+      'Revert "Add a"',
+    );
+    assert.ok(!fs.existsSync(path.join(repo, "a.txt")));
+
+    const tip = head();
+    const { cli: again } = sandbox.createCLI([
+      { selected: base },
+      { commitAction: "reset" },
+      { resetMode: "soft" },
+      { confirmReset: true },
+      { selected: "back" },
+    ]);
+    await again.handleHistory(account);
+
+    assert.notStrictEqual(tip, base);
+    assert.strictEqual(head(), base);
+  });
+
+  it("creates a branch and a tag at a commit and copies its SHA", async () => {
+    const base = head();
+    commitAs("alice@example.com", "a.txt", "Add a");
+    const binDir = path.join(sandbox.root, "bin");
+    const copied = path.join(sandbox.root, "clipboard");
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(
+      path.join(binDir, "wl-copy"),
+      `#!/bin/sh\ncat > "${copied}"\n`,
+      { mode: 0o755 },
+    );
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+    const { cli } = sandbox.createCLI([
+      { selected: base },
+      { commitAction: "branch" },
+      { branchName: "from-base" },
+      { selected: base },
+      { commitAction: "tag" },
+      { tagName: "base" },
+      { selected: base },
+      { commitAction: "copy" },
+      { selected: "back" },
+    ]);
+
+    await cli.handleHistory(account);
+
+    assert.strictEqual(sandbox.git(["rev-parse", "from-base"], repo), base);
+    assert.strictEqual(sandbox.git(["rev-parse", "base^{commit}"], repo), base);
+    assert.strictEqual(await GitManager.getCurrentBranch(null), "main");
+    if (process.platform === "linux") {
+      assert.strictEqual(fs.readFileSync(copied, "utf8"), base);
+    }
+  });
+});
@@ -0,0 +1,232 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager } = require("../lib/config");
+const { GitManager } = require("../lib/git");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox } = require("./helpers");
+
+describe("push identity guard", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const alice = {
+    username: "alice",
+    name: "Alice",
+    email: "alice@example.com",
+  };
+
+  const createRunner = () => {
+    const config = new ConfigManager(sandbox.configFile);
+    const { username, ...data } = alice;
+    config.addAccount(username, data);
+    config.setCurrentAccount(username);
+    return new CommandRunner(config);
+  };
+
+  // Sandbox commits are made as test@example.com
+  const commitAsAlice = (file) => {
+    fs.writeFileSync(path.join(repo, file), `${file}\n`);
+    sandbox.git(["add", file], repo);
+    sandbox.git(
+      [
+        "-c",
+        "user.name=Alice",
+        "-c",
+        "user.email=alice@example.com",
+        "commit",
+        "--quiet",
+        "-m",
+        `Add ${file}`,
+      ],
+      repo,
+    );
+  };
+
+  const emails = (...revisions) =>
+    sandbox.git(["log", "--format=%ae %ce", ...revisions], repo).split("\n");
+
+  it("lists unpushed commits and flags other identities", async () => {
+    commitAsAlice("a.txt");
+    sandbox.commit(repo, "b.txt", "b\n");
+    sandbox.git(
+      [
+        "commit",
+        "--quiet",
+        "--amend",
+        "--no-edit",
+        "--author=Alice <alice@example.com>",
+      ],
+      repo,
+    );
+
+    const commits = await GitManager.getUnpushedCommits(null, "main");
+    assert.deepStrictEqual(
+      commits.map((commit) => commit.subject),
+      ["Add a.txt", "Update b.txt"],
+    );
+    const mismatched = GitManager.findIdentityMismatches(
+      commits,
+      "Alice@Example.com",
+    );
+    assert.deepStrictEqual(
+      mismatched.map((commit) => commit.subject),
+      ["Update b.txt"],
+    );
+    assert.strictEqual(mismatched[0].committerEmail, "test@example.com");
+  });
+
+  it("rewrites mismatched commits before pushing", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    commitAsAlice("b.txt");
+    sandbox.commit(repo, "c.txt", "c\n");
+    const { cli, prompt } = sandbox.createCLI([{ identityAction: "rewrite" }]);
+
+    assert.strictEqual(await cli.checkPushIdentity(alice, "main"), true);
+
+    assert.deepStrictEqual(emails("origin/main..HEAD"), [
+      "alice@example.com alice@example.com",
+      "alice@example.com alice@example.com",
+      "alice@example.com alice@example.com",
+    ]);
+    assert.ok(fs.existsSync(path.join(repo, "c.txt")));
+    assert.deepStrictEqual(emails("-1", "origin/main"), [
+      "test@example.com test@example.com",
+    ]);
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("amends only the commits made as someone else", async () => {
+    commitAsAlice("a.txt");
+    const kept = sandbox.git(["rev-parse", "HEAD"], repo);
+    sandbox.commit(repo, "b.txt", "b\n");
+    commitAsAlice("c.txt");
+
+    await GitManager.rewriteIdentity(alice, "main");
+
+    assert.strictEqual(sandbox.git(["rev-parse", "HEAD~2"], repo), kept);
+    assert.deepStrictEqual(emails("origin/main..HEAD"), [
+      "alice@example.com alice@example.com",
+      "alice@example.com alice@example.com",
+      "alice@example.com alice@example.com",
+    ]);
+  });
+
+  it("rewrites in place when origin has moved on", async () => {
+    const base = sandbox.git(["rev-parse", "HEAD"], repo);
+    const other = sandbox.clone(remote, "other");
+    sandbox.commit(other, "theirs.txt", "theirs\n");
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    sandbox.commit(repo, "a.txt", "a\n");
+    commitAsAlice("b.txt");
+    sandbox.git(["fetch", "--quiet", "origin"], repo);
+
+    await GitManager.rewriteIdentity(alice, "main");
+
+    assert.strictEqual(sandbox.git(["rev-parse", "HEAD~2"], repo), base);
+    assert.ok(!fs.existsSync(path.join(repo, "theirs.txt")));
+    assert.deepStrictEqual(emails(`${base}..HEAD`), [
+      "alice@example.com alice@example.com",
+      "alice@example.com alice@example.com",
+    ]);
+  });
+
+  it("refuses to rewrite merges and commits already on origin", async () => {
+    sandbox.git(["push", "--quiet", "origin", "main:topic"], repo);
+    const other = sandbox.clone(remote, "other");
+    sandbox.commit(other, "theirs.txt", "theirs\n");
+    sandbox.git(["push", "--quiet", "origin", "main:feature"], other);
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    sandbox.commit(repo, "a.txt", "a\n");
+    sandbox.git(["pull", "--quiet", "--no-rebase", "origin", "main"], repo);
+    const merge = sandbox.git(["rev-parse", "HEAD"], repo);
+
+    await assert.rejects(
+      GitManager.rewriteIdentity(alice, "main"),
+      /include a merge/,
+    );
+    assert.strictEqual(sandbox.git(["rev-parse", "HEAD"], repo), merge);
+    sandbox.git(["merge-base", "--is-ancestor", "origin/main", "HEAD"], repo);
+
+    sandbox.git(["fetch", "--quiet", "origin"], repo);
+    sandbox.git(["checkout", "--quiet", "-b", "topic", "origin/feature"], repo);
+    sandbox.commit(repo, "b.txt", "b\n");
+    await assert.rejects(
+      GitManager.rewriteIdentity(alice, "topic"),
+      /already on another origin branch/,
+    );
+  });
+
+  it("amends a single commit and keeps uncommitted changes", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    fs.writeFileSync(path.join(repo, "README.md"), "# dirty\n");
+    const { cli } = sandbox.createCLI([
+      { identityAction: "rewrite" },
+      { dirtyChoice: "stash" },
+    ]);
+
+    assert.strictEqual(await cli.checkPushIdentity(alice, "main"), true);
+
+    assert.deepStrictEqual(emails("origin/main..HEAD"), [
+      "alice@example.com alice@example.com",
+    ]);
+    assert.strictEqual(
+      fs.readFileSync(path.join(repo, "README.md"), "utf8"),
+      "# dirty\n",
+    );
+  });
+
+  it("stops the push when cancelled", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    const { cli } = sandbox.createCLI([{ identityAction: "cancel" }]);
+
+    assert.strictEqual(await cli.checkPushIdentity(alice, "main"), false);
+    assert.ok(sandbox.output.some((line) => line.includes("weren't made as")));
+  });
+
+  it("blocks the push command until the commits are fixed", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    const runner = createRunner();
+
+    await assert.rejects(runner.run(["push"]), /1 commit\(s\) weren't made/);
+    await runner.run(["identity", "fix"]);
+    await runner.run(["identity", "check"]);
+    await runner.run(["push"]);
+
+    assert.strictEqual(
+      sandbox.git(["log", "-1", "--format=%ae", "main"], remote),
+      "alice@example.com",
+    );
+  });
+
+  it("checks pushes made with plain git from a pre-push hook", async () => {
+    const runner = createRunner();
+    await runner.run(["hooks", "install", "pre-push"]);
+    sandbox.commit(repo, "a.txt", "a\n");
+
+    assert.throws(
+      () => sandbox.git(["push", "origin", "main"], repo),
+      /weren't made as alice@example.com/,
+    );
+
+    await runner.run(["identity", "fix"]);
+    sandbox.git(["push", "--quiet", "origin", "main"], repo);
+    sandbox.git(["checkout", "--quiet", "-b", "feature"], repo);
+    commitAsAlice("b.txt");
+    sandbox.git(["push", "--quiet", "origin", "feature"], repo);
+    // A URL instead of a remote name still knows what origin has
+    sandbox.git(["checkout", "--quiet", "-b", "topic"], repo);
+    commitAsAlice("c.txt");
+    sandbox.git(["push", "--quiet", remote, "topic"], repo);
+  });
+});
@@ -0,0 +1,219 @@
+const assert = require("assert");
+const fs = require("fs");
+const { ConfigManager, matchesBranchPattern } = require("../lib/config");
+const { AuditLog } = require("../lib/audit");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox } = require("./helpers");
+
+describe("protected branches", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  // Sandbox commits are made as test@example.com
+  const account = { username: "alice", email: "test@example.com" };
+
+  const createRunner = () => {
+    const config = new ConfigManager(sandbox.configFile);
+    const { username, ...data } = account;
+    config.addAccount(username, data);
+    config.setCurrentAccount(username);
+    return new CommandRunner(config);
+  };
+
+  const auditEntries = () =>
+    fs.existsSync(AuditLog.getPath())
+      ? fs
+          .readFileSync(AuditLog.getPath(), "utf8")
+          .trim()
+          .split("\n")
+          .map((line) => JSON.parse(line))
+      : [];
+
+  const remoteSha = (branch) => sandbox.git(["rev-parse", branch], remote);
+
+  // Leaves main in `repo` diverged from origin/main
+  const diverge = () => {
+    const other = sandbox.clone(remote, "other");
+    sandbox.commit(other, "theirs.txt", "theirs\n");
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    return sandbox.commit(repo, "ours.txt", "ours\n");
+  };
+
+  it("matches branch patterns segment by segment", () => {
+    assert.ok(matchesBranchPattern("main", "main"));
+    assert.ok(!matchesBranchPattern("main", "main-old"));
+    assert.ok(matchesBranchPattern("release/*", "release/1.0"));
+    assert.ok(!matchesBranchPattern("release/*", "release/1.0/hotfix"));
+    assert.ok(matchesBranchPattern("release/**", "release/1.0/hotfix"));
+    assert.ok(!matchesBranchPattern("v1.*", "v1x0"));
+
+    const config = new ConfigManager(sandbox.configFile);
+    assert.strictEqual(config.getProtectedPattern("master"), "master");
+    config.setProtectedBranches(["release/*"], { repo: true });
+    assert.strictEqual(config.getProtectedPattern("release/2"), "release/*");
+    config.setProtectedBranches([]);
+    assert.strictEqual(config.getProtectedPattern("main"), null);
+    assert.deepStrictEqual(config.getProtectedBranches(), {
+      global: [],
+      repo: ["release/*"],
+    });
+  });
+
+  it("hides --force and asks for the branch name before --force-with-lease", async () => {
+    const local = diverge();
+    const { cli: hidden } = sandbox.createCLI([{ pushType: "force-override" }]);
+    await assert.rejects(
+      hidden.handlePush(account),
+      /"force-override" is not a choice/,
+    );
+
+    const { cli, prompt } = sandbox.createCLI([
+      { pushType: "force-lease" },
+      { typedBranch: "mian" },
+      { pushType: "force-lease" },
+      { typedBranch: "main" },
+    ]);
+    await cli.handlePush(account);
+    assert.notStrictEqual(remoteSha("main"), local);
+
+    await cli.handlePush(account);
+    assert.strictEqual(remoteSha("main"), local);
+    assert.strictEqual(prompt.remaining(), 0);
+
+    const [blocked] = auditEntries().filter(
+      (entry) => entry.status === "blocked",
+    );
+    assert.strictEqual(blocked.status, "blocked");
+    assert.strictEqual(blocked.account, "alice");
+    assert.strictEqual(blocked.repo, repo);
+    assert.deepStrictEqual(blocked.command, [
+      "push",
+      "--force-with-lease",
+      "origin",
+      "main",
+    ]);
+  });
+
+  it("keeps protected branches on the remote unless overridden", async () => {
+    new ConfigManager(sandbox.configFile).setProtectedBranches(["release/*"], {
+      repo: true,
+    });
+    ["release/1.0", "release/2.0"].forEach((branch) => {
+      sandbox.git(["branch", branch], repo);
+      sandbox.git(["push", "--quiet", "origin", branch], repo);
+    });
+    const { cli: refused } = sandbox.createCLI([
+      { branchToDelete: "release/1.0" },
+      { deleteRemote: true },
+    ]);
+    await refused.handleDeleteBranch(account);
+    assert.ok(
+      sandbox.output.some((line) => line.includes('"true" is not a choice')),
+    );
+
+    const { cli } = sandbox.createCLI([
+      { branchToDelete: "release/1.0" },
+      { deleteRemote: false },
+      { branchToDelete: "release/2.0" },
+      { deleteRemote: "override" },
+      { typedBranch: "release/2.0" },
+    ]);
+    await cli.handleDeleteBranch(account);
+    await cli.handleDeleteBranch(account);
+
+    assert.strictEqual(
+      sandbox.git(["branch", "--list", "release/*"], remote),
+      "release/1.0",
+    );
+    assert.strictEqual(
+      sandbox.git(["branch", "--list", "release/*"], repo),
+      "",
+    );
+  });
+
+  it("refuses protected force pushes and deletions from the command line", async () => {
+    const local = diverge();
+    sandbox.git(["push", "--quiet", "origin", "main:release/1.0"], repo);
+    const runner = createRunner();
+    await runner.run(["protect", "add", "release/*", "--repo"]);
+
+    await assert.rejects(
+      runner.run(["push", "--force"]),
+      /main is protected \(main\); use --force-with-lease/,
+    );
+    await assert.rejects(
+      runner.run(["push", "--force-with-lease", "--confirm-branch", "dev"]),
+      /pass --confirm-branch main/,
+    );
+    sandbox.git(["fetch", "--quiet", "origin"], repo);
+    await runner.run([
+      "push",
+      "--force-with-lease",
+      "--confirm-branch",
+      "main",
+    ]);
+    assert.strictEqual(remoteSha("main"), local);
+
+    sandbox.git(["branch", "release/1.0"], repo);
+    await assert.rejects(
+      runner.run(["branch", "delete", "release/1.0", "--remote"]),
+      /pass --override-protection/,
+    );
+    assert.strictEqual(remoteSha("release/1.0"), local);
+    await runner.run([
+      "branch",
+      "delete",
+      "release/1.0",
+      "--remote",
+      "--override-protection",
+    ]);
+    assert.strictEqual(
+      sandbox.git(["branch", "--list", "release/*"], remote),
+      "",
+    );
+
+    assert.deepStrictEqual(
+      auditEntries()
+        .filter((entry) => entry.status === "blocked")
+        .map((entry) => [entry.status, entry.command.join(" ")]),
+      [
+        ["blocked", "push --force origin main"],
+        ["blocked", "push --force-with-lease origin main"],
+        ["blocked", "push origin --delete release/1.0"],
+      ],
+    );
+  });
+
+  it("manages patterns globally and per repository", async () => {
+    const runner = createRunner();
+    await runner.run(["protect", "add", "release/*"]);
+    await runner.run(["protect", "add", "hotfix/*", "--repo"]);
+    await runner.run(["protect", "remove", "master"]);
+    await assert.rejects(
+      runner.run(["protect", "remove", "hotfix/*"]),
+      /hotfix\/\* isn't protected everywhere/,
+    );
+    await assert.rejects(
+      runner.run(["protect", "add", "--all"]),
+      /Usage: gitqq protect/,
+    );
+
+    sandbox.output.length = 0;
+    await runner.run(["protect"]);
+    assert.deepStrictEqual(sandbox.output, [
+      "main  (everywhere)",
+      "release/*  (everywhere)",
+      "hotfix/*  (this repository)",
+    ]);
+  });
+});
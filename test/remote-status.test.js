@@ -0,0 +1,80 @@
+const assert = require("assert");
+const { GitManager } = require("../lib/git");
+const { createSandbox } = require("./helpers");
+
+describe("GitManager.getRemoteStatus", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  // Pushes a commit to origin/main from another clone
+  const pushFromElsewhere = () => {
+    const other = sandbox.clone(remote, "other");
+    sandbox.commit(other, "remote.txt", "remote change\n");
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+  };
+
+  it("reports a freshly pushed branch as in sync", async () => {
+    const status = await GitManager.getRemoteStatus(null, { cwd: repo });
+
+    assert.strictEqual(status.branch, "main");
+    assert.strictEqual(status.remoteExists, true);
+    assert.strictEqual(status.ahead, 0);
+    assert.strictEqual(status.behind, 0);
+    assert.strictEqual(status.diverged, false);
+    assert.strictEqual(status.reason, null);
+  });
+
+  it("detects local commits that are not on the remote", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    sandbox.commit(repo, "b.txt", "b\n");
+
+    const status = await GitManager.getRemoteStatus(null, { cwd: repo });
+
+    assert.strictEqual(status.ahead, 2);
+    assert.strictEqual(status.localAhead, true);
+    assert.strictEqual(status.remoteAhead, false);
+    assert.strictEqual(status.needsForcePush, false);
+  });
+
+  it("detects remote commits that are not local", async () => {
+    pushFromElsewhere();
+
+    const status = await GitManager.getRemoteStatus(null, { cwd: repo });
+
+    assert.strictEqual(status.behind, 1);
+    assert.strictEqual(status.remoteAhead, true);
+    assert.strictEqual(status.localAhead, false);
+    assert.strictEqual(status.diverged, false);
+  });
+
+  it("detects diverged branches", async () => {
+    pushFromElsewhere();
+    sandbox.commit(repo, "local.txt", "local change\n");
+
+    const status = await GitManager.getRemoteStatus(null, { cwd: repo });
+
+    assert.strictEqual(status.ahead, 1);
+    assert.strictEqual(status.behind, 1);
+    assert.strictEqual(status.diverged, true);
+    assert.strictEqual(status.needsForcePush, true);
+  });
+
+  it("explains when the branch does not exist on the remote", async () => {
+    sandbox.git(["checkout", "--quiet", "-b", "feature"], repo);
+
+    const status = await GitManager.getRemoteStatus(null, { cwd: repo });
+
+    assert.strictEqual(status.branch, "feature");
+    assert.strictEqual(status.remoteExists, false);
+    assert.ok(["fetch-failed", "no-remote-branch"].includes(status.reason));
+  });
+});
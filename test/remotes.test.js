@@ -0,0 +1,90 @@
+const assert = require("assert");
+const { HostManager } = require("../lib/hosts");
+const { CLI } = require("../lib/cli");
+const { createSandbox } = require("./helpers");
+
+describe("HTTPS to SSH remote conversion", () => {
+  const alice = { username: "alice", sshKey: "id_alice" };
+  const noKey = { username: "nokey" };
+  const gitlab = {
+    username: "bob",
+    sshKey: "id_bob",
+    host: { provider: "gitlab", hostname: "gitlab.corp.io", port: 2222 },
+  };
+
+  it("maps GitHub URLs to the account's host alias", () => {
+    assert.strictEqual(
+      HostManager.toAccountRemote("https://github.com/owner/repo.git", alice),
+      "git@github.com-alice:owner/repo.git",
+    );
+    assert.strictEqual(
+      HostManager.toAccountRemote("https://github.com/owner/repo", alice),
+      "git@github.com-alice:owner/repo.git",
+    );
+  });
+
+  it("uses the plain host for accounts without a key", () => {
+    assert.strictEqual(
+      HostManager.toAccountRemote("https://github.com/owner/repo.git", noKey),
+      "git@github.com:owner/repo.git",
+    );
+  });
+
+  it("follows the account's provider, including nested groups", () => {
+    assert.strictEqual(
+      HostManager.toAccountRemote(
+        "https://gitlab.corp.io/group/sub/repo.git",
+        gitlab,
+      ),
+      "git@gitlab.corp.io-bob:group/sub/repo.git",
+    );
+    assert.strictEqual(
+      HostManager.toAccountRemote("https://gitlab.corp.io/group/repo.git", {
+        ...gitlab,
+        sshKey: null,
+      }),
+      "ssh://git@gitlab.corp.io:2222/group/repo.git",
+    );
+  });
+
+  it("leaves remotes on other hosts alone", () => {
+    assert.strictEqual(
+      HostManager.toAccountRemote("https://gitlab.com/owner/repo.git", alice),
+      null,
+    );
+  });
+
+  describe("CLI.convertToSSHRemote", () => {
+    let sandbox;
+    let repo;
+
+    beforeEach(() => {
+      sandbox = createSandbox();
+      repo = sandbox.createRepo();
+      process.chdir(repo);
+    });
+
+    afterEach(() => sandbox.cleanup());
+
+    const convert = async (url, account) => {
+      sandbox.git(["remote", "set-url", "origin", url], repo);
+      const { cli } = sandbox.createCLI([]);
+      await cli.convertToSSHRemote(account);
+      return sandbox.git(["remote", "get-url", "origin"], repo);
+    };
+
+    it("rewrites origin to the account's SSH alias", async () => {
+      assert.strictEqual(
+        await convert("https://github.com/owner/repo.git", alice),
+        "git@github.com-alice:owner/repo.git",
+      );
+    });
+
+    it("keeps origin when it points at a different host", async () => {
+      assert.strictEqual(
+        await convert("https://example.org/owner/repo.git", alice),
+        "https://example.org/owner/repo.git",
+      );
+    });
+  });
+});
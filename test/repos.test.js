@@ -0,0 +1,111 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager } = require("../lib/config");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox } = require("./helpers");
+
+describe("repository identity", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const createConfig = () => new ConfigManager(sandbox.configFile);
+  const readConfig = () =>
+    JSON.parse(fs.readFileSync(sandbox.configFile, "utf8"));
+
+  it("shares settings between subdirectories and symlinked paths", () => {
+    const config = createConfig();
+    config.setRepoInitialized("main");
+
+    const subdir = path.join(repo, "src", "lib");
+    fs.mkdirSync(subdir, { recursive: true });
+    const link = path.join(sandbox.root, "link");
+    fs.symlinkSync(repo, link);
+
+    assert.strictEqual(config.getPreferredBranch(subdir), "main");
+    assert.strictEqual(config.getPreferredBranch(link), "main");
+    assert.deepStrictEqual(Object.keys(readConfig().repoSettings), [repo]);
+  });
+
+  it("shares settings with linked worktrees", () => {
+    const config = createConfig();
+    config.setRepoInitialized("main");
+    const worktree = path.join(sandbox.root, "worktree");
+    sandbox.git(["worktree", "add", "--quiet", worktree], repo);
+
+    assert.strictEqual(config.isFirstTimeInRepo(), false);
+    process.chdir(worktree);
+    assert.strictEqual(config.isFirstTimeInRepo(), false);
+  });
+
+  it("carries settings over to a re-cloned checkout", () => {
+    createConfig().updateRepoSettings({
+      initialBranchSelected: true,
+      selectedBranch: "main",
+      boundAccount: "alice",
+    });
+    process.chdir(sandbox.root);
+    fs.rmSync(repo, { recursive: true, force: true });
+    const clone = sandbox.clone(remote, "work-again");
+    process.chdir(clone);
+
+    const config = createConfig();
+
+    assert.strictEqual(config.isFirstTimeInRepo(), false);
+    assert.strictEqual(config.getRepoSettings().boundAccount, undefined);
+    assert.deepStrictEqual(Object.keys(readConfig().repoSettings), [clone]);
+  });
+
+  it("migrates entries keyed by the folder gitqq ran in", () => {
+    const subdir = path.join(repo, "docs");
+    fs.mkdirSync(subdir);
+    fs.writeFileSync(
+      sandbox.configFile,
+      JSON.stringify({
+        accounts: {},
+        repoSettings: {
+          [subdir]: { initialBranchSelected: true, selectedBranch: "main" },
+        },
+      }),
+    );
+
+    const config = createConfig();
+
+    assert.deepStrictEqual(Object.keys(readConfig().repoSettings), [repo]);
+    assert.strictEqual(config.getPreferredBranch(), "main");
+  });
+
+  it("lists, prunes and forgets repositories", async () => {
+    const gone = path.join(sandbox.root, "gone");
+    fs.writeFileSync(
+      sandbox.configFile,
+      JSON.stringify({
+        accounts: {},
+        repoSettings: { [gone]: { selectedBranch: "main" } },
+      }),
+    );
+    const config = createConfig();
+    config.setRepoInitialized("main");
+    const runner = new CommandRunner(config);
+
+    await runner.run(["repos"]);
+    assert.ok(sandbox.output.some((line) => line.startsWith(gone)));
+
+    await runner.run(["repos", "prune"]);
+    assert.deepStrictEqual(Object.keys(readConfig().repoSettings), [repo]);
+
+    await runner.run(["repos", "forget", path.join(repo)]);
+    assert.deepStrictEqual(readConfig().repoSettings, {});
+    await assert.rejects(runner.run(["repos", "forget"]), /No settings/);
+  });
+});
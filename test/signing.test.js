@@ -0,0 +1,163 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { ConfigManager } = require("../lib/config");
+const { SSHManager } = require("../lib/ssh");
+const { GitManager } = require("../lib/git");
+const { CLI } = require("../lib/cli");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox, scriptedPrompt } = require("./helpers");
+
+const hasSSHKeygen = (() => {
+  try {
+    execFileSync("ssh-keygen", ["-?"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return error.code !== "ENOENT";
+  }
+})();
+
+describe("commit signing", () => {
+  let sandbox;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    repo = sandbox.createRepo("work");
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const globalConfig = (key) => {
+    try {
+      return sandbox.git(["config", "--global", "--get", key]);
+    } catch {
+      return null;
+    }
+  };
+
+  const alice = {
+    username: "alice",
+    name: "Alice",
+    email: "alice@example.com",
+    sshKey: "id_alice",
+    signing: { format: "ssh" },
+  };
+  const bob = {
+    username: "bob",
+    name: "Bob",
+    email: "bob@example.com",
+    sshKey: "id_bob",
+    signing: { format: "openpgp", key: "ABCDEF0123456789" },
+  };
+  const carol = {
+    username: "carol",
+    name: "Carol",
+    email: "carol@example.com",
+    sshKey: "id_carol",
+  };
+
+  it("applies each account's signing setup with its identity", async () => {
+    await GitManager.applyGlobalIdentity(alice);
+    assert.strictEqual(globalConfig("gpg.format"), "ssh");
+    assert.strictEqual(
+      globalConfig("user.signingkey"),
+      path.join(sandbox.home, ".ssh", "id_alice.pub"),
+    );
+    assert.strictEqual(globalConfig("commit.gpgsign"), "true");
+
+    await GitManager.applyGlobalIdentity(bob);
+    assert.strictEqual(globalConfig("gpg.format"), "openpgp");
+    assert.strictEqual(globalConfig("user.signingkey"), "ABCDEF0123456789");
+
+    await GitManager.applyGlobalIdentity(carol);
+    assert.strictEqual(globalConfig("commit.gpgsign"), null);
+    assert.strictEqual(globalConfig("user.signingkey"), null);
+  });
+
+  it("leaves signing the user set up themselves alone", async () => {
+    sandbox.git(["config", "--global", "user.signingkey", "MYOWNKEY"]);
+
+    await GitManager.applyGlobalIdentity(carol);
+
+    assert.strictEqual(globalConfig("user.signingkey"), "MYOWNKEY");
+  });
+
+  it("signs in bound repositories only", async () => {
+    await GitManager.applyRepoIdentity(alice, { cwd: repo });
+    assert.strictEqual(
+      sandbox.git(["config", "--local", "commit.gpgsign"], repo),
+      "true",
+    );
+    assert.strictEqual(globalConfig("commit.gpgsign"), null);
+
+    await GitManager.unbindRepository({ cwd: repo });
+    assert.throws(() =>
+      sandbox.git(["config", "--local", "commit.gpgsign"], repo),
+    );
+  });
+
+  it("lists SSH signers in an allowed_signers file", () => {
+    sandbox.createKeyFile("id_alice");
+    fs.writeFileSync(
+      path.join(sandbox.home, ".ssh", "id_alice.pub"),
+      "ssh-ed25519 AAAAalice alice@example.com\n",
+    );
+
+    SSHManager.writeAllowedSigners({ alice, bob, carol });
+
+    assert.strictEqual(
+      fs.readFileSync(SSHManager.getAllowedSignersPath(), "utf8"),
+      'alice@example.com namespaces="git" ssh-ed25519 AAAAalice alice@example.com\n',
+    );
+  });
+
+  it("sets signing from the edit menu and the command line", async () => {
+    sandbox.createKeyFile("id_carol");
+    const config = new ConfigManager(sandbox.configFile);
+    const { username, ...data } = carol;
+    config.addAccount(username, data);
+    const prompt = scriptedPrompt([
+      { accountToEdit: "carol" },
+      { field: "signing" },
+      { format: "openpgp" },
+      { key: "0xDEADBEEF" },
+      { field: "done" },
+    ]);
+
+    await new CLI(config, { prompt, pause: async () => {} }).editAccount();
+    assert.deepStrictEqual(config.getAccount("carol").signing, {
+      format: "openpgp",
+      key: "0xDEADBEEF",
+    });
+
+    const runner = new CommandRunner(config);
+    await assert.rejects(
+      runner.run(["accounts", "edit", "carol", "--sign", "ssh"]),
+      /public key/,
+    );
+    await runner.run(["accounts", "edit", "carol", "--sign", "off"]);
+    assert.strictEqual(config.getAccount("carol").signing, null);
+  });
+
+  (hasSSHKeygen ? it : it.skip)(
+    "creates commits that verify against allowed_signers",
+    async () => {
+      SSHManager.generateKey("id_alice", alice.email);
+      SSHManager.writeAllowedSigners({ alice });
+      await GitManager.applyRepoIdentity(alice, { cwd: repo });
+      fs.writeFileSync(path.join(repo, "file.txt"), "signed\n");
+
+      const status = await GitManager.getSigningStatus(alice);
+      assert.strictEqual(status.signed, true);
+      assert.strictEqual(status.format, "ssh");
+
+      sandbox.git(["add", "file.txt"], repo);
+      await GitManager.commit(alice, "Signed change");
+
+      assert.strictEqual(sandbox.git(["log", "-1", "--format=%G?"], repo), "G");
+    },
+  );
+});
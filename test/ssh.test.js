@@ -0,0 +1,148 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { ConfigManager } = require("../lib/config");
+const { SSHManager } = require("../lib/ssh");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox } = require("./helpers");
+
+const hasSSHKeygen = (() => {
+  try {
+    execFileSync("ssh-keygen", ["-?"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return error.code !== "ENOENT";
+  }
+})();
+
+describe("SSH connection checks", () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    process.chdir(sandbox.root);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const alice = {
+    username: "alice",
+    email: "alice@example.com",
+    sshKey: "id_alice",
+    host: { provider: "github", hostname: "github.com", port: 22, user: "git" },
+  };
+
+  it("reads the username from provider greetings", () => {
+    assert.strictEqual(
+      SSHManager.parseGreeting(
+        "Hi alice! You've successfully authenticated, but GitHub does not provide shell access.",
+      ),
+      "alice",
+    );
+    assert.strictEqual(
+      SSHManager.parseGreeting("Welcome to GitLab, @bob!"),
+      "bob",
+    );
+    assert.strictEqual(
+      SSHManager.parseGreeting(
+        "authenticated via ssh key.\n\nYou can use git to connect to Bitbucket. Shell access is disabled.\nlogged in as carol.",
+      ),
+      "carol",
+    );
+    assert.strictEqual(
+      SSHManager.parseGreeting(
+        "Hi there, dave! You've successfully authenticated with the key named work",
+      ),
+      "dave",
+    );
+    assert.strictEqual(
+      SSHManager.parseGreeting(
+        "git@github.com: Permission denied (publickey).",
+      ),
+      null,
+    );
+  });
+
+  it("confirms a key that authenticates as the account", async () => {
+    sandbox.createKeyFile("id_alice");
+    sandbox.fakeSSH("Hi alice! You've successfully authenticated.");
+
+    const result = await SSHManager.testConnection(alice);
+
+    assert.strictEqual(result.status, "ok");
+    assert.match(sandbox.sshArgs(), /-i \S+id_alice .*-p 22 git@github\.com$/);
+  });
+
+  it("reports a key that belongs to another account", async () => {
+    sandbox.createKeyFile("id_alice");
+    sandbox.fakeSSH("Hi bob! You've successfully authenticated.");
+
+    const result = await SSHManager.testConnection(alice);
+
+    assert.strictEqual(result.status, "mismatch");
+    assert.strictEqual(result.user, "bob");
+  });
+
+  it("can test against a stand-in server", async () => {
+    sandbox.createKeyFile("id_alice");
+    sandbox.fakeSSH("git@localhost: Permission denied (publickey).");
+
+    const result = await SSHManager.testConnection(alice, {
+      hostname: "localhost",
+      port: "2222",
+    });
+
+    assert.strictEqual(result.status, "denied");
+    assert.match(sandbox.sshArgs(), /-p 2222 git@localhost$/);
+  });
+
+  it("tells the user when a new host key was trusted", async function () {
+    if (!hasSSHKeygen) this.skip();
+    sandbox.createKeyFile("id_alice");
+    // What ssh -o StrictHostKeyChecking=accept-new leaves behind
+    const hostKey = path.join(sandbox.root, "host_key");
+    execFileSync("ssh-keygen", ["-t", "ed25519", "-f", hostKey, "-N", ""], {
+      stdio: "ignore",
+    });
+    fs.writeFileSync(
+      path.join(sandbox.home, ".ssh", "known_hosts"),
+      `[localhost]:2222 ${fs.readFileSync(`${hostKey}.pub`, "utf8")}`,
+    );
+    const fingerprint = execFileSync("ssh-keygen", ["-lf", `${hostKey}.pub`], {
+      encoding: "utf8",
+    }).split(" ")[1];
+    sandbox.fakeSSH(
+      "Warning: Permanently added '[localhost]:2222' (ED25519) to the list of known hosts.\nHi alice! You've successfully authenticated.",
+    );
+    const { cli } = sandbox.createCLI([]);
+
+    const result = await cli.verifySSHConnection(alice, {
+      hostname: "localhost",
+      port: "2222",
+    });
+
+    assert.strictEqual(result.status, "ok");
+    assert.strictEqual(result.newHostKey, fingerprint);
+    assert.ok(
+      sandbox.output.some(
+        (line) =>
+          line.includes("trusted a new host key") && line.includes(fingerprint),
+      ),
+    );
+  });
+
+  it("fails doctor when an account's key is missing", async () => {
+    sandbox.createKeyFile("id_alice");
+    sandbox.fakeSSH("Hi alice! You've successfully authenticated.");
+    const { username, ...data } = alice;
+    const config = new ConfigManager(sandbox.configFile);
+    config.addAccount(username, data);
+    config.addAccount("bob", { ...data, sshKey: "id_bob" });
+    SSHManager.syncHostAliases(config.getAccounts());
+    const runner = new CommandRunner(config);
+
+    await runner.run(["doctor", "alice"]);
+    await assert.rejects(runner.run(["doctor"]), /1 problem found/);
+  });
+});
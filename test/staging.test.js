@@ -0,0 +1,121 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { GitManager } = require("../lib/git");
+const { createSandbox } = require("./helpers");
+
+describe("interactive staging", () => {
+  let sandbox;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    repo = sandbox.createRepo("work");
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const write = (file, content) =>
+    fs.writeFileSync(path.join(repo, file), content);
+  const staged = () =>
+    sandbox.git(["diff", "--cached", "--name-only"], repo).split("\n");
+
+  it("reads change types from porcelain v2 status", async () => {
+    sandbox.commit(repo, "old.txt", "old\n");
+    sandbox.commit(repo, "gone.txt", "gone\n");
+    write("README.md", "# changed\n");
+    write("new file.txt", "new\n");
+    sandbox.git(["mv", "old.txt", "renamed.txt"], repo);
+    fs.rmSync(path.join(repo, "gone.txt"));
+
+    const entries = await GitManager.getStatusEntries(null);
+    const byPath = Object.fromEntries(entries.map((e) => [e.path, e]));
+
+    assert.strictEqual(byPath["README.md"].type, "modified");
+    assert.strictEqual(byPath["README.md"].staged, false);
+    assert.strictEqual(byPath["new file.txt"].type, "untracked");
+    assert.strictEqual(byPath["renamed.txt"].type, "renamed");
+    assert.strictEqual(byPath["renamed.txt"].origPath, "old.txt");
+    assert.strictEqual(byPath["renamed.txt"].staged, true);
+    assert.strictEqual(byPath["gone.txt"].type, "deleted");
+  });
+
+  it("stages checked files and unstages the rest", async () => {
+    write("a.txt", "a\n");
+    write("b.txt", "b\n");
+    write("c.txt", "c\n");
+    sandbox.git(["add", "c.txt"], repo);
+    const { cli, prompt } = sandbox.createCLI([{ files: ["a.txt", "b.txt"] }]);
+
+    await cli.pickFilesToStage(null);
+
+    assert.strictEqual(prompt.remaining(), 0);
+    assert.deepStrictEqual(staged(), ["a.txt", "b.txt"]);
+  });
+
+  it("stages only the hunks that were picked", async () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    sandbox.commit(repo, "long.txt", `${lines.join("\n")}\n`);
+    lines[1] = "first change";
+    lines[27] = "second change";
+    write("long.txt", `${lines.join("\n")}\n`);
+    const { cli, prompt } = sandbox.createCLI([
+      { files: ["long.txt"], byHunk: true },
+      { hunkAction: "skip" },
+      { hunkAction: "stage" },
+    ]);
+
+    await cli.pickFilesToStage(null);
+
+    assert.strictEqual(prompt.remaining(), 0);
+    const stagedDiff = sandbox.git(["diff", "--cached"], repo);
+    assert.match(stagedDiff, /\+second change/);
+    assert.doesNotMatch(stagedDiff, /first change/);
+    assert.match(sandbox.git(["diff"], repo), /\+first change/);
+  });
+
+  it("stages and unstages files from a subdirectory", async () => {
+    const sub = path.join(repo, "sub");
+    fs.mkdirSync(sub);
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    sandbox.commit(repo, "sub/long.txt", `${lines.join("\n")}\n`);
+    lines[1] = "changed";
+    write("sub/long.txt", `${lines.join("\n")}\n`);
+    write("sub/new.txt", "new\n");
+    write("sub/old.txt", "old\n");
+    sandbox.git(["add", "sub/old.txt"], repo);
+    process.chdir(sub);
+    const { cli, prompt } = sandbox.createCLI([
+      { files: ["sub/long.txt", "sub/new.txt"], byHunk: true },
+      { hunkAction: "stage" },
+    ]);
+
+    await cli.pickFilesToStage(null);
+
+    assert.strictEqual(prompt.remaining(), 0);
+    assert.deepStrictEqual(staged(), ["sub/long.txt", "sub/new.txt"]);
+  });
+
+  it("commits the picked files from the commit flow", async () => {
+    write("keep.txt", "keep\n");
+    write("later.txt", "later\n");
+    const { cli } = sandbox.createCLI([
+      { staging: "pick" },
+      { files: ["keep.txt"] },
+      { commitMessage: "Add keep" },
+      { shouldPush: false },
+    ]);
+
+    await cli.handleCommit(null);
+
+    assert.strictEqual(
+      sandbox.git(["show", "--name-only", "--format=", "HEAD"], repo),
+      "keep.txt",
+    );
+    assert.match(
+      sandbox.git(["status", "--porcelain"], repo),
+      /\?\? later\.txt/,
+    );
+  });
+});
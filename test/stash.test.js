@@ -0,0 +1,148 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { GitManager } = require("../lib/git");
+const { createSandbox } = require("./helpers");
+
+describe("stashes", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const write = (file, content) =>
+    fs.writeFileSync(path.join(repo, file), content);
+  const read = (file) => fs.readFileSync(path.join(repo, file), "utf8");
+  const lines = (first, last) =>
+    [first, 2, 3, 4, 5, 6, 7, 8, 9, last].join("\n") + "\n";
+
+  it("creates, lists, shows and pops stashes", async () => {
+    write("README.md", "# changed\n");
+    write("new.txt", "new\n");
+    const { cli } = sandbox.createCLI([
+      { selected: "create" },
+      { scope: "untracked", message: "half done" },
+      { selected: "stash@{0}" },
+      { stashAction: "show" },
+      { selected: "stash@{0}" },
+      { stashAction: "pop" },
+      { selected: "back" },
+    ]);
+
+    await cli.handleStash(null);
+
+    assert.ok(sandbox.output.some((line) => line.includes("+# changed")));
+    assert.ok(sandbox.output.some((line) => line.includes("+new")));
+    assert.strictEqual(read("README.md"), "# changed\n");
+    assert.strictEqual(read("new.txt"), "new\n");
+    assert.deepStrictEqual(await GitManager.listStashes(null), []);
+  });
+
+  it("stashes only the selected files", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    write("README.md", "# changed\n");
+    write("a.txt", "changed\n");
+    const { cli } = sandbox.createCLI([
+      { selected: "create" },
+      { scope: "pick", files: ["a.txt"] },
+      { selected: "back" },
+    ]);
+
+    await cli.handleStash(null);
+
+    const [stash] = await GitManager.listStashes(null);
+    assert.strictEqual(stash.ref, "stash@{0}");
+    assert.strictEqual(stash.branch, "main");
+    assert.match(stash.age, /ago$/);
+    assert.strictEqual(read("a.txt"), "a\n");
+    assert.strictEqual(read("README.md"), "# changed\n");
+  });
+
+  it("stashes selected files from a subdirectory", async () => {
+    const sub = path.join(repo, "sub");
+    fs.mkdirSync(sub);
+    sandbox.commit(repo, "sub/a.txt", "a\n");
+    write("sub/a.txt", "changed\n");
+    write("README.md", "# changed\n");
+    process.chdir(sub);
+    const { cli } = sandbox.createCLI([
+      { selected: "create" },
+      { scope: "pick", files: ["sub/a.txt"] },
+      { selected: "back" },
+    ]);
+
+    await cli.handleStash(null);
+
+    assert.strictEqual((await GitManager.listStashes(null)).length, 1);
+    assert.strictEqual(read("sub/a.txt"), "a\n");
+    assert.strictEqual(read("README.md"), "# changed\n");
+  });
+
+  it("stashes around a branch switch and re-applies afterwards", async () => {
+    sandbox.commit(repo, "b.txt", lines(1, 10));
+    sandbox.git(["checkout", "--quiet", "-b", "feature"], repo);
+    sandbox.commit(repo, "b.txt", lines("one", 10));
+    sandbox.git(["checkout", "--quiet", "main"], repo);
+    write("b.txt", lines(1, "ten"));
+    const { cli, prompt } = sandbox.createCLI([
+      { selectedBranch: "feature" },
+      { dirtyChoice: "stash" },
+    ]);
+
+    await cli.handleChangeBranch(null);
+
+    assert.strictEqual(await GitManager.getCurrentBranch(null), "feature");
+    assert.strictEqual(read("b.txt"), lines("one", "ten"));
+    assert.deepStrictEqual(await GitManager.listStashes(null), []);
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("stashes around a pull", async () => {
+    sandbox.commit(repo, "b.txt", lines(1, 10));
+    sandbox.git(["push", "--quiet", "origin", "main"], repo);
+    const other = sandbox.clone(remote, "other");
+    sandbox.commit(other, "b.txt", lines("one", 10));
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+    write("b.txt", lines(1, "ten"));
+    const { cli } = sandbox.createCLI([{ dirtyChoice: "stash" }]);
+
+    assert.strictEqual(await cli.runSync(null, "main", "ff-only"), true);
+    assert.strictEqual(read("b.txt"), lines("one", "ten"));
+    assert.deepStrictEqual(await GitManager.listStashes(null), []);
+  });
+
+  it("re-applies only the stash it made", async () => {
+    sandbox.commit(repo, "a.txt", "a\n");
+    write("a.txt", "older\n");
+    await GitManager.createStash(null, { message: "older" });
+    write("README.md", "# changed\n");
+    const { cli } = sandbox.createCLI([{ dirtyChoice: "stash" }]);
+
+    await cli.withStashedChanges(null, "testing", async () => {
+      write("a.txt", "during\n");
+      await GitManager.createStash(null, { message: "during" });
+    });
+
+    assert.strictEqual(read("README.md"), "# changed\n");
+    assert.strictEqual(read("a.txt"), "a\n");
+    assert.deepStrictEqual(
+      (await GitManager.listStashes(null)).map((stash) => stash.message),
+      ["during", "older"],
+    );
+  });
+
+  it("rejects stash refs that aren't stash@{n}", async () => {
+    await assert.rejects(
+      GitManager.dropStash(null, "--all"),
+      /Invalid stash: --all/,
+    );
+  });
+});
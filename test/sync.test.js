@@ -0,0 +1,116 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { ConfigManager } = require("../lib/config");
+const { GitManager } = require("../lib/git");
+const { CommandRunner } = require("../lib/commands");
+const { createSandbox } = require("./helpers");
+
+describe("syncing with the remote", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const pushFromElsewhere = (file, content) => {
+    const other = sandbox.clone(remote, `other-${file}`);
+    sandbox.commit(other, file, content);
+    sandbox.git(["push", "--quiet", "origin", "main"], other);
+  };
+
+  const createRunner = () => {
+    const config = new ConfigManager(sandbox.configFile);
+    config.addAccount("alice", { name: "Alice", email: "alice@example.com" });
+    config.setCurrentAccount("alice");
+    return new CommandRunner(config);
+  };
+
+  const head = () => sandbox.git(["rev-parse", "HEAD"], repo);
+
+  it("recommends a strategy from the remote status", () => {
+    const recommend = (status) =>
+      GitManager.recommendSyncStrategy({ reason: null, ...status });
+
+    assert.strictEqual(recommend({ reason: "no-remote-branch" }), "fetch");
+    assert.strictEqual(recommend({ remoteAhead: true }), "ff-only");
+    assert.strictEqual(
+      recommend({ remoteAhead: true, localAhead: true, diverged: true }),
+      "rebase",
+    );
+    assert.strictEqual(recommend({ localAhead: true }), "fetch");
+  });
+
+  it("fast-forwards when only the remote moved", async () => {
+    pushFromElsewhere("remote.txt", "remote\n");
+    // No answer scripted: the recommended strategy is the default
+    const { cli, prompt } = sandbox.createCLI([{}]);
+
+    await cli.handleSync(null);
+
+    assert.ok(fs.existsSync(path.join(repo, "remote.txt")));
+    assert.strictEqual(head(), sandbox.git(["rev-parse", "origin/main"], repo));
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("rebases diverged branches", async () => {
+    pushFromElsewhere("remote.txt", "remote\n");
+    sandbox.commit(repo, "local.txt", "local\n");
+    const { cli } = sandbox.createCLI([{ strategy: "rebase" }]);
+
+    await cli.handleSync(null);
+
+    const log = sandbox.git(["log", "--format=%s"], repo).split("\n");
+    assert.deepStrictEqual(log, [
+      "Update local.txt",
+      "Update remote.txt",
+      "Initial commit",
+    ]);
+  });
+
+  it("lists conflicts and aborts a stopped rebase", async () => {
+    pushFromElsewhere("README.md", "remote\n");
+    const before = sandbox.commit(repo, "README.md", "local\n");
+    const { cli, prompt } = sandbox.createCLI([
+      { strategy: "rebase" },
+      { resolution: "abort" },
+    ]);
+
+    await cli.handleSync(null);
+
+    assert.ok(sandbox.output.some((line) => line.includes("README.md")));
+    assert.strictEqual(await GitManager.getOperationInProgress(null), null);
+    assert.strictEqual(head(), before);
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("continues a merge from the command line once conflicts are resolved", async () => {
+    pushFromElsewhere("README.md", "remote\n");
+    sandbox.commit(repo, "README.md", "local\n");
+    const runner = createRunner();
+
+    await assert.rejects(
+      runner.run(["sync", "merge"]),
+      /merge stopped on conflicts:\n {2}README.md/,
+    );
+    assert.strictEqual(await GitManager.getOperationInProgress(null), "merge");
+    await assert.rejects(runner.run(["sync", "skip"]), /can't be skipped/);
+
+    fs.writeFileSync(path.join(repo, "README.md"), "both\n");
+    sandbox.git(["add", "README.md"], repo);
+    await runner.run(["sync", "continue"]);
+
+    assert.strictEqual(await GitManager.getOperationInProgress(null), null);
+    assert.strictEqual(
+      sandbox.git(["rev-list", "--count", "--merges", "HEAD"], repo),
+      "1",
+    );
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const { SSHManager } = require("../lib/ssh");
+const { GitManager } = require("../lib/git");
+const { ConventionalCommits } = require("../lib/commits");
+const { createSandbox } = require("./helpers");
+
+const hasSSHKeygen = (() => {
+  try {
+    execFileSync("ssh-keygen", ["-?"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return error.code !== "ENOENT";
+  }
+})();
+
+describe("tags", () => {
+  let sandbox;
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+    remote = sandbox.createRemote();
+    repo = sandbox.createRepo("work", remote);
+    process.chdir(repo);
+  });
+
+  afterEach(() => sandbox.cleanup());
+
+  const remoteTags = () =>
+    sandbox.git(["tag", "--list"], remote).split("\n").filter(Boolean);
+
+  it("suggests the next version from tags and commit messages", () => {
+    const next = (tags, messages) =>
+      ConventionalCommits.suggestNextVersion(tags, messages).next;
+
+    assert.strictEqual(next([], []), "v0.1.0");
+    assert.strictEqual(
+      next(["v1.2.3", "v1.10.0", "nightly"], ["fix: a"]),
+      "v1.10.1",
+    );
+    assert.strictEqual(next(["v1.2.3"], ["fix: a", "feat(ui): b"]), "v1.3.0");
+    assert.strictEqual(next(["1.2.3"], ["feat!: drop node 12"]), "2.0.0");
+    assert.strictEqual(
+      next(["v0.4.1"], ["fix: a\n\nBREAKING CHANGE: renamed"]),
+      "v0.5.0",
+    );
+  });
+
+  it("creates, pushes and deletes tags from the menu", async () => {
+    sandbox.git(["tag", "v1.0.0"], repo);
+    sandbox.commit(repo, "a.txt", "a\n", "feat: add a");
+    const { cli, prompt } = sandbox.createCLI([
+      { selected: "next" },
+      { tagType: "annotated", tagMessage: "Release 1.1.0", pushTag: true },
+      { selected: "tag:v1.0.0" },
+      { tagAction: "push" },
+      { selected: "tag:v1.1.0" },
+      { tagAction: "delete-both" },
+      { confirmDelete: true },
+      { selected: "back" },
+    ]);
+
+    await cli.handleTags(null);
+
+    assert.deepStrictEqual(remoteTags(), ["v1.0.0"]);
+    const tags = await GitManager.listTags(null);
+    assert.deepStrictEqual(
+      tags.map((tag) => tag.name),
+      ["v1.0.0"],
+    );
+    assert.strictEqual(tags[0].annotated, false);
+    assert.strictEqual(prompt.remaining(), 0);
+  });
+
+  it("offers to delete tags that only exist on origin", async () => {
+    sandbox.git(["tag", "old"], repo);
+    sandbox.git(["push", "--quiet", "origin", "old"], repo);
+    sandbox.git(["tag", "-d", "old"], repo);
+    const { cli } = sandbox.createCLI([
+      { selected: "origin:old" },
+      { tagAction: "delete-remote" },
+      { confirmDelete: true },
+      { selected: "back" },
+    ]);
+
+    await cli.handleTags(null);
+
+    assert.deepStrictEqual(remoteTags(), []);
+  });
+
+  (hasSSHKeygen ? it : it.skip)(
+    "signs annotated tags with the account's SSH key",
+    async () => {
+      const alice = {
+        username: "alice",
+        email: "alice@example.com",
+        sshKey: "id_alice",
+        signing: { format: "ssh" },
+      };
+      SSHManager.generateKey("id_alice", alice.email);
+      SSHManager.writeAllowedSigners({ alice });
+      sandbox.git([
+        "config",
+        "--global",
+        "gpg.ssh.allowedSignersFile",
+        SSHManager.getAllowedSignersPath(),
+      ]);
+
+      await GitManager.createTag(alice, "v1.0.0", { message: "Release" });
+
+      const [tag] = await GitManager.listTags(null);
+      assert.strictEqual(tag.signed, true);
+      assert.strictEqual(tag.subject, "Release");
+      sandbox.git(["tag", "-v", "v1.0.0"], repo);
+    },
+  );
+});